@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Attendance from '../models/Attendance.js';
+import { updateAttendance } from '../controllers/attendanceController.js';
+import { mockResponse } from './helpers/http.js';
+
+const at = time => new Date(`2024-05-06T${time}:00Z`);
+
+const record = (fields = {}) => Attendance.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  employee: new mongoose.Types.ObjectId(),
+  date: new Date('2024-05-06T00:00:00Z'),
+  punches: [],
+  breakTime: 0,
+  ...fields
+});
+
+// Run save hooks and validation; the database write itself is stubbed
+const stubWrites = () => {
+  jest.spyOn(Attendance.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(Attendance.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+};
+
+describe('Attendance punches', () => {
+  test('follows the clock-in, break and clock-out sequence', () => {
+    const attendance = record();
+
+    expect(attendance.addPunch('in', at('09:00'))).toEqual({});
+    expect(attendance.addPunch('in', at('09:05')).error).toBeDefined();
+    expect(attendance.addPunch('break_end', at('09:05')).error).toBeDefined();
+    expect(attendance.addPunch('break_start', at('13:00'))).toEqual({});
+    expect(attendance.addPunch('out', at('13:10')).error).toBeDefined();
+    expect(attendance.addPunch('break_end', at('13:30'))).toEqual({});
+    expect(attendance.addPunch('out', at('18:00'))).toEqual({});
+    expect(attendance.punches.map(punch => punch.type)).toEqual(['in', 'break_start', 'break_end', 'out']);
+  });
+
+  test('refuses punches earlier than the previous one', () => {
+    const attendance = record();
+    attendance.addPunch('in', at('09:00'));
+
+    expect(attendance.addPunch('out', at('08:00'))).toEqual({ error: 'Punch cannot be earlier than the previous one' });
+  });
+
+  test('closes an open day when a clock-out is corrected in', () => {
+    const attendance = record();
+    attendance.addPunch('in', at('09:00'));
+    attendance.addPunch('break_start', at('13:00'));
+
+    expect(attendance.correctTimes({ clockOut: at('18:00') })).toEqual({});
+    expect(attendance.punches.map(punch => punch.type)).toEqual(['in', 'break_start', 'break_end', 'out']);
+    expect(attendance.correctTimes({ clockIn: at('14:00') }).error)
+      .toBe('Corrected times must fit around the other punches of the day');
+  });
+});
+
+describe('Attendance summary on save', () => {
+  beforeEach(stubWrites);
+  afterEach(() => jest.restoreAllMocks());
+
+  test('derives hours, breaks and status from the punch log', async () => {
+    const attendance = record({ clockIn: at('09:00') });
+    attendance.addPunch('in', at('09:00'));
+    attendance.addPunch('break_start', at('13:00'));
+    attendance.addPunch('break_end', at('13:30'));
+    attendance.addPunch('out', at('18:00'));
+
+    await attendance.save();
+
+    expect(attendance.clockIn).toEqual(at('09:00'));
+    expect(attendance.clockOut).toEqual(at('18:00'));
+    expect(attendance.breakTime).toBe(0.5);
+    expect(attendance.workingHours).toBe(8.5);
+    expect(attendance.status).toBe('present');
+  });
+
+  test('judges lateness against the shift grace period', async () => {
+    const attendance = record({
+      clockIn: at('09:20'),
+      schedule: { start: at('09:00'), end: at('18:00'), graceMinutes: 10, minHours: 8, halfDayHours: 4 }
+    });
+    attendance.addPunch('in', at('09:20'));
+    attendance.addPunch('out', at('17:30'));
+
+    await attendance.save();
+
+    expect(attendance.lateMinutes).toBe(20);
+    expect(attendance.earlyDepartureMinutes).toBe(30);
+    expect(attendance.status).toBe('late');
+  });
+});
+
+describe('updateAttendance', () => {
+  const admin = { _id: new mongoose.Types.ObjectId() };
+
+  beforeEach(stubWrites);
+  afterEach(() => jest.restoreAllMocks());
+
+  test('recalculates the day after correcting its times', async () => {
+    const attendance = record({ clockIn: at('09:00') });
+    attendance.addPunch('in', at('09:00'));
+    jest.spyOn(Attendance, 'findById').mockResolvedValue(attendance);
+    jest.spyOn(attendance, 'populate').mockResolvedValue(attendance);
+
+    const res = mockResponse();
+    await updateAttendance({ params: { id: attendance._id.toString() }, body: { clockOut: '2024-05-06T12:00:00Z', notes: 'Forgot to clock out' }, user: admin }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.clockOut).toEqual(at('12:00'));
+    expect(data.workingHours).toBe(3);
+    expect(data.status).toBe('absent');
+    expect(data.notes).toBe('Forgot to clock out');
+    expect(data.isManual).toBe(true);
+    expect(data.approvedBy).toEqual(admin._id);
+  });
+
+  test('keeps a status set by an admin until it is cleared', async () => {
+    const attendance = record({ clockIn: at('09:00') });
+    attendance.addPunch('in', at('09:00'));
+    attendance.addPunch('out', at('18:00'));
+    jest.spyOn(Attendance, 'findById').mockResolvedValue(attendance);
+    jest.spyOn(attendance, 'populate').mockResolvedValue(attendance);
+
+    await updateAttendance({ params: { id: attendance._id.toString() }, body: { status: 'half-day' }, user: admin }, mockResponse());
+    expect(attendance.status).toBe('half-day');
+
+    await updateAttendance({ params: { id: attendance._id.toString() }, body: { clockOut: '2024-05-06T18:30:00Z' }, user: admin }, mockResponse());
+    expect(attendance.workingHours).toBe(9.5);
+    expect(attendance.status).toBe('half-day');
+
+    await updateAttendance({ params: { id: attendance._id.toString() }, body: { status: null }, user: admin }, mockResponse());
+    expect(attendance.status).toBe('present');
+  });
+
+  test('refuses an unknown status', async () => {
+    const attendance = record({ clockIn: at('09:00') });
+    jest.spyOn(Attendance, 'findById').mockResolvedValue(attendance);
+
+    const res = mockResponse();
+    await updateAttendance({ params: { id: attendance._id.toString() }, body: { status: 'holiday' }, user: admin }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('refuses corrections that do not fit the punch log', async () => {
+    const attendance = record();
+    attendance.addPunch('in', at('09:00'));
+    attendance.addPunch('out', at('18:00'));
+    jest.spyOn(Attendance, 'findById').mockResolvedValue(attendance);
+
+    const res = mockResponse();
+    await updateAttendance({ params: { id: attendance._id.toString() }, body: { clockIn: '2024-05-06T19:00:00Z' }, user: admin }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Attendance.collection.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import EmployeeChangeLog from '../models/EmployeeChangeLog.js';
+import { recordEmployeeChanges } from '../utils/changeHistory.js';
+import { encrypt, resetKeys } from '../utils/fieldEncryption.js';
+
+describe('recordEmployeeChanges', () => {
+  const employeeId = new mongoose.Types.ObjectId();
+  const req = { user: { _id: new mongoose.Types.ObjectId() }, method: 'PUT', baseUrl: '/api/employees', route: { path: '/:id' } };
+
+  beforeEach(() => {
+    process.env.FIELD_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+    resetKeys();
+    jest.spyOn(EmployeeChangeLog, 'insertMany').mockImplementation(async entries => entries);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('records only the fields whose values changed, with the route as source', async () => {
+    const before = { firstName: 'Jane', phone: '123', address: { city: 'Pune' } };
+    const after = { firstName: 'Janet', phone: '123', address: { city: 'Mumbai' } };
+
+    const entries = await recordEmployeeChanges(req, employeeId, before, after, ['firstName', 'phone', 'address.city']);
+
+    expect(entries).toEqual([
+      expect.objectContaining({ field: 'firstName', oldValue: 'Jane', newValue: 'Janet', source: 'PUT /api/employees/:id', changedBy: req.user._id }),
+      expect.objectContaining({ field: 'address.city', oldValue: 'Pune', newValue: 'Mumbai' })
+    ]);
+  });
+
+  test('compares sensitive fields decrypted and stores them masked', async () => {
+    const same = await recordEmployeeChanges(req, employeeId, { pan: encrypt('ABCDE1234F') }, { pan: encrypt('ABCDE1234F') }, ['pan']);
+    expect(same).toEqual([]);
+
+    const [entry] = await recordEmployeeChanges(req, employeeId, { pan: encrypt('ABCDE1234F') }, { pan: encrypt('ZYXWV9876A') }, ['pan']);
+    expect(entry).toMatchObject({ oldValue: 'XXXXXX234F', newValue: 'XXXXXX876A', redacted: true });
+  });
+
+  test('writes nothing when nothing changed', async () => {
+    expect(await recordEmployeeChanges(req, employeeId, { firstName: 'Jane' }, { firstName: 'Jane' }, ['firstName'])).toEqual([]);
+    expect(EmployeeChangeLog.insertMany).not.toHaveBeenCalled();
+  });
+});
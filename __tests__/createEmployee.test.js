@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import CustomField from '../models/CustomField.js';
+import Setting from '../models/Setting.js';
+import { createEmployee } from '../controllers/employeeController.js';
+import { setTransport } from '../utils/mailer.js';
+import { mockResponse } from './helpers/http.js';
+
+describe('createEmployee', () => {
+  const req = {
+    user: { _id: new mongoose.Types.ObjectId() },
+    body: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', lifecycleStatus: 'active' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CustomField, 'getActive').mockResolvedValue([]);
+    jest.spyOn(Setting, 'getSettings').mockResolvedValue(new Setting());
+    jest.spyOn(Invitation, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Invitation, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Invitation.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setTransport(null);
+  });
+
+  test('removes the employee again when the invitation email fails', async () => {
+    const employee = new User({ email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', invitePending: true });
+    const deleteOne = jest.spyOn(employee, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(User, 'create').mockResolvedValue(employee);
+    setTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+    const res = mockResponse();
+    await createEmployee(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].error).toMatch(/employee was not created/);
+    expect(deleteOne).toHaveBeenCalled();
+    expect(Invitation.deleteMany).toHaveBeenCalledWith({ user: employee._id });
+  });
+
+  test('answers validation errors with 400', async () => {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('email', new mongoose.Error.ValidatorError({ message: 'Please enter a valid email' }));
+    jest.spyOn(User, 'create').mockRejectedValue(error);
+
+    const res = mockResponse();
+    await createEmployee(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Please enter a valid email' });
+  });
+});
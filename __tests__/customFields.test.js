@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import CustomField from '../models/CustomField.js';
+import { castCustomFieldValue, validateCustomFields, toCustomFieldUpdates } from '../utils/customFields.js';
+
+const definitions = [
+  { key: 'shirtSize', label: 'Shirt size', type: 'select', options: ['S', 'M', 'L'], required: true },
+  { key: 'languages', label: 'Languages', type: 'multiselect', options: ['English', 'Hindi'] },
+  { key: 'badge', label: 'Badge', type: 'text', validation: { pattern: '^B\\d{4}$' } }
+];
+
+describe('castCustomFieldValue', () => {
+  test('casts numbers and checks their range', () => {
+    const field = { label: 'Floor', type: 'number', validation: { min: 0, max: 20 } };
+
+    expect(castCustomFieldValue(field, ' 12 ')).toEqual({ value: 12 });
+    expect(castCustomFieldValue(field, 'twelve')).toEqual({ error: 'Floor must be a number' });
+    expect(castCustomFieldValue(field, 21)).toEqual({ error: 'Floor cannot exceed 20' });
+  });
+
+  test('casts dates and booleans', () => {
+    expect(castCustomFieldValue({ label: 'Joined', type: 'date' }, '2024-02-29').value)
+      .toEqual(new Date('2024-02-29'));
+    expect(castCustomFieldValue({ label: 'Joined', type: 'date' }, 'soon').error).toBe('Joined must be a valid date');
+    expect(castCustomFieldValue({ label: 'Remote', type: 'boolean' }, 'Yes')).toEqual({ value: true });
+    expect(castCustomFieldValue({ label: 'Remote', type: 'boolean' }, 0)).toEqual({ value: false });
+    expect(castCustomFieldValue({ label: 'Remote', type: 'boolean' }, 'maybe').error).toBe('Remote must be true or false');
+  });
+
+  test('checks select options and de-duplicates multiselect values', () => {
+    expect(castCustomFieldValue(definitions[0], 'XL').error).toBe('Shirt size must be one of S, M, L');
+    expect(castCustomFieldValue(definitions[1], 'English, Hindi,English')).toEqual({ value: ['English', 'Hindi'] });
+  });
+
+  test('uses the custom validation message for text patterns', () => {
+    const field = { label: 'Badge', type: 'text', validation: { pattern: '^B\\d{4}$', message: 'Badge looks like B1234' } };
+
+    expect(castCustomFieldValue(field, 'B1234')).toEqual({ value: 'B1234' });
+    expect(castCustomFieldValue(field, 'X1')).toEqual({ error: 'Badge looks like B1234' });
+  });
+});
+
+describe('validateCustomFields', () => {
+  beforeEach(() => {
+    jest.spyOn(CustomField, 'getActive').mockResolvedValue(definitions);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('casts known fields and clears empty optional ones', async () => {
+    const { values, errors } = await validateCustomFields({ shirtSize: 'M', languages: [], badge: 'B0001' });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ shirtSize: 'M', languages: null, badge: 'B0001' });
+    expect(toCustomFieldUpdates(values)).toEqual({
+      'customFields.shirtSize': 'M',
+      'customFields.languages': null,
+      'customFields.badge': 'B0001'
+    });
+  });
+
+  test('reports unknown fields and missing required fields', async () => {
+    const { errors } = await validateCustomFields({ nickname: 'JD' }, { checkRequired: true });
+
+    expect(errors).toEqual(['Unknown custom field: nickname', 'Shirt size is required']);
+  });
+
+  test('refuses input that is not an object', async () => {
+    const { errors } = await validateCustomFields(['M']);
+
+    expect(errors).toEqual(['Custom fields must be an object of field values']);
+  });
+});
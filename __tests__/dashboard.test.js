@@ -0,0 +1,41 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Attendance from '../models/Attendance.js';
+import Salary from '../models/Salary.js';
+import Leave from '../models/Leave.js';
+import Document from '../models/Document.js';
+import Department from '../models/Department.js';
+import Setting from '../models/Setting.js';
+import { getDashboardStats } from '../controllers/dashboardController.js';
+import { mockResponse } from './helpers/http.js';
+
+describe('getDashboardStats', () => {
+  beforeEach(() => {
+    jest.spyOn(Setting, 'getSettings').mockResolvedValue({ timezone: 'UTC' });
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(4);
+    jest.spyOn(Department, 'getHeadcount').mockResolvedValue([]);
+    jest.spyOn(Attendance, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(Salary, 'getSalaryStats').mockResolvedValue({ totalPaid: 0, totalRecords: 0 });
+    jest.spyOn(Document, 'getDocumentStats').mockResolvedValue({ totalDocuments: 0 });
+    jest.spyOn(Leave, 'getLeaveStats').mockResolvedValue({ approvedLeaves: 0, pendingLeaves: 0 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts late arrivals as present', async () => {
+    jest.spyOn(Attendance, 'find').mockResolvedValue([
+      { date: new Date('2024-05-06T00:00:00Z'), status: 'late' },
+      { date: new Date('2024-05-07T00:00:00Z'), status: 'present' },
+      { date: new Date('2024-05-08T00:00:00Z'), status: 'absent' },
+      { date: new Date('2024-05-09T00:00:00Z'), status: 'half-day' }
+    ]);
+
+    const res = mockResponse();
+    await getDashboardStats({}, res);
+
+    expect(Attendance.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      status: { $in: ['present', 'late', 'half-day'] }
+    }));
+    expect(res.json.mock.calls[0][0].data.stats.attendanceRate).toBe(50);
+  });
+});
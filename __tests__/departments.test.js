@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Department from '../models/Department.js';
+import { createDepartment, updateDepartment } from '../controllers/departmentController.js';
+import { mockResponse } from './helpers/http.js';
+
+describe('department names', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('are unique regardless of case', () => {
+    const nameIndex = Department.schema.indexes().find(([fields]) => fields.name);
+
+    expect(nameIndex[1]).toMatchObject({ unique: true, collation: { locale: 'en', strength: 2 } });
+  });
+
+  test('createDepartment refuses a name already in use', async () => {
+    jest.spyOn(Department, 'findOne').mockResolvedValue(null);
+    const exists = jest.spyOn(Department, 'exists').mockReturnValue({
+      collation: async () => ({ _id: new mongoose.Types.ObjectId() })
+    });
+    const create = jest.spyOn(Department, 'create');
+
+    const res = mockResponse();
+    await createDepartment({ body: { code: 'ENG2', name: 'engineering' } }, res);
+
+    expect(exists).toHaveBeenCalledWith({ name: 'engineering' });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Department with this name already exists' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('createDepartment reports a duplicate created concurrently', async () => {
+    jest.spyOn(Department, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Department, 'exists').mockReturnValue({ collation: async () => null });
+    jest.spyOn(Department, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000, keyPattern: { name: 1 } }));
+
+    const res = mockResponse();
+    await createDepartment({ body: { code: 'ENG2', name: 'Engineering' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Department with this name already exists' });
+  });
+
+  test('updateDepartment refuses renaming to a name in use', async () => {
+    const department = Department.hydrate({ _id: new mongoose.Types.ObjectId(), code: 'OPS', name: 'Operations' });
+    jest.spyOn(Department, 'findById').mockResolvedValue(department);
+    const exists = jest.spyOn(Department, 'exists').mockReturnValue({
+      collation: async () => ({ _id: new mongoose.Types.ObjectId() })
+    });
+    const save = jest.spyOn(department, 'save');
+
+    const res = mockResponse();
+    await updateDepartment({ params: { id: department._id.toString() }, body: { name: 'ENGINEERING' } }, res);
+
+    expect(exists).toHaveBeenCalledWith({ name: 'ENGINEERING', _id: { $ne: department._id } });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
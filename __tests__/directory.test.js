@@ -0,0 +1,65 @@
+import { nextOccurrence, toDirectoryCard, directoryQuery } from '../utils/directory.js';
+import { validateDirectorySearch } from '../middleware/validation.js';
+import { runValidators } from './helpers/http.js';
+
+describe('nextOccurrence', () => {
+  const from = new Date('2025-06-15T00:00:00Z');
+
+  test('returns this year when the day is still ahead, including today', () => {
+    expect(nextOccurrence(new Date('1990-06-15T00:00:00Z'), from)).toEqual(new Date('2025-06-15T00:00:00Z'));
+    expect(nextOccurrence(new Date('1990-12-01T00:00:00Z'), from)).toEqual(new Date('2025-12-01T00:00:00Z'));
+  });
+
+  test('moves to next year once the day has passed', () => {
+    expect(nextOccurrence(new Date('1990-01-10T00:00:00Z'), from)).toEqual(new Date('2026-01-10T00:00:00Z'));
+  });
+
+  test('celebrates 29 February on the 28th in non-leap years', () => {
+    const leapDay = new Date('1992-02-29T00:00:00Z');
+
+    expect(nextOccurrence(leapDay, new Date('2025-01-01T00:00:00Z'))).toEqual(new Date('2025-02-28T00:00:00Z'));
+    expect(nextOccurrence(leapDay, new Date('2028-01-01T00:00:00Z'))).toEqual(new Date('2028-02-29T00:00:00Z'));
+  });
+});
+
+describe('toDirectoryCard', () => {
+  test('exposes only public fields', () => {
+    const card = toDirectoryCard({
+      _id: 'u1',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      salary: 50000,
+      department: 'Engineering',
+      manager: { _id: 'u2', firstName: 'John', lastName: 'Roe', email: 'john@example.com' }
+    });
+
+    expect(card).not.toHaveProperty('email');
+    expect(card).not.toHaveProperty('salary');
+    expect(card.position).toBeNull();
+    expect(card.manager).toEqual({ _id: 'u2', firstName: 'John', lastName: 'Roe' });
+  });
+
+  test('lists only active employees who have not opted out', () => {
+    expect(directoryQuery({ department: 'Sales' })).toEqual({
+      isActive: true,
+      anonymisedAt: null,
+      'privacy.hideFromDirectory': { $ne: true },
+      department: 'Sales'
+    });
+  });
+});
+
+describe('validateDirectorySearch', () => {
+  test('accepts department names and position ids', async () => {
+    expect(await runValidators(validateDirectorySearch, {
+      query: { search: 'jane', department: 'Engineering', position: '64b7f0c2e1a2b3c4d5e6f701' }
+    })).toBeNull();
+  });
+
+  test('rejects query operators in department and position', async () => {
+    expect(await runValidators(validateDirectorySearch, { query: { department: { $ne: null } } })).toBe(400);
+    expect(await runValidators(validateDirectorySearch, { query: { position: { $ne: null } } })).toBe(400);
+    expect(await runValidators(validateDirectorySearch, { query: { position: 'Developer' } })).toBe(400);
+  });
+});
@@ -0,0 +1,54 @@
+import { buildEmployeeQuery, buildEmployeeSort } from '../utils/employeeSearch.js';
+import { validateEmployeeSearch } from '../middleware/validation.js';
+import { runValidators } from './helpers/http.js';
+
+describe('buildEmployeeQuery', () => {
+  test('excludes administrators unless a role is given', async () => {
+    expect((await buildEmployeeQuery({ query: {} })).role).toEqual({ $ne: 'admin' });
+    expect((await buildEmployeeQuery({ query: { role: 'manager' } })).role).toBe('manager');
+  });
+
+  test('matches department names and list filters with $in', async () => {
+    const query = await buildEmployeeQuery({
+      query: { department: 'Engineering, Sales', gender: 'female', bloodGroup: 'o+', status: 'inactive' }
+    });
+
+    expect(query.department).toEqual({ $in: ['Engineering', 'Sales'] });
+    expect(query.gender).toEqual({ $in: ['female'] });
+    expect(query.bloodGroup).toEqual({ $in: ['O+'] });
+    expect(query.isActive).toBe(false);
+  });
+
+  test('combines range filters with $and', async () => {
+    const query = await buildEmployeeQuery({ query: { hireDateFrom: '2020-01-01', minAge: '30' } });
+
+    expect(query.$and).toHaveLength(2);
+    expect(query.$and[0].hireDate.$gte).toEqual(new Date('2020-01-01'));
+    expect(query.$and[1].dateOfBirth.$lte).toBeInstanceOf(Date);
+  });
+});
+
+describe('buildEmployeeSort', () => {
+  test('sorts by known fields with _id breaking ties', () => {
+    expect(buildEmployeeSort('lastName,-hireDate,password')).toEqual({ lastName: 1, hireDate: -1, _id: 1 });
+  });
+
+  test('falls back to newest first', () => {
+    expect(buildEmployeeSort()).toEqual({ createdAt: -1, _id: -1 });
+    expect(buildEmployeeSort('password')).toEqual({ createdAt: -1, _id: -1 });
+  });
+});
+
+describe('validateEmployeeSearch', () => {
+  test('accepts a role name', async () => {
+    expect(await runValidators(validateEmployeeSearch, { query: { role: 'manager' } })).toBeNull();
+  });
+
+  test('rejects query operators in role', async () => {
+    expect(await runValidators(validateEmployeeSearch, { query: { role: { $ne: 'x' } } })).toBe(400);
+  });
+
+  test('rejects unknown sort fields', async () => {
+    expect(await runValidators(validateEmployeeSearch, { query: { sort: 'password' } })).toBe(400);
+  });
+});
@@ -0,0 +1,60 @@
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { readSpreadsheet, writeEmployeeSpreadsheet } from '../utils/employeeSpreadsheet.js';
+
+describe('readSpreadsheet', () => {
+  test('matches CSV headers loosely and keeps values as text', async () => {
+    const csv = 'first_name,Last Name,EMAIL,PF No,Favourite Colour\nJane,Doe,jane@example.com,007,blue\n,,,,\n';
+
+    const { rows, unknownHeaders, missingHeaders } = await readSpreadsheet(Buffer.from(csv), 'csv');
+
+    expect(rows).toEqual([{
+      rowNumber: 2,
+      values: { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', pfNo: '007' }
+    }]);
+    expect(unknownHeaders).toEqual(['Favourite Colour']);
+    expect(missingHeaders).toEqual([]);
+  });
+
+  test('reports missing required columns', async () => {
+    const { missingHeaders } = await readSpreadsheet(Buffer.from('Email\njane@example.com\n'), 'csv');
+    expect(missingHeaders).toEqual(['First Name', 'Last Name']);
+  });
+
+  test('reads XLSX dates and rich text as plain strings', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Employees');
+    sheet.addRow(['Email', 'First Name', 'Last Name', 'Hire Date']);
+    sheet.addRow(['jane@example.com', { richText: [{ text: 'Ja' }, { text: 'ne' }] }, 'Doe', new Date(Date.UTC(2024, 0, 15))]);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const { rows } = await readSpreadsheet(buffer, 'xlsx');
+
+    expect(rows[0].values).toMatchObject({ firstName: 'Jane', hireDate: '2024-01-15' });
+  });
+});
+
+describe('writeEmployeeSpreadsheet', () => {
+  test('writes CSV with formulas escaped and fields quoted', async () => {
+    const employee = new User({
+      _id: new mongoose.Types.ObjectId(),
+      email: 'jane@example.com',
+      firstName: '=HYPERLINK("http://evil")',
+      lastName: 'Doe, Jr',
+      phone: '+91 98765 43210'
+    });
+    const res = new PassThrough();
+    let output = '';
+    res.on('data', chunk => { output += chunk; });
+
+    await writeEmployeeSpreadsheet([employee], 'csv', res);
+
+    const [header, row] = output.trim().split('\r\n');
+    expect(header.startsWith('ID,Email,First Name,Last Name,Phone')).toBe(true);
+    expect(row).toContain(`"'=HYPERLINK(""http://evil"")"`);
+    expect(row).toContain('"Doe, Jr"');
+    expect(row).toContain(',+91 98765 43210,');
+  });
+});
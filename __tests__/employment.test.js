@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Position from '../models/Position.js';
+import Setting from '../models/Setting.js';
+import { addMonths, resolveEmploymentTerms, decideProbation, updateContract } from '../utils/employment.js';
+
+const employee = (fields = {}) => {
+  const doc = User.hydrate({
+    _id: '64b7f0c2e1a2b3c4d5e6f701',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email: 'jane@example.com',
+    ...fields
+  });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+};
+
+describe('addMonths', () => {
+  test('keeps the day of month', () => {
+    expect(addMonths(new Date(2024, 0, 15), 6)).toEqual(new Date(2024, 6, 15));
+  });
+
+  test('clamps to the last day of shorter months', () => {
+    expect(addMonths(new Date(2024, 0, 31), 1)).toEqual(new Date(2024, 1, 29));
+    expect(addMonths(new Date(2023, 0, 31), 1)).toEqual(new Date(2023, 1, 28));
+    expect(addMonths(new Date(2024, 7, 31), 3)).toEqual(new Date(2024, 10, 30));
+  });
+});
+
+describe('resolveEmploymentTerms', () => {
+  beforeEach(() => {
+    jest.spyOn(Setting, 'getSettings').mockResolvedValue({ employment: { defaultProbationMonths: 6 } });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('falls back to the organisation probation period', async () => {
+    const terms = await resolveEmploymentTerms({ hireDate: new Date(2024, 0, 15) });
+
+    expect(terms).toEqual({
+      employmentType: 'permanent',
+      probation: { endDate: new Date(2024, 6, 15), status: 'pending' }
+    });
+  });
+
+  test('applies position defaults to fixed-term hires', async () => {
+    jest.spyOn(Position, 'findById').mockResolvedValue({ employmentType: 'fixed_term', probationMonths: 0, contractMonths: 12 });
+
+    const terms = await resolveEmploymentTerms({ positionId: 'p1', hireDate: new Date(2024, 1, 29) });
+
+    expect(terms).toEqual({
+      employmentType: 'fixed_term',
+      contract: { endDate: new Date(2025, 1, 28) }
+    });
+  });
+});
+
+describe('decideProbation', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('extends an open probation and records the previous end date', async () => {
+    const doc = employee({ probation: { endDate: new Date('2024-06-30'), status: 'pending' } });
+
+    const result = await decideProbation(doc, 'extend', { endDate: '2024-09-30', reason: 'More time on deliverables' });
+
+    expect(result.error).toBeUndefined();
+    expect(doc.probation.status).toBe('extended');
+    expect(doc.probation.endDate).toEqual(new Date('2024-09-30'));
+    expect(doc.probation.extensions[0].previousEndDate).toEqual(new Date('2024-06-30'));
+  });
+
+  test('refuses extensions that do not move the end date forward', async () => {
+    const doc = employee({ probation: { endDate: new Date('2024-06-30'), status: 'pending' } });
+
+    const result = await decideProbation(doc, 'extend', { endDate: '2024-06-01' });
+
+    expect(result.error).toBe('New probation end date must be after the current one');
+  });
+
+  test('refuses decisions once probation is closed', async () => {
+    const doc = employee({ probation: { endDate: new Date('2024-06-30'), status: 'confirmed' } });
+
+    expect((await decideProbation(doc, 'confirm')).error).toBe('Employee has no open probation');
+  });
+});
+
+describe('updateContract', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('renews a fixed-term contract to a later date', async () => {
+    const doc = employee({ employmentType: 'fixed_term', contract: { endDate: new Date('2024-12-31') } });
+
+    await updateContract(doc, 'renew', { endDate: '2025-12-31', notes: 'Project extended' });
+
+    expect(doc.contract.endDate).toEqual(new Date('2025-12-31'));
+    expect(doc.contract.renewals[0].previousEndDate).toEqual(new Date('2024-12-31'));
+  });
+
+  test('refuses permanent employees', async () => {
+    const doc = employee({ employmentType: 'permanent' });
+
+    expect((await updateContract(doc, 'renew', { endDate: '2025-12-31' })).error).toBe('Employee is on a permanent contract');
+  });
+});
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import {
+  encrypt,
+  decrypt,
+  isCiphertext,
+  getKeyId,
+  needsReencryption,
+  mask,
+  maskStored,
+  resetKeys
+} from '../utils/fieldEncryption.js';
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+const useKeys = ({ current, id = 'k1', old = '' }) => {
+  process.env.FIELD_ENCRYPTION_KEY = current;
+  process.env.FIELD_ENCRYPTION_KEY_ID = id;
+  process.env.FIELD_ENCRYPTION_OLD_KEYS = old;
+  resetKeys();
+};
+
+describe('field encryption', () => {
+  const k1 = newKey();
+  const k2 = newKey();
+
+  beforeEach(() => useKeys({ current: k1 }));
+
+  test('round-trips values with a fresh IV each time', () => {
+    const first = encrypt('ABCDE1234F');
+    expect(first).toMatch(/^enc:k1:/);
+    expect(encrypt('ABCDE1234F')).not.toBe(first);
+    expect(decrypt(first)).toBe('ABCDE1234F');
+  });
+
+  test('leaves empty values and existing ciphertext alone', () => {
+    const stored = encrypt('1234');
+    expect(encrypt(stored)).toBe(stored);
+    expect(encrypt('')).toBe('');
+    expect(encrypt(null)).toBeNull();
+  });
+
+  test('encrypts input that only looks like ciphertext', () => {
+    const spoofed = 'enc:zz:AA:AA:AA';
+    expect(isCiphertext(spoofed)).toBe(false);
+
+    const stored = encrypt(spoofed);
+    expect(stored).not.toBe(spoofed);
+    expect(decrypt(stored)).toBe(spoofed);
+  });
+
+  test('decrypts values written under a retired key after rotation', () => {
+    const stored = encrypt('old secret');
+    useKeys({ current: k2, id: 'k2', old: `k1:${k1}` });
+
+    expect(getKeyId(stored)).toBe('k1');
+    expect(needsReencryption(stored)).toBe(true);
+    expect(decrypt(stored)).toBe('old secret');
+    expect(needsReencryption(encrypt(decrypt(stored)))).toBe(false);
+    expect(needsReencryption('plain')).toBe(true);
+  });
+
+  test('refuses values under an unknown key', () => {
+    const stored = encrypt('secret');
+    useKeys({ current: k2, id: 'k2' });
+    expect(() => decrypt(stored)).toThrow('Unknown field encryption key "k1"');
+  });
+});
+
+describe('mask', () => {
+  test('keeps the last four letters or digits and the separators', () => {
+    expect(mask('1234-5678-9012')).toBe('XXXX-XXXX-9012');
+    expect(mask('ABCDE1234F')).toBe('XXXXXX234F');
+  });
+
+  test('masks short values entirely', () => {
+    expect(mask('123')).toBe('XXX');
+  });
+
+  test('masks stored values that cannot be decrypted instead of failing', () => {
+    useKeys({ current: newKey() });
+    expect(maskStored('enc:zz:AA:AA:AA')).toBe('XXXX');
+    expect(maskStored(encrypt('123456789012'))).toBe('XXXXXXXX9012');
+  });
+});
+
+describe('User sensitive fields', () => {
+  beforeEach(() => useKeys({ current: newKey() }));
+
+  const newUser = fields => new User({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', ...fields });
+
+  test('are stored encrypted and masked in JSON', () => {
+    const user = newUser({ aadhaar: ' 1234 5678 9012 ' });
+
+    expect(isCiphertext(user.aadhaar)).toBe(true);
+    expect(user.toJSON().aadhaar).toBe('XXXX XXXX 9012');
+    expect(user.revealSensitiveFields(['aadhaar'])).toEqual({ aadhaar: '1234 5678 9012' });
+  });
+
+  test('values sent as "enc:..." are encrypted, so JSON output still works', () => {
+    const user = newUser({ pan: 'enc:zz:AA:AA:AA' });
+
+    expect(user.pan).not.toBe('enc:zz:AA:AA:AA');
+    expect(() => user.toJSON()).not.toThrow();
+  });
+
+  test('JSON output masks values it cannot decrypt', () => {
+    // As loaded from the database, where setters do not run
+    const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', pan: 'enc:zz:AA:AA:AA' });
+
+    expect(user.toJSON().pan).toBe('XXXX');
+  });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import WorkLocation from '../models/WorkLocation.js';
+import { distanceMeters, isInsideGeofence, isIpInRanges, evaluatePunchLocation } from '../utils/geofence.js';
+
+// Office with a 100 m circle in central Bengaluru and its network
+const office = {
+  _id: new mongoose.Types.ObjectId(),
+  geofence: { type: 'circle', center: { lat: 12.9716, lng: 77.5946 }, radiusMeters: 100 },
+  allowedIpRanges: ['203.0.113.0/24']
+};
+
+const inside = { lat: 12.9720, lng: 77.5946, accuracy: 20 };
+const outside = { lat: 12.9800, lng: 77.5946, accuracy: 20 };
+
+describe('distanceMeters', () => {
+  test('measures great-circle distance', () => {
+    expect(distanceMeters({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })).toBeCloseTo(111195, -1);
+    expect(distanceMeters(office.geofence.center, office.geofence.center)).toBe(0);
+  });
+});
+
+describe('isInsideGeofence', () => {
+  test('gives circle checks the benefit of the fix accuracy', () => {
+    const edge = { lat: 12.9727, lng: 77.5946 };
+
+    expect(isInsideGeofence(edge, office.geofence)).toBe(false);
+    expect(isInsideGeofence({ ...edge, accuracy: 50 }, office.geofence)).toBe(true);
+  });
+
+  test('checks polygons by their corners', () => {
+    const geofence = {
+      type: 'polygon',
+      polygon: [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }]
+    };
+
+    expect(isInsideGeofence({ lat: 0.5, lng: 0.5 }, geofence)).toBe(true);
+    expect(isInsideGeofence({ lat: 1.5, lng: 0.5 }, geofence)).toBe(false);
+  });
+});
+
+describe('isIpInRanges', () => {
+  test('matches IPv4, IPv4-mapped IPv6 and IPv6 addresses', () => {
+    expect(isIpInRanges('203.0.113.7', office.allowedIpRanges)).toBe(true);
+    expect(isIpInRanges('::ffff:203.0.113.7', office.allowedIpRanges)).toBe(true);
+    expect(isIpInRanges('198.51.100.7', office.allowedIpRanges)).toBe(false);
+    expect(isIpInRanges('2001:db8::1', ['2001:db8::/32'])).toBe(true);
+  });
+
+  test('matches nothing without an address or ranges', () => {
+    expect(isIpInRanges(undefined, office.allowedIpRanges)).toBe(false);
+    expect(isIpInRanges('203.0.113.7', [])).toBe(false);
+    expect(isIpInRanges('not-an-ip', office.allowedIpRanges)).toBe(false);
+  });
+});
+
+describe('evaluatePunchLocation', () => {
+  const officeStaff = { attendancePolicy: { type: 'office_only' } };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('matches an office by coordinates or network', async () => {
+    jest.spyOn(WorkLocation, 'find').mockResolvedValue([office]);
+
+    expect(await evaluatePunchLocation(officeStaff, { coordinates: inside }))
+      .toEqual({ workLocation: office._id, flagReason: null });
+    expect(await evaluatePunchLocation(officeStaff, { ip: '203.0.113.7' }))
+      .toEqual({ workLocation: office._id, flagReason: null });
+  });
+
+  test('flags office-only punches away from the office', async () => {
+    jest.spyOn(WorkLocation, 'find').mockResolvedValue([office]);
+
+    expect((await evaluatePunchLocation(officeStaff, { coordinates: outside })).flagReason).toBe('outside_zone');
+    expect((await evaluatePunchLocation(officeStaff, { coordinates: { ...outside, accuracy: 500 } })).flagReason).toBe('low_accuracy');
+    expect((await evaluatePunchLocation(officeStaff, {})).flagReason).toBe('no_location');
+  });
+
+  test('flags office-only punches when no assigned office is active', async () => {
+    jest.spyOn(WorkLocation, 'find').mockResolvedValue([]);
+
+    const result = await evaluatePunchLocation(
+      { attendancePolicy: { type: 'office_only', workLocations: [office._id] } },
+      { coordinates: inside }
+    );
+
+    expect(result).toEqual({ workLocation: null, flagReason: 'outside_zone' });
+    expect(WorkLocation.find).toHaveBeenCalledWith({ isActive: true, _id: { $in: [office._id] } });
+  });
+
+  test('does not restrict office-only punches when no offices are configured', async () => {
+    jest.spyOn(WorkLocation, 'find').mockResolvedValue([]);
+
+    expect(await evaluatePunchLocation(officeStaff, {})).toEqual({ workLocation: null, flagReason: null });
+  });
+
+  test('only asks field staff for coordinates and lets remote staff punch anywhere', async () => {
+    jest.spyOn(WorkLocation, 'find').mockResolvedValue([office]);
+
+    expect((await evaluatePunchLocation({ attendancePolicy: { type: 'field' } }, {})).flagReason).toBe('no_location');
+    expect((await evaluatePunchLocation({ attendancePolicy: { type: 'field' } }, { coordinates: outside })).flagReason).toBeNull();
+    expect((await evaluatePunchLocation({ attendancePolicy: { type: 'remote_allowed' } }, {})).flagReason).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+import { jest } from '@jest/globals';
+
+// Express response whose status and json calls can be inspected
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a validation chain against a request with the given body, query or
+// params. Returns the status it responded with, or null when it passed.
+const runValidators = async (chain, { body = {}, query = {}, params = {} } = {}) => {
+  const req = { body, query, params };
+  let status = null;
+  const res = { status: (code) => { status = code; return res; }, json: () => res };
+  for (const middleware of chain) {
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    if (!passed) break;
+  }
+  return status;
+};
+
+export {
+  mockResponse,
+  runValidators
+};
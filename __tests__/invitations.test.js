@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Invitation from '../models/Invitation.js';
+import { inviteUser } from '../utils/invitations.js';
+import { setTransport } from '../utils/mailer.js';
+
+const invitee = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane' };
+
+describe('Invitation', () => {
+  test('issues a token whose hash is stored, expiring in seven days', () => {
+    const invitation = new Invitation({ user: invitee._id, email: invitee.email, invitedBy: invitee._id });
+
+    const token = invitation.issueToken();
+
+    expect(invitation.tokenHash).toBe(Invitation.hashToken(token));
+    expect(invitation.tokenHash).not.toBe(token);
+    const days = (invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(7);
+  });
+
+  test('only pending invitations past their expiry are expired', () => {
+    const past = new Date(Date.now() - 1000);
+    expect(new Invitation({ status: 'pending', expiresAt: past }).isExpired).toBe(true);
+    expect(new Invitation({ status: 'accepted', expiresAt: past }).isExpired).toBe(false);
+  });
+});
+
+describe('inviteUser', () => {
+  beforeEach(() => {
+    jest.spyOn(Invitation, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Invitation.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setTransport(null);
+  });
+
+  test('revokes pending invitations and emails a link with the raw token', async () => {
+    const sent = [];
+    setTransport({ name: 'memory', send: async (message) => sent.push(message) });
+
+    const invitation = await inviteUser(invitee, new mongoose.Types.ObjectId());
+
+    expect(Invitation.updateMany).toHaveBeenCalledWith(
+      { user: invitee._id, status: 'pending' },
+      expect.objectContaining({ status: 'revoked' })
+    );
+    const token = sent[0].text.match(/accept-invite\/([0-9a-f]+)/)[1];
+    expect(Invitation.hashToken(token)).toBe(invitation.tokenHash);
+  });
+
+  test('rejects when the email cannot be sent', async () => {
+    setTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+    await expect(inviteUser(invitee, new mongoose.Types.ObjectId())).rejects.toThrow('SMTP down');
+  });
+});
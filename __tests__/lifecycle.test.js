@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { canTransition, transitionLifecycle } from '../utils/lifecycle.js';
+import { validateEmployeeExit } from '../middleware/validation.js';
+import { runValidators } from './helpers/http.js';
+
+// Run an express-validator chain; resolves with the response status, or
+// null when the request passed
+describe('lifecycle transitions', () => {
+  test('follow the allowed state changes', () => {
+    expect(canTransition('onboarding', 'probation')).toBe(true);
+    expect(canTransition('notice', 'active')).toBe(true);
+    expect(canTransition('exited', 'active')).toBe(false);
+    expect(canTransition(undefined, 'notice')).toBe(true);
+  });
+
+  const newEmployee = lifecycleStatus => new User({
+    _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', lifecycleStatus
+  });
+
+  test('refuse changes that are not allowed', async () => {
+    expect(await transitionLifecycle(newEmployee('exited'), 'active')).toEqual({ error: 'Cannot move an employee from exited to active' });
+  });
+
+  test('need a reason for notice and exit', async () => {
+    const result = await transitionLifecycle(newEmployee('active'), 'notice', { exit: { lastWorkingDay: '2099-01-31' } });
+    expect(result).toEqual({ error: 'Exit reason is required' });
+  });
+
+  test('put future exits on notice instead', async () => {
+    const result = await transitionLifecycle(newEmployee('active'), 'exited', { exit: { lastWorkingDay: '2099-01-31', reason: 'resignation' } });
+    expect(result.error).toMatch(/put the employee on notice instead/);
+  });
+});
+
+describe('validateEmployeeExit', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('accepts valid exit details or none', async () => {
+    expect(await runValidators(validateEmployeeExit, { body: {} })).toBeNull();
+    expect(await runValidators(validateEmployeeExit, { body: { lastWorkingDay: '2026-10-19', reason: 'retirement', notes: 'Farewell' } })).toBeNull();
+  });
+
+  test.each([
+    [{ lastWorkingDay: 'foo' }],
+    [{ reason: 'bored' }],
+    [{ notes: 'x'.repeat(1001) }],
+    [{ notes: { $gt: '' } }]
+  ])('refuses %j', async (body) => {
+    expect(await runValidators(validateEmployeeExit, { body })).toBe(400);
+  });
+});
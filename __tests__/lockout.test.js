@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+const newUser = () => {
+  const user = new User({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+describe('login lockout', () => {
+  test('locks the account after five failed logins', async () => {
+    const user = newUser();
+
+    for (let i = 0; i < 4; i += 1) await user.registerFailedLogin();
+    expect(user.isLocked).toBe(false);
+
+    await user.registerFailedLogin();
+    expect(user.isLocked).toBe(true);
+    expect(user.lockCount).toBe(1);
+  });
+
+  test('doubles each consecutive lockout', async () => {
+    const user = newUser();
+    user.lockCount = 2;
+    user.failedLoginAttempts = 4;
+
+    const before = Date.now();
+    await user.registerFailedLogin();
+
+    const minutes = (user.lockUntil - before) / (60 * 1000);
+    expect(Math.round(minutes)).toBe(60);
+  });
+
+  test('starts counting afresh once a lock has run out', async () => {
+    const user = newUser();
+    user.failedLoginAttempts = 5;
+    user.lockUntil = new Date(Date.now() - 1000);
+
+    await user.registerFailedLogin();
+
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.isLocked).toBe(false);
+  });
+
+  test('a successful login clears the lockout state', async () => {
+    const user = newUser();
+    user.failedLoginAttempts = 3;
+    user.lockCount = 2;
+
+    await user.registerSuccessfulLogin();
+
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockCount).toBe(0);
+    expect(user.lastLoginAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { sendEmail, setTransport, getTransport } from '../utils/mailer.js';
+import { forgotPassword } from '../controllers/authController.js';
+import { mockResponse } from './helpers/http.js';
+
+describe('mailer', () => {
+  afterEach(() => setTransport(null));
+
+  test('sends through the transport set in place of the configured one', async () => {
+    const sent = [];
+    setTransport({ name: 'memory', send: async (message) => sent.push(message) });
+
+    await sendEmail({ to: 'jane@example.com', subject: 'Hello', text: 'Hi Jane' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ to: 'jane@example.com', subject: 'Hello', text: 'Hi Jane' });
+    expect(sent[0].from).toBeTruthy();
+  });
+});
+
+describe('mail transport selection', () => {
+  const saved = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, EMAIL_HOST: process.env.EMAIL_HOST };
+
+  beforeEach(() => setTransport(null));
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+    setTransport(null);
+  });
+
+  test('refuses to fall back to the console without mail config', () => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.EMAIL_HOST;
+
+    expect(() => getTransport()).toThrow('Mail is not configured');
+  });
+
+  test('uses SMTP when a host is configured, or the sink asked for', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.EMAIL_HOST = 'smtp.example.com';
+    expect(getTransport().name).toBe('smtp');
+
+    setTransport(null);
+    process.env.MAIL_TRANSPORT = 'console';
+    expect(getTransport().name).toBe('console');
+  });
+});
+
+describe('forgotPassword', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setTransport(null);
+  });
+
+  test('gives the generic response when the email cannot be sent', async () => {
+    const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setTransport({ name: 'failing', send: async () => { throw new Error('SMTP down'); } });
+
+    const res = mockResponse();
+    await forgotPassword({ body: { email: 'jane@example.com' } }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: { message: 'If that email is registered, a reset link has been sent' }
+    });
+    expect(user.passwordResetToken).toBeUndefined();
+  });
+});
+
+describe('password reset token', () => {
+  test('stores only the hash of the token with an expiry', () => {
+    const user = new User({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' });
+
+    const token = user.createPasswordResetToken();
+
+    expect(user.passwordResetToken).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(user.passwordResetToken).not.toBe(token);
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import Position from '../models/Position.js';
+import { resolveOrgAssignment, migrateLegacyOrgFields } from '../utils/organisation.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const query = result => ({ select: () => ({ lean: async () => result }) });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('resolveOrgAssignment', () => {
+  test('copies the names of linked entities onto the employee', async () => {
+    jest.spyOn(Department, 'findById').mockResolvedValue({ name: 'Engineering', isActive: true });
+    jest.spyOn(Position, 'findById').mockResolvedValue({ title: 'Developer', isActive: true });
+    const fields = { departmentId: id(), positionId: id() };
+
+    expect(await resolveOrgAssignment(fields)).toBeNull();
+    expect(fields).toMatchObject({ department: 'Engineering', position: 'Developer' });
+  });
+
+  test('refuses inactive entities', async () => {
+    jest.spyOn(Department, 'findById').mockResolvedValue({ name: 'Old', isActive: false });
+    expect(await resolveOrgAssignment({ departmentId: id() })).toBe('Department not found or inactive');
+  });
+
+  test('clearing a link clears the name', async () => {
+    const fields = { departmentId: '' };
+    expect(await resolveOrgAssignment(fields)).toBeNull();
+    expect(fields).toEqual({ departmentId: null, department: null });
+  });
+});
+
+describe('migrateLegacyOrgFields', () => {
+  test('groups free-text names case-insensitively and reuses existing entities', async () => {
+    jest.spyOn(Department, 'find').mockReturnValue(query([{ _id: id(), code: 'HR', name: 'HR' }]));
+    jest.spyOn(Position, 'find').mockReturnValue(query([]));
+    jest.spyOn(User, 'find').mockReturnValue(query([
+      { _id: id(), department: 'Sales Team', position: 'Rep' },
+      { _id: id(), department: 'sales team ', position: 'rep' },
+      { _id: id(), department: 'hr' }
+    ]));
+    const create = jest.spyOn(Department, 'create');
+
+    const summary = await migrateLegacyOrgFields({ dryRun: true });
+
+    expect(summary).toEqual({ departmentsCreated: ['Sales Team'], positionsCreated: ['Rep'], usersUpdated: 3 });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals';
+import { PERMISSIONS, DEFAULT_ROLES, hasPermission, isKnownPermission } from '../config/permissions.js';
+import { requirePermission } from '../middleware/auth.js';
+import { mockResponse } from './helpers/http.js';
+
+describe('hasPermission', () => {
+  test('matches exact permissions only', () => {
+    expect(hasPermission(['leave:approve'], 'leave:approve')).toBe(true);
+    expect(hasPermission(['leave:approve:team'], 'leave:approve')).toBe(false);
+    expect(hasPermission([], 'leave:approve')).toBe(false);
+  });
+
+  test('the global wildcard grants everything', () => {
+    expect(hasPermission(['*'], 'settings:manage')).toBe(true);
+  });
+
+  test('a resource wildcard grants that resource only', () => {
+    expect(hasPermission(['leave:*'], 'leave:approve:team')).toBe(true);
+    expect(hasPermission(['leave:*'], 'salary:read:all')).toBe(false);
+    expect(hasPermission(['lea:*'], 'leave:approve')).toBe(false);
+  });
+});
+
+describe('isKnownPermission', () => {
+  test('accepts catalogue entries and wildcards that match some', () => {
+    expect(isKnownPermission('employee:read')).toBe(true);
+    expect(isKnownPermission('*')).toBe(true);
+    expect(isKnownPermission('salary:*')).toBe(true);
+  });
+
+  test('rejects unknown permissions', () => {
+    expect(isKnownPermission('employee:fly')).toBe(false);
+    expect(isKnownPermission('payroll:*')).toBe(false);
+  });
+
+  test('default roles only use catalogue permissions', () => {
+    DEFAULT_ROLES.forEach(role => {
+      role.permissions.forEach(permission => expect(isKnownPermission(permission)).toBe(true));
+    });
+    expect(Object.keys(PERMISSIONS).length).toBeGreaterThan(0);
+  });
+});
+
+describe('requirePermission', () => {
+  const user = { role: 'hr', twoFactor: { enabled: false } };
+
+  test('passes users holding any of the permissions', async () => {
+    const next = jest.fn();
+    await requirePermission('leave:approve', 'leave:approve:team')({ user, permissions: ['leave:approve:team'] }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('refuses users without them', async () => {
+    const next = jest.fn();
+    const res = mockResponse();
+    await requirePermission('leave:approve')({ user, permissions: ['leave:read:all'] }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
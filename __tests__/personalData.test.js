@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import User from '../models/User.js';
+import Attendance from '../models/Attendance.js';
+import Leave from '../models/Leave.js';
+import Salary from '../models/Salary.js';
+import Document from '../models/Document.js';
+import EmployeeChangeLog from '../models/EmployeeChangeLog.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Invitation from '../models/Invitation.js';
+import ProfileChangeRequest from '../models/ProfileChangeRequest.js';
+import AttendanceRegularization from '../models/AttendanceRegularization.js';
+import EmployeeChecklist from '../models/EmployeeChecklist.js';
+import { writePersonalDataExport, anonymiseEmployee } from '../utils/personalData.js';
+
+const found = records => ({ sort: () => ({ lean: async () => records }) });
+
+// Zip the export into memory; entry names are stored uncompressed
+const exportToBuffer = async (employee) => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => res.on('end', resolve));
+  await writePersonalDataExport(employee, res);
+  await ended;
+  return Buffer.concat(chunks);
+};
+
+describe('writePersonalDataExport', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'export-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('names uploaded files by stored name when the original name is missing', async () => {
+    const filePath = path.join(dir, '1700000000000-contract.pdf');
+    await fs.writeFile(filePath, 'contract');
+
+    jest.spyOn(Attendance, 'find').mockReturnValue(found([]));
+    jest.spyOn(Leave, 'find').mockReturnValue(found([]));
+    jest.spyOn(Salary, 'find').mockReturnValue(found([]));
+    jest.spyOn(EmployeeChangeLog, 'find').mockReturnValue(found([]));
+    jest.spyOn(Document, 'find').mockReturnValue(found([
+      { _id: 'doc1', filename: '1700000000000-contract.pdf', path: filePath },
+      { _id: 'doc2', filename: 'offer.pdf', originalName: '../Offer Letter.pdf', path: filePath }
+    ]));
+
+    const employee = User.hydrate({
+      _id: '64b7f0c2e1a2b3c4d5e6f701',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com'
+    });
+
+    const zip = (await exportToBuffer(employee)).toString('latin1');
+
+    expect(zip).toContain('profile.json');
+    expect(zip).toContain('documents/doc1-1700000000000-contract.pdf');
+    expect(zip).toContain('documents/doc2-Offer Letter.pdf');
+  });
+});
+
+describe('anonymiseEmployee', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('drops free text from probation, contract and checklist records', async () => {
+    jest.spyOn(Document, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(Leave, 'find').mockReturnValue({ select: async () => [] });
+    [Document, Session, LoginAttempt, Invitation, EmployeeChangeLog, ProfileChangeRequest, AttendanceRegularization]
+      .forEach(Model => jest.spyOn(Model, 'deleteMany').mockResolvedValue({}));
+    [Leave, Attendance, EmployeeChecklist]
+      .forEach(Model => jest.spyOn(Model, 'updateMany').mockResolvedValue({}));
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+    const employee = User.hydrate({
+      _id: '64b7f0c2e1a2b3c4d5e6f701',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      probation: {
+        endDate: new Date('2024-06-30'),
+        review: { recommendation: 'extend', comments: 'Struggled after a family illness' },
+        extensions: [{ previousEndDate: new Date('2024-03-31'), newEndDate: new Date('2024-06-30'), reason: 'Medical leave' }]
+      },
+      contract: {
+        renewals: [{ previousEndDate: new Date('2024-12-31'), newEndDate: new Date('2025-12-31'), notes: 'Asked for a raise' }]
+      }
+    });
+
+    await anonymiseEmployee(employee, '64b7f0c2e1a2b3c4d5e6f702');
+
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$unset).toHaveProperty(['probation.review.comments']);
+    expect(update.$unset).toHaveProperty(['exit.notes']);
+    expect(update.$set['probation.extensions']).toHaveLength(1);
+    expect(update.$set['probation.extensions'][0]).not.toHaveProperty('reason');
+    expect(update.$set['probation.extensions'][0].newEndDate).toEqual(new Date('2024-06-30'));
+    expect(update.$set['contract.renewals'][0]).not.toHaveProperty('notes');
+    expect(EmployeeChecklist.updateMany).toHaveBeenCalledWith(
+      { employee: employee._id },
+      { $unset: { 'tasks.$[].notes': 1 } }
+    );
+  });
+});
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import CustomField from '../models/CustomField.js';
+import { splitSelfServiceUpdate, applySelfServicePolicy } from '../utils/profileChanges.js';
+
+const employee = () => User.hydrate({
+  _id: '64b7f0c2e1a2b3c4d5e6f701',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  department: 'Engineering',
+  position: 'Developer',
+  salary: 50000
+});
+
+describe('splitSelfServiceUpdate', () => {
+  test('separates direct, approval and HR-only fields', () => {
+    const { direct, approval, blocked } = splitSelfServiceUpdate({
+      firstName: 'Jane',
+      address: '1 Main Street',
+      salary: 90000,
+      timezone: 'Asia/Kolkata'
+    });
+
+    expect(direct).toEqual({ firstName: 'Jane' });
+    expect(approval).toEqual({ address: '1 Main Street' });
+    expect(blocked).toEqual(['salary', 'timezone']);
+  });
+});
+
+describe('applySelfServicePolicy', () => {
+  beforeEach(() => {
+    jest.spyOn(CustomField, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(User, 'findById').mockImplementation(async () => employee());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('ignores HR-only fields resubmitted unchanged', async () => {
+    const result = await applySelfServicePolicy('64b7f0c2e1a2b3c4d5e6f701', {
+      firstName: 'Janet',
+      department: 'Engineering',
+      position: 'Developer',
+      salary: '50000'
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.direct).toEqual({ firstName: 'Janet' });
+    expect(result.changeRequest).toBeNull();
+  });
+
+  test('refuses HR-only fields that change', async () => {
+    const result = await applySelfServicePolicy('64b7f0c2e1a2b3c4d5e6f701', {
+      firstName: 'Janet',
+      department: 'Engineering',
+      salary: 90000
+    });
+
+    expect(result.status).toBe(403);
+    expect(result.error).toBe('Only HR can change: salary');
+  });
+});
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { detectImageType, photoUrl, saveProfilePhoto, removeProfilePhoto, getPhotoDir } from '../utils/profilePhotos.js';
+
+describe('detectImageType', () => {
+  test('identifies images by their leading bytes', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#336699' } }).png().toBuffer();
+    const jpeg = await sharp(png).jpeg().toBuffer();
+    const webp = await sharp(png).webp().toBuffer();
+
+    expect(detectImageType(png)).toBe('png');
+    expect(detectImageType(jpeg)).toBe('jpeg');
+    expect(detectImageType(webp)).toBe('webp');
+  });
+
+  test('rejects other content whatever its extension', () => {
+    expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+    expect(detectImageType(Buffer.from([0xff, 0xd8]))).toBeNull();
+    expect(detectImageType(undefined)).toBeNull();
+  });
+});
+
+describe('saveProfilePhoto', () => {
+  const uploadDir = process.env.UPLOAD_DIR;
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'photos-'));
+    process.env.UPLOAD_DIR = dir;
+  });
+
+  afterEach(async () => {
+    if (uploadDir === undefined) {
+      delete process.env.UPLOAD_DIR;
+    } else {
+      process.env.UPLOAD_DIR = uploadDir;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes square WebP renditions under random names', async () => {
+    const photo = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#ff0000' } }).jpeg().toBuffer();
+
+    const { files } = await saveProfilePhoto('64b7f0c2e1a2b3c4d5e6f701', photo);
+
+    expect(Object.keys(files)).toEqual(['small', 'medium', 'large']);
+    expect(files.small).toMatch(/^64b7f0c2e1a2b3c4d5e6f701-[0-9a-f]{16}-small\.webp$/);
+    expect(photoUrl(files.small)).toBe(`/api/photos/${files.small}`);
+
+    const metadata = await sharp(path.join(getPhotoDir(), files.medium)).metadata();
+    expect(metadata).toMatchObject({ format: 'webp', width: 256, height: 256 });
+
+    await removeProfilePhoto(files);
+    expect(await fs.readdir(getPhotoDir())).toEqual([]);
+  });
+
+  test('refuses files that are not images', async () => {
+    const result = await saveProfilePhoto('64b7f0c2e1a2b3c4d5e6f701', Buffer.from('not an image at all'));
+
+    expect(result.error).toBe('Photo must be a JPEG, PNG or WebP image');
+  });
+});
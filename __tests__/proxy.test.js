@@ -0,0 +1,60 @@
+import express from 'express';
+import request from 'supertest';
+import { getTrustedProxies } from '../api/index.js';
+
+describe('trust proxy', () => {
+  const saved = { TRUST_PROXY: process.env.TRUST_PROXY, VERCEL: process.env.VERCEL };
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+  });
+
+  test('is off outside Vercel unless TRUST_PROXY is set', () => {
+    delete process.env.TRUST_PROXY;
+    delete process.env.VERCEL;
+
+    expect(getTrustedProxies()).toBe(0);
+  });
+
+  test('trusts the Vercel edge by default', () => {
+    delete process.env.TRUST_PROXY;
+    process.env.VERCEL = '1';
+
+    expect(getTrustedProxies()).toBe(1);
+  });
+
+  test('TRUST_PROXY sets the hop count, including turning it off', () => {
+    process.env.VERCEL = '1';
+
+    process.env.TRUST_PROXY = '2';
+    expect(getTrustedProxies()).toBe(2);
+
+    process.env.TRUST_PROXY = '0';
+    expect(getTrustedProxies()).toBe(0);
+  });
+
+  test('a client cannot choose its IP with X-Forwarded-For when off', async () => {
+    const probe = express();
+    probe.get('/', (req, res) => res.json({ ip: req.ip }));
+
+    const res = await request(probe).get('/').set('X-Forwarded-For', '203.0.113.9');
+
+    expect(res.body.ip).not.toBe('203.0.113.9');
+  });
+
+  test('the client IP comes from X-Forwarded-For behind one proxy', async () => {
+    const probe = express();
+    probe.set('trust proxy', 1);
+    probe.get('/', (req, res) => res.json({ ip: req.ip }));
+
+    const res = await request(probe).get('/').set('X-Forwarded-For', '198.51.100.1, 203.0.113.9');
+
+    expect(res.body.ip).toBe('203.0.113.9');
+  });
+});
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Attendance from '../models/Attendance.js';
+import AttendanceRegularization from '../models/AttendanceRegularization.js';
+import Setting from '../models/Setting.js';
+import { getMonthlyUsage, createRegularizationRequest, applyRegularization } from '../utils/regularization.js';
+
+const employee = {
+  _id: new mongoose.Types.ObjectId(),
+  timezone: 'UTC',
+  attendancePolicy: { type: 'office_only' }
+};
+
+const request = {
+  type: 'missed_punch',
+  date: '2024-05-06',
+  clockIn: '2024-05-06T09:00:00Z',
+  clockOut: '2024-05-06T18:00:00Z',
+  reason: 'Forgot to punch'
+};
+
+const mockUsage = (used) => {
+  jest.spyOn(Setting, 'getSettings').mockResolvedValue({
+    attendance: { regularizationLimits: { office_only: 3, field: 5, remote_allowed: 2 } }
+  });
+  jest.spyOn(AttendanceRegularization, 'countDocuments').mockResolvedValue(used);
+};
+
+describe('getMonthlyUsage', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts pending and approved requests for the calendar month', async () => {
+    mockUsage(2);
+
+    expect(await getMonthlyUsage(employee, new Date('2024-05-31T00:00:00Z'))).toEqual({ used: 2, limit: 3 });
+    expect(AttendanceRegularization.countDocuments).toHaveBeenCalledWith({
+      employee: employee._id,
+      date: { $gte: new Date('2024-05-01T00:00:00Z'), $lt: new Date('2024-06-01T00:00:00Z') },
+      status: { $in: ['pending', 'approved'] }
+    });
+  });
+
+  test('uses the limit of the employee attendance policy', async () => {
+    mockUsage(0);
+
+    expect((await getMonthlyUsage({ ...employee, attendancePolicy: { type: 'remote_allowed' } }, new Date())).limit).toBe(2);
+  });
+
+  test('allows no requests for a policy without a configured limit', async () => {
+    mockUsage(0);
+
+    expect((await getMonthlyUsage({ ...employee, attendancePolicy: { type: 'hybrid' } }, new Date())).limit).toBe(0);
+  });
+});
+
+describe('createRegularizationRequest', () => {
+  beforeEach(() => {
+    jest.spyOn(Attendance, 'findOne').mockResolvedValue(null);
+    jest.spyOn(AttendanceRegularization, 'exists').mockResolvedValue(null);
+    jest.spyOn(AttendanceRegularization.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('creates a request while under the monthly limit', async () => {
+    mockUsage(2);
+
+    const result = await createRegularizationRequest(employee, request);
+
+    expect(result.error).toBeUndefined();
+    expect(result.request.status).toBe('pending');
+    expect(result.request.date).toEqual(new Date('2024-05-06T00:00:00Z'));
+  });
+
+  test('refuses requests once the monthly limit is reached', async () => {
+    mockUsage(3);
+
+    const result = await createRegularizationRequest(employee, request);
+
+    expect(result).toEqual({ error: 'Monthly limit of 3 regularization requests reached' });
+    expect(AttendanceRegularization.collection.insertOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses requests when the policy has no configured limit', async () => {
+    mockUsage(0);
+
+    const result = await createRegularizationRequest({ ...employee, attendancePolicy: { type: 'hybrid' } }, request);
+
+    expect(result).toEqual({ error: 'Monthly limit of 0 regularization requests reached' });
+    expect(AttendanceRegularization.collection.insertOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses a second pending request for the same day', async () => {
+    mockUsage(0);
+    AttendanceRegularization.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const result = await createRegularizationRequest(employee, request);
+
+    expect(result.error).toBe('You already have a pending regularization request for this day');
+  });
+
+  test('refuses times outside the day being regularized', async () => {
+    mockUsage(0);
+
+    const result = await createRegularizationRequest(employee, { ...request, clockOut: '2024-05-08T01:00:00Z' });
+
+    expect(result.error).toBe('Requested times must fall on the day being regularized and not be in the future');
+  });
+
+  test('needs both times for a day without attendance', async () => {
+    mockUsage(0);
+
+    const result = await createRegularizationRequest(employee, { ...request, clockOut: undefined });
+
+    expect(result.error).toBe('No attendance recorded on this day; give both clock-in and clock-out times');
+  });
+});
+
+describe('applyRegularization', () => {
+  beforeEach(() => {
+    jest.spyOn(Attendance.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('corrects the day and clears location flags for on-duty requests', async () => {
+    const attendance = Attendance.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      employee: employee._id,
+      date: new Date('2024-05-06T00:00:00Z'),
+      clockIn: new Date('2024-05-06T09:00:00Z'),
+      breakTime: 0,
+      punches: [{ type: 'in', at: new Date('2024-05-06T09:00:00Z'), flagReason: 'outside_zone' }]
+    });
+    jest.spyOn(Attendance, 'findOne').mockResolvedValue(attendance);
+
+    const approverId = new mongoose.Types.ObjectId();
+    const result = await applyRegularization({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'on_duty',
+      date: attendance.date,
+      clockOut: new Date('2024-05-06T18:00:00Z')
+    }, employee, approverId);
+
+    expect(result.error).toBeUndefined();
+    expect(attendance.clockOut).toEqual(new Date('2024-05-06T18:00:00Z'));
+    expect(attendance.workingHours).toBe(9);
+    expect(attendance.flagged).toBe(false);
+    expect(attendance.isManual).toBe(true);
+    expect(attendance.approvedBy).toEqual(approverId);
+  });
+});
@@ -0,0 +1,25 @@
+import request from 'supertest';
+import app from '../api/index.js';
+
+// Every API router is mounted and refuses requests without a token
+describe('API routes', () => {
+  const protectedPaths = [
+    '/api/employees',
+    '/api/attendance',
+    '/api/leaves',
+    '/api/salaries',
+    '/api/documents',
+    '/api/dashboard/stats'
+  ];
+
+  test.each(protectedPaths)('%s requires authentication', async (path) => {
+    const res = await request(app).get(path);
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('unknown API paths are not found', async () => {
+    const res = await request(app).get('/api/does-not-exist');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,42 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+
+const newSession = (fields = {}) => new Session({
+  user: new mongoose.Types.ObjectId(),
+  refreshTokenHash: 'hash',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+describe('Session', () => {
+  test('hashes refresh tokens deterministically without storing them', () => {
+    const token = Session.generateRefreshToken();
+    expect(token).toMatch(/^[0-9a-f]{96}$/);
+    expect(Session.hashToken(token)).toBe(Session.hashToken(token));
+    expect(Session.hashToken(token)).not.toContain(token);
+  });
+
+  test('generates a different refresh token each time', () => {
+    expect(Session.generateRefreshToken()).not.toBe(Session.generateRefreshToken());
+  });
+
+  test('is active until revoked or expired', () => {
+    expect(newSession().isActive).toBe(true);
+    expect(newSession({ revokedAt: new Date() }).isActive).toBe(false);
+    expect(newSession({ expiresAt: new Date(Date.now() - 1000) }).isActive).toBe(false);
+  });
+
+  test('revoke records the reason once', async () => {
+    const session = newSession();
+    const save = jest.spyOn(session, 'save').mockResolvedValue(session);
+
+    await session.revoke('admin');
+    const revokedAt = session.revokedAt;
+    await session.revoke('logout');
+
+    expect(session.revokedReason).toBe('admin');
+    expect(session.revokedAt).toBe(revokedAt);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
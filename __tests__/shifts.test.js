@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Shift from '../models/Shift.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import ShiftRotation from '../models/ShiftRotation.js';
+import { parseTime, buildSchedule, getEmployeeSchedule, resolveClockInSchedule } from '../utils/shifts.js';
+
+const day = value => new Date(`${value}T00:00:00Z`);
+
+const morning = { _id: new mongoose.Types.ObjectId(), startTime: '09:00', endTime: '18:00', graceMinutes: 10, minHours: 8, halfDayHours: 4 };
+const night = { _id: new mongoose.Types.ObjectId(), startTime: '22:00', endTime: '06:00', graceMinutes: 10, minHours: 7, halfDayHours: 4 };
+
+// ShiftAssignment.find(...).populate(...).sort(...) resolving to assignments
+const mockAssignments = (assignments) => {
+  jest.spyOn(ShiftAssignment, 'find').mockReturnValue({ populate: () => ({ sort: async () => assignments }) });
+  jest.spyOn(Shift, 'find').mockResolvedValue([morning, night]);
+};
+
+describe('parseTime', () => {
+  test('converts HH:mm to minutes after midnight', () => {
+    expect(parseTime('00:00')).toBe(0);
+    expect(parseTime('09:30')).toBe(570);
+    expect(parseTime('23:59')).toBe(1439);
+  });
+});
+
+describe('buildSchedule', () => {
+  test('times a day shift in the employee timezone', () => {
+    const schedule = buildSchedule(morning, day('2024-05-06'), 'Asia/Kolkata');
+
+    expect(schedule.start).toEqual(new Date('2024-05-06T03:30:00Z'));
+    expect(schedule.end).toEqual(new Date('2024-05-06T12:30:00Z'));
+    expect(schedule.graceMinutes).toBe(10);
+  });
+
+  test('ends a night shift on the following day', () => {
+    const schedule = buildSchedule(night, day('2024-05-06'), 'Asia/Kolkata');
+
+    expect(schedule.start).toEqual(new Date('2024-05-06T16:30:00Z'));
+    expect(schedule.end).toEqual(new Date('2024-05-07T00:30:00Z'));
+  });
+
+  test('reflects a DST change during a night shift', () => {
+    const schedule = buildSchedule(night, day('2024-03-09'), 'America/New_York');
+
+    expect((schedule.end - schedule.start) / 3600000).toBe(7);
+  });
+});
+
+describe('ShiftRotation.shiftForDay', () => {
+  const rotation = new ShiftRotation({
+    name: 'Two on, one off',
+    pattern: [{ shift: morning._id, days: 2 }, { days: 1 }]
+  });
+
+  test('repeats the pattern with rest days', () => {
+    expect([0, 1, 2, 3, 4, 5].map(index => rotation.shiftForDay(index)?.toString() ?? null)).toEqual([
+      morning._id.toString(), morning._id.toString(), null,
+      morning._id.toString(), morning._id.toString(), null
+    ]);
+  });
+
+  test('handles days before the rotation started', () => {
+    expect(rotation.shiftForDay(-1)).toBeNull();
+    expect(rotation.shiftForDay(-2).toString()).toBe(morning._id.toString());
+  });
+});
+
+describe('getEmployeeSchedule', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('marks unassigned days, rest days and worked shifts', async () => {
+    mockAssignments([
+      {
+        effectiveFrom: day('2024-05-07'),
+        effectiveTo: null,
+        rotation: new ShiftRotation({ name: 'Alternate', pattern: [{ shift: morning._id, days: 1 }, { days: 1 }] })
+      }
+    ]);
+
+    const days = await getEmployeeSchedule('e1', day('2024-05-06'), day('2024-05-08'), 'UTC');
+
+    expect(days.map(({ assigned, restDay }) => ({ assigned, restDay }))).toEqual([
+      { assigned: false, restDay: false },
+      { assigned: true, restDay: false },
+      { assigned: true, restDay: true }
+    ]);
+    expect(days[1].shift).toBe(morning);
+    expect(days[1].schedule.start).toEqual(new Date('2024-05-07T09:00:00Z'));
+  });
+});
+
+describe('resolveClockInSchedule', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('keeps a clock-in during last night\'s shift on the day it started', async () => {
+    mockAssignments([{ effectiveFrom: day('2024-01-01'), effectiveTo: null, shift: night._id }]);
+
+    const result = await resolveClockInSchedule('e1', new Date('2024-05-07T03:00:00Z'), 'UTC');
+
+    expect(result.date).toEqual(day('2024-05-06'));
+    expect(result.schedule.end).toEqual(new Date('2024-05-07T06:00:00Z'));
+  });
+
+  test('uses today\'s shift once last night\'s has ended', async () => {
+    mockAssignments([{ effectiveFrom: day('2024-01-01'), effectiveTo: null, shift: morning._id }]);
+
+    const result = await resolveClockInSchedule('e1', new Date('2024-05-07T08:55:00Z'), 'UTC');
+
+    expect(result.date).toEqual(day('2024-05-07'));
+    expect(result.shift).toBe(morning);
+  });
+});
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { getAccessibleEmployeeIds, canAccessEmployee, isInTeam } from '../middleware/auth.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('User.wouldCreateCycle', () => {
+  // Reporting lines: ceo <- cto <- lead
+  const ceo = id();
+  const cto = id();
+  const lead = id();
+  const managers = new Map([[ceo.toString(), null], [cto.toString(), ceo], [lead.toString(), cto]]);
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(userId => ({
+      select: () => ({ lean: async () => ({ manager: managers.get(userId.toString()) }) })
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('allows a manager outside the reporting line', async () => {
+    expect(await User.wouldCreateCycle(id(), lead)).toBe(false);
+    expect(await User.wouldCreateCycle(lead, null)).toBe(false);
+  });
+
+  test('refuses self-management and managers who report to the employee', async () => {
+    expect(await User.wouldCreateCycle(lead, lead)).toBe(true);
+    expect(await User.wouldCreateCycle(ceo, lead)).toBe(true);
+  });
+});
+
+describe('team-scoped access', () => {
+  const self = id();
+  const report = id();
+  const stranger = id();
+  const request = permissions => ({ user: { _id: self }, permissions, teamIds: [report] });
+
+  test('read:all sees everyone', async () => {
+    expect(await getAccessibleEmployeeIds(request(['leave:read:all']), 'leave')).toBeNull();
+    expect(await canAccessEmployee(request(['leave:read:all']), 'leave', stranger)).toBe(true);
+  });
+
+  test('read:team sees self and reports', async () => {
+    const req = request(['leave:read:team']);
+    expect(await getAccessibleEmployeeIds(req, 'leave')).toEqual([self, report]);
+    expect(await canAccessEmployee(req, 'leave', report.toString())).toBe(true);
+    expect(await canAccessEmployee(req, 'leave', stranger)).toBe(false);
+  });
+
+  test('without a read permission only own records', async () => {
+    const req = request([]);
+    expect(await getAccessibleEmployeeIds(req, 'leave')).toEqual([self]);
+    expect(await canAccessEmployee(req, 'leave', report)).toBe(false);
+  });
+
+  test('isInTeam checks the reporting line', async () => {
+    expect(await isInTeam(request([]), report)).toBe(true);
+    expect(await isInTeam(request([]), stranger)).toBe(false);
+  });
+});
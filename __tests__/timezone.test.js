@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import Setting from '../models/Setting.js';
+import {
+  isValidTimeZone,
+  getZonedParts,
+  toCalendarDay,
+  parseCalendarDay,
+  addCalendarDays,
+  zonedDateTime,
+  getEmployeeTimeZone
+} from '../utils/timezone.js';
+
+const day = value => new Date(`${value}T00:00:00Z`);
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names only', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
+
+describe('toCalendarDay', () => {
+  test('returns the day an instant falls on in the timezone', () => {
+    const instant = new Date('2024-05-06T20:00:00Z');
+
+    expect(toCalendarDay(instant, 'UTC')).toEqual(day('2024-05-06'));
+    expect(toCalendarDay(instant, 'Asia/Kolkata')).toEqual(day('2024-05-07'));
+    expect(toCalendarDay(instant, 'Pacific/Honolulu')).toEqual(day('2024-05-06'));
+  });
+});
+
+describe('parseCalendarDay', () => {
+  test('takes the date part as written', () => {
+    expect(parseCalendarDay('2024-05-06')).toEqual(day('2024-05-06'));
+    expect(parseCalendarDay('2024-05-06T23:30:00-05:00')).toEqual(day('2024-05-06'));
+    expect(parseCalendarDay(new Date('2024-05-06T10:00:00Z'))).toEqual(day('2024-05-06'));
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseCalendarDay('06/05/2024')).toBeNull();
+    expect(parseCalendarDay(undefined)).toBeNull();
+  });
+});
+
+describe('zonedDateTime', () => {
+  test('resolves wall-clock times in fixed and DST timezones', () => {
+    expect(zonedDateTime(day('2024-05-06'), 9 * 60 + 30, 'Asia/Kolkata')).toEqual(new Date('2024-05-06T04:00:00Z'));
+    expect(zonedDateTime(day('2024-01-15'), 9 * 60, 'America/New_York')).toEqual(new Date('2024-01-15T14:00:00Z'));
+    expect(zonedDateTime(day('2024-07-15'), 9 * 60, 'America/New_York')).toEqual(new Date('2024-07-15T13:00:00Z'));
+  });
+
+  test('moves a time skipped by the clocks going forward by the gap', () => {
+    expect(zonedDateTime(day('2024-03-10'), 2 * 60 + 30, 'America/New_York')).toEqual(new Date('2024-03-10T07:30:00Z'));
+    expect(zonedDateTime(day('2024-03-31'), 60 + 30, 'Europe/London')).toEqual(new Date('2024-03-31T01:30:00Z'));
+  });
+
+  test('resolves a repeated time to one of its occurrences', () => {
+    const instant = zonedDateTime(day('2024-11-03'), 60 + 30, 'America/New_York');
+
+    expect(['2024-11-03T05:30:00.000Z', '2024-11-03T06:30:00.000Z']).toContain(instant.toISOString());
+    expect(getZonedParts(instant, 'America/New_York')).toMatchObject({ day: 3, hour: 1, minute: 30 });
+  });
+
+  test('measures a day across a DST change by its real length', () => {
+    const start = zonedDateTime(day('2024-03-10'), 0, 'America/New_York');
+    const end = zonedDateTime(addCalendarDays(day('2024-03-10'), 1), 0, 'America/New_York');
+
+    expect((end - start) / 3600000).toBe(23);
+  });
+});
+
+describe('getEmployeeTimeZone', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('prefers the employee timezone over the organisation one', async () => {
+    jest.spyOn(Setting, 'getSettings').mockResolvedValue({ timezone: 'Europe/London' });
+
+    expect(await getEmployeeTimeZone({ timezone: 'Asia/Kolkata' })).toBe('Asia/Kolkata');
+    expect(await getEmployeeTimeZone({})).toBe('Europe/London');
+  });
+});
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { generateSecret, generateToken, verifyToken, buildOtpauthUrl } from '../utils/totp.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 SHA-1 vector at %i seconds', (seconds, code) => {
+    expect(generateToken(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  test('accepts codes one step either side and returns the matched step', () => {
+    const secret = generateSecret();
+    const now = 1700000000000;
+    const step = Math.floor(now / 30000);
+
+    expect(verifyToken(secret, generateToken(secret, now), 1, now)).toBe(step);
+    expect(verifyToken(secret, generateToken(secret, now - 30000), 1, now)).toBe(step - 1);
+    expect(verifyToken(secret, generateToken(secret, now + 30000), 1, now)).toBe(step + 1);
+    expect(verifyToken(secret, generateToken(secret, now - 60000), 1, now)).toBeNull();
+  });
+
+  test('rejects codes that are not six digits', () => {
+    const secret = generateSecret();
+    expect(verifyToken(secret, '12345')).toBeNull();
+    expect(verifyToken(secret, 'abcdef')).toBeNull();
+  });
+
+  test('generates 32-character base32 secrets', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test('builds an otpauth URL for authenticator apps', () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, 'jane@example.com', 'EMS'));
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/EMS:jane@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('digits')).toBe('6');
+  });
+});
+
+describe('recovery codes', () => {
+  const newUser = () => new User({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' });
+
+  test('stores only hashes and can be used once each', () => {
+    const user = newUser();
+    const codes = user.generateRecoveryCodes(3);
+
+    expect(codes).toHaveLength(3);
+    expect(user.twoFactor.recoveryCodes).not.toContain(codes[0]);
+
+    expect(user.useRecoveryCode(` ${codes[0].toUpperCase()} `)).toBe(true);
+    expect(user.useRecoveryCode(codes[0])).toBe(false);
+    expect(user.twoFactor.recoveryCodes).toHaveLength(2);
+  });
+});
@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import Role from '../models/Role.js';
+import { protect, protectAllowingTwoFactorSetup } from '../middleware/auth.js';
+import { mockResponse } from './helpers/http.js';
+
+describe('mandatory admin 2FA', () => {
+  const secret = process.env.JWT_SECRET;
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  // Request from a signed-in user with the given role and 2FA state
+  const signedIn = ({ role, twoFactorEnabled }) => {
+    jest.spyOn(Session, 'findById').mockResolvedValue({ _id: sessionId, user: userId, isActive: true });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: async () => ({ _id: userId, role, isActive: true, twoFactor: { enabled: twoFactorEnabled } })
+    });
+    jest.spyOn(Role, 'getPermissions').mockResolvedValue(['*']);
+
+    const token = jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET);
+    return { headers: { authorization: `Bearer ${token}` } };
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(Setting, 'getSettings').mockResolvedValue({ security: { requireAdminTwoFactor: true } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (secret === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = secret;
+    }
+  });
+
+  test('protect refuses admins who have not enabled 2FA', async () => {
+    const req = signedIn({ role: 'admin', twoFactorEnabled: false });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await protect(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('admins without 2FA can still reach the enrolment routes', async () => {
+    const req = signedIn({ role: 'admin', twoFactorEnabled: false });
+    const next = jest.fn();
+
+    await protectAllowingTwoFactorSetup(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user._id).toBe(userId);
+  });
+
+  test.each([
+    [{ role: 'admin', twoFactorEnabled: true }],
+    [{ role: 'hr', twoFactorEnabled: false }]
+  ])('protect lets through %o', async (user) => {
+    const next = jest.fn();
+
+    await protect(signedIn(user), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('protect still requires a valid token', async () => {
+    const res = mockResponse();
+
+    await protect({ headers: {} }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -7,6 +7,22 @@ dotenv.config();
 
 const app = express();
 
+// Number of proxies in front of the app whose X-Forwarded-For gives the
+// client IP: TRUST_PROXY when set, otherwise Vercel's edge (1) when running
+// there and none elsewhere. Trusting hops that are not there would let any
+// client pick the IP that rate limits, lockouts and office network checks see.
+const getTrustedProxies = (env = process.env) => {
+  if (env.TRUST_PROXY !== undefined && env.TRUST_PROXY !== "") {
+    return parseInt(env.TRUST_PROXY) || 0;
+  }
+  return env.VERCEL ? 1 : 0;
+};
+
+const trustedProxies = getTrustedProxies();
+if (trustedProxies > 0) {
+  app.set("trust proxy", trustedProxies);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -21,15 +37,55 @@ mongoose
   .then(() => console.log("MongoDB connected"))
   .catch((err) => console.error("MongoDB connection error:", err));
 
+// Processed profile photos; file names are random so URLs cannot be guessed
+import { PHOTO_URL_PATH, getPhotoDir } from '../utils/profilePhotos.js';
+app.use(PHOTO_URL_PATH, express.static(getPhotoDir(), { index: false, maxAge: '30d', immutable: true }));
+
 // Routes
 import authRoutes from '../routes/auth.js';
 import employeeRoutes from '../routes/employees.js';
 import attendanceRoutes from '../routes/attendance.js';
+import leaveRoutes from '../routes/leaves.js';
+import salaryRoutes from '../routes/salaries.js';
+import documentRoutes from '../routes/documents.js';
+import dashboardRoutes from '../routes/dashboard.js';
+import settingRoutes from '../routes/settings.js';
+import invitationRoutes from '../routes/invitations.js';
+import roleRoutes from '../routes/roles.js';
+import departmentRoutes from '../routes/departments.js';
+import positionRoutes from '../routes/positions.js';
+import lifecycleRoutes from '../routes/lifecycle.js';
+import profileChangeRoutes from '../routes/profileChanges.js';
+import customFieldRoutes from '../routes/customFields.js';
+import directoryRoutes from '../routes/directory.js';
+import shiftRoutes from '../routes/shifts.js';
+import workLocationRoutes from '../routes/workLocations.js';
+import regularizationRoutes from '../routes/regularizations.js';
+import errorHandler from '../middleware/errorHandler.js';
 
 app.use('/api/auth', authRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/attendance', attendanceRoutes);
-// TODO: Add other routes
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/salaries', salaryRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/positions', positionRoutes);
+app.use('/api/lifecycle', lifecycleRoutes);
+app.use('/api/profile-changes', profileChangeRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/directory', directoryRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/work-locations', workLocationRoutes);
+app.use('/api/regularizations', regularizationRoutes);
+
+// Central error handler (must be registered after all routes)
+app.use(errorHandler);
 
 // ❌ DO NOT use app.listen() here
+export { getTrustedProxies };
 export default app;
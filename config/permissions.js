@@ -0,0 +1,140 @@
+// Permission catalogue. Names are `resource:action` with an optional scope
+// suffix (`:all`, `:team`). Access to one's own records needs no permission.
+const PERMISSIONS = {
+  'employee:read': 'View all employee profiles',
+  'employee:create': 'Create and invite employees',
+  'employee:update': 'Edit any employee profile',
+  'employee:delete': 'Deactivate employees',
+  'employee:stats': 'View employee statistics',
+  'employee:manage_access': 'Revoke sessions, unlock accounts, reset 2FA and view login history',
+  'employee:reveal_sensitive': 'View unmasked identity and bank details (audited)',
+  'employee:export_data': 'Download a copy of all personal data held about an employee (audited)',
+  'employee:anonymise': 'Anonymise departed employees after the retention period',
+  'profile_change:approve': 'Approve or reject employee requests to change personal data',
+  'attendance:read:all': 'View attendance of all employees',
+  'attendance:read:team': 'View attendance of own team',
+  'attendance:update': 'Correct attendance records',
+  'attendance:approve': 'Approve or reject any attendance regularization request',
+  'attendance:approve:team': 'Approve or reject attendance regularization requests of own team',
+  'shift:manage': 'Define shifts and rotations and assign them to employees',
+  'work_location:manage': 'Define office geofences and network ranges for clock-in',
+  'leave:read:all': 'View leave requests of all employees',
+  'leave:read:team': 'View leave requests of own team',
+  'leave:approve': 'Approve or reject any leave request',
+  'leave:approve:team': 'Approve or reject leave requests of own team',
+  'leave:stats': 'View leave statistics',
+  'salary:read:all': 'View salaries of all employees',
+  'salary:read:team': 'View salaries of own team',
+  'salary:create': 'Create salary records',
+  'salary:update': 'Edit salary records and mark them paid',
+  'salary:delete': 'Delete salary records',
+  'salary:stats': 'View payroll statistics',
+  'document:read:all': 'View documents of all employees',
+  'document:upload:any': 'Upload documents on behalf of employees',
+  'document:update': 'Edit document details',
+  'document:verify': 'Verify employee documents',
+  'document:delete:all': 'Delete any document',
+  'document:stats': 'View document statistics',
+  'lifecycle:manage': 'Manage onboarding, offboarding, exits and checklist templates',
+  'lifecycle:it_tasks': 'Complete IT tasks on onboarding and offboarding checklists',
+  'department:manage': 'Create and edit departments',
+  'position:manage': 'Create and edit job positions',
+  'custom_field:manage': 'Define custom fields on employee records',
+  'dashboard:view': 'View the admin dashboard',
+  'invitation:manage': 'List, resend and revoke invitations',
+  'role:manage': 'Create and edit roles and assign them to users',
+  'settings:manage': 'Change organisation settings'
+};
+
+// Roles created on first use. System roles cannot be deleted.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Full access to every feature',
+    permissions: ['*'],
+    isSystem: true
+  },
+  {
+    name: 'employee',
+    label: 'Employee',
+    description: 'Access to own records only',
+    permissions: [],
+    isSystem: true
+  },
+  {
+    name: 'hr',
+    label: 'HR',
+    description: 'Manages employee records, leave and documents',
+    permissions: [
+      'employee:read', 'employee:create', 'employee:update', 'employee:delete', 'employee:stats',
+      'employee:reveal_sensitive', 'employee:export_data', 'profile_change:approve',
+      'attendance:read:all', 'attendance:update', 'attendance:approve', 'shift:manage', 'work_location:manage',
+      'leave:read:all', 'leave:approve', 'leave:stats',
+      'document:read:all', 'document:upload:any', 'document:update', 'document:verify', 'document:stats',
+      'department:manage', 'position:manage', 'custom_field:manage',
+      'lifecycle:manage',
+      'invitation:manage'
+    ],
+    isSystem: true
+  },
+  {
+    name: 'payroll_officer',
+    label: 'Payroll Officer',
+    description: 'Runs payroll',
+    permissions: [
+      'employee:read', 'employee:reveal_sensitive',
+      'attendance:read:all',
+      'salary:read:all', 'salary:create', 'salary:update', 'salary:delete', 'salary:stats'
+    ],
+    isSystem: true
+  },
+  {
+    name: 'department_manager',
+    label: 'Department Manager',
+    description: 'Oversees their own team',
+    permissions: ['attendance:read:team', 'attendance:approve:team', 'leave:read:team', 'leave:approve:team'],
+    isSystem: true
+  },
+  {
+    name: 'auditor',
+    label: 'Auditor',
+    description: 'Read-only access for audits',
+    permissions: [
+      'employee:read', 'employee:stats',
+      'attendance:read:all',
+      'leave:read:all', 'leave:stats',
+      'salary:read:all', 'salary:stats',
+      'document:read:all', 'document:stats',
+      'dashboard:view'
+    ],
+    isSystem: true
+  }
+];
+
+// Whether a granted permission list satisfies the required permission.
+// Supports the global wildcard `*` and resource wildcards such as `leave:*`.
+const hasPermission = (granted = [], permission) => {
+  return granted.some(grant => {
+    if (grant === '*' || grant === permission) return true;
+    if (grant.endsWith(':*')) return permission.startsWith(grant.slice(0, -1));
+    return false;
+  });
+};
+
+// Whether a permission name (or wildcard) is part of the catalogue
+const isKnownPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) return true;
+  if (permission.endsWith(':*')) {
+    const prefix = permission.slice(0, -1);
+    return Object.keys(PERMISSIONS).some(name => name.startsWith(prefix));
+  }
+  return false;
+};
+
+export {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  hasPermission,
+  isKnownPermission
+};
@@ -1,31 +1,95 @@
 import Attendance from '../models/Attendance.js';
+import { getAccessibleEmployeeIds, canAccessEmployee } from '../middleware/auth.js';
+import { resolveClockInSchedule } from '../utils/shifts.js';
+import { evaluatePunchLocation } from '../utils/geofence.js';
+import { toCalendarDay, parseCalendarDay, addCalendarDays, zonedDateTime, getEmployeeTimeZone } from '../utils/timezone.js';
+
+// The day's record an employee is currently clocked in on: today's, or one
+// from a night shift that started yesterday and ended after midnight
+const findOpenAttendance = async (employee, now) => {
+  const timeZone = await getEmployeeTimeZone(employee);
+  const today = toCalendarDay(now, timeZone);
+  const yesterday = addCalendarDays(today, -1);
+
+  return Attendance.findOne({
+    employee: employee._id,
+    clockOut: null,
+    $or: [
+      { date: { $gte: today, $lt: addCalendarDays(today, 1) } },
+      { date: { $gte: yesterday, $lt: today }, 'schedule.end': { $gt: zonedDateTime(today, 0, timeZone) } }
+    ]
+  }).sort({ date: -1 });
+};
+
+// Location details of a punch from the request, checked against the
+// employee's attendance policy. Punches outside the permitted zone are
+// recorded with a flag reason rather than refused.
+const getPunchDetails = async (req) => {
+  const coordinates = req.body.latitude !== undefined && req.body.longitude !== undefined
+    ? {
+      lat: Number(req.body.latitude),
+      lng: Number(req.body.longitude),
+      accuracy: req.body.accuracy !== undefined ? Number(req.body.accuracy) : undefined
+    }
+    : undefined;
+
+  const { workLocation, flagReason } = await evaluatePunchLocation(req.user, { coordinates, ip: req.ip });
 
-// @desc    Clock in
+  return {
+    location: req.body.location,
+    coordinates,
+    ip: req.ip,
+    workLocation: workLocation || undefined,
+    flagReason: flagReason || undefined
+  };
+};
+
+// @desc    Clock in (again after a clock-out for split shifts)
 // @route   POST /api/attendance/clock-in
 // @access  Private
 const clockIn = async (req, res) => {
   try {
     const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const timeZone = await getEmployeeTimeZone(req.user);
+    const punch = await getPunchDetails(req);
+
+    // The day is the one the employee's shift started on in their timezone,
+    // so clocking in after midnight during a night shift counts towards the
+    // previous day
+    const { date, shift, schedule } = await resolveClockInSchedule(req.user._id, now, timeZone);
+    const endOfDay = addCalendarDays(date, 1);
 
-    // Check if already clocked in today
     const existingAttendance = await Attendance.findOne({
       employee: req.user._id,
-      date: { $gte: startOfDay, $lt: endOfDay }
+      date: { $gte: date, $lt: endOfDay }
     });
 
     if (existingAttendance) {
-      return res.status(400).json({
-        success: false,
-        error: 'Already clocked in for today'
+      const result = existingAttendance.addPunch('in', now, punch);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      await existingAttendance.save();
+
+      return res.json({
+        success: true,
+        data: existingAttendance
       });
     }
 
     const attendance = await Attendance.create({
       employee: req.user._id,
-      date: startOfDay,
+      date,
+      timezone: timeZone,
       clockIn: now,
+      punches: [{ type: 'in', at: now, ...punch }],
+      schedule,
+      breakTime: shift ? shift.breakMinutes / 60 : 0,
       location: req.body.location
     });
 
@@ -47,14 +111,86 @@ const clockIn = async (req, res) => {
 const clockOut = async (req, res) => {
   try {
     const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const attendance = await findOpenAttendance(req.user, now);
 
-    const attendance = await Attendance.findOne({
-      employee: req.user._id,
-      date: { $gte: startOfDay, $lt: endOfDay },
-      clockOut: null
+    if (!attendance) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active clock-in found for today'
+      });
+    }
+
+    const result = attendance.addPunch('out', now, await getPunchDetails(req));
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (req.body.notes !== undefined) {
+      attendance.notes = req.body.notes;
+    }
+    await attendance.save();
+
+    res.json({
+      success: true,
+      data: attendance
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Start a break
+// @route   POST /api/attendance/break-start
+// @access  Private
+const startBreak = async (req, res) => {
+  try {
+    const now = new Date();
+    const attendance = await findOpenAttendance(req.user, now);
+
+    if (!attendance) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active clock-in found for today'
+      });
+    }
+
+    const result = attendance.addPunch('break_start', now, await getPunchDetails(req));
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await attendance.save();
+
+    res.json({
+      success: true,
+      data: attendance
     });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    End a break
+// @route   POST /api/attendance/break-end
+// @access  Private
+const endBreak = async (req, res) => {
+  try {
+    const now = new Date();
+    const attendance = await findOpenAttendance(req.user, now);
 
     if (!attendance) {
       return res.status(400).json({
@@ -63,8 +199,15 @@ const clockOut = async (req, res) => {
       });
     }
 
-    attendance.clockOut = now;
-    attendance.notes = req.body.notes;
+    const result = attendance.addPunch('break_end', now, await getPunchDetails(req));
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
     await attendance.save();
 
     res.json({
@@ -91,16 +234,24 @@ const getAttendance = async (req, res) => {
 
     let query = {};
 
-    // If employee, only show their own records
-    if (req.user.role === 'employee') {
-      query.employee = req.user._id;
-    } else if (req.query.employee) {
+    // Everyone sees their own records; managers their team; attendance:read:all everyone
+    const accessibleIds = await getAccessibleEmployeeIds(req, 'attendance');
+
+    if (req.query.employee) {
+      if (!(await canAccessEmployee(req, 'attendance', req.query.employee))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view this attendance'
+        });
+      }
       query.employee = req.query.employee;
+    } else if (accessibleIds) {
+      query.employee = { $in: accessibleIds };
     }
 
-    // Date range filter
+    // Date range filter (calendar days, inclusive)
     if (startDate && endDate) {
-      query.date = { $gte: startDate, $lte: endDate };
+      query.date = { $gte: parseCalendarDay(startDate), $lte: parseCalendarDay(endDate) };
     }
 
     const attendance = await Attendance.find(query)
@@ -131,22 +282,36 @@ const getAttendance = async (req, res) => {
 
 // @desc    Get attendance by date
 // @route   GET /api/attendance/date/:date
-// @access  Private/Admin
+// @access  Private (attendance:read:all)
 const getAttendanceByDate = async (req, res) => {
   try {
-    const queryDate = new Date(req.params.date);
-    const startOfDay = new Date(queryDate.getFullYear(), queryDate.getMonth(), queryDate.getDate());
-    const endOfDay = new Date(queryDate.getFullYear(), queryDate.getMonth(), queryDate.getDate() + 1);
+    // Each record's date is already the day in its employee's timezone
+    const day = parseCalendarDay(req.params.date);
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid date'
+      });
+    }
 
-    const attendance = await Attendance.find({
-      date: { $gte: startOfDay, $lt: endOfDay }
-    })
+    let query = {
+      date: { $gte: day, $lt: addCalendarDays(day, 1) }
+    };
+
+    if (req.query.flagged !== undefined) {
+      query.flagged = req.query.flagged === 'true';
+    }
+
+    const attendance = await Attendance.find(query)
       .populate('employee', 'firstName lastName email department')
+      .populate('punches.workLocation', 'code name')
       .sort({ clockIn: 1 });
 
     res.json({
       success: true,
-      data: attendance
+      data: attendance,
+      flagged: attendance.filter(record => record.flagged).length
     });
   } catch (error) {
     res.status(500).json({
@@ -162,7 +327,7 @@ const getAttendanceByDate = async (req, res) => {
 const getEmployeeAttendance = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.employeeId) {
+    if (!(await canAccessEmployee(req, 'attendance', req.params.employeeId))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view this attendance'
@@ -192,7 +357,7 @@ const getAttendanceStats = async (req, res) => {
   try {
     let employeeId = req.user._id;
 
-    if (req.user.role === 'admin' && req.query.employee) {
+    if (req.query.employee && await canAccessEmployee(req, 'attendance', req.query.employee)) {
       employeeId = req.query.employee;
     }
 
@@ -212,7 +377,7 @@ const getAttendanceStats = async (req, res) => {
 
 // @desc    Update attendance record
 // @route   PUT /api/attendance/:id
-// @access  Private/Admin
+// @access  Private (attendance:update)
 const updateAttendance = async (req, res) => {
   try {
     const attendance = await Attendance.findById(req.params.id);
@@ -224,10 +389,8 @@ const updateAttendance = async (req, res) => {
       });
     }
 
+    const { clockIn, clockOut } = req.body;
     const fieldsToUpdate = {
-      clockIn: req.body.clockIn,
-      clockOut: req.body.clockOut,
-      status: req.body.status,
       notes: req.body.notes,
       location: req.body.location
     };
@@ -237,17 +400,44 @@ const updateAttendance = async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
-    const updatedAttendance = await Attendance.findByIdAndUpdate(
-      req.params.id,
-      fieldsToUpdate,
-      { new: true, runValidators: true }
-    ).populate('employee', 'firstName lastName email');
+    // Move the first clock-in and last clock-out of the punch log with the
+    // corrected times, closing the day if it is still open
+    if (clockIn !== undefined || clockOut !== undefined) {
+      const result = attendance.correctTimes({ clockIn, clockOut });
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+    }
+
+    // A status given here overrides the one worked out from the hours until
+    // it is cleared with null
+    if (req.body.status !== undefined) {
+      attendance.statusOverride = req.body.status || undefined;
+    }
+
+    // Saved on the document so hours, lateness and status are recalculated
+    attendance.set(fieldsToUpdate);
+    attendance.isManual = true;
+    attendance.approvedBy = req.user._id;
+    await attendance.save();
+    await attendance.populate('employee', 'firstName lastName email');
 
     res.json({
       success: true,
-      data: updatedAttendance
+      data: attendance
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -258,6 +448,8 @@ const updateAttendance = async (req, res) => {
 export {
   clockIn,
   clockOut,
+  startBreak,
+  endBreak,
   getAttendance,
   getAttendanceByDate,
   getEmployeeAttendance,
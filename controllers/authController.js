@@ -1,10 +1,93 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Setting from '../models/Setting.js';
+import Invitation from '../models/Invitation.js';
+import Role from '../models/Role.js';
+import { sendEmail } from '../utils/mailer.js';
+import { recordEmployeeChanges } from '../utils/changeHistory.js';
+import { generateSecret, verifyToken, buildOtpauthUrl } from '../utils/totp.js';
+import { applySelfServicePolicy } from '../utils/profileChanges.js';
+import { filterCustomFieldsForEmployee } from '../utils/customFields.js';
+import { can } from '../middleware/auth.js';
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+
+// Generate short-lived access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Whether the user must still enrol in 2FA before using admin routes
+const isTwoFactorSetupRequired = async (user) => {
+  if (user.role !== 'admin' || user.twoFactor.enabled) {
+    return false;
+  }
+
+  const settings = await Setting.getSettings();
+  return settings.security.requireAdminTwoFactor;
+};
+
+// Store a login attempt in the user's login history
+const recordLoginAttempt = (req, { user, email, success, failureReason }) => {
+  return LoginAttempt.create({
+    user: user ? user._id : undefined,
+    email,
+    success,
+    failureReason,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+};
+
+// Create a new device session and return its raw refresh token
+const createSession = async (user, req) => {
+  const refreshToken = Session.generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    deviceName: req.body.deviceName,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Start a session for the user and send the token pair
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+  const token = generateToken(user._id, session._id);
+
+  res.status(statusCode).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        permissions: await Role.getPermissions(user.role),
+        twoFactorEnabled: user.twoFactor.enabled
+      },
+      token,
+      refreshToken,
+      twoFactorSetupRequired: await isTwoFactorSetupRequired(user)
+    }
   });
 };
 
@@ -13,7 +96,26 @@ const generateToken = (id) => {
 // @access  Public
 const register = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role } = req.body;
+    const { email, password, firstName, lastName } = req.body;
+
+    // Accounts are normally created by invitation; self-signup is opt-in
+    const { auth } = await Setting.getSettings();
+    if (auth.signupMode === 'disabled') {
+      return res.status(403).json({
+        success: false,
+        error: 'Self-registration is disabled. Please ask an administrator for an invitation'
+      });
+    }
+
+    if (auth.signupMode === 'domain') {
+      const domain = email.split('@')[1].toLowerCase();
+      if (!auth.allowedSignupDomains.includes(domain)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Registration is not allowed for this email domain'
+        });
+      }
+    }
 
     // Check if user exists
     const userExists = await User.findOne({ email });
@@ -30,24 +132,10 @@ const register = async (req, res) => {
       password,
       firstName,
       lastName,
-      role: role || 'employee'
+      role: 'employee'
     });
 
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role
-        },
-        token
-      }
-    });
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -66,36 +154,140 @@ const login = async (req, res) => {
     // Check for user
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, failureReason: 'unknown_user' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    // Invitation not yet accepted - no password to check
+    if (user.invitePending) {
+      await recordLoginAttempt(req, { user, email, success: false, failureReason: 'invite_pending' });
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
+    // Refuse while locked, without checking the password
+    if (user.isLocked) {
+      await recordLoginAttempt(req, { user, email, success: false, failureReason: 'locked' });
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        lockedUntil: user.lockUntil
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
+      await recordLoginAttempt(req, { user, email, success: false, failureReason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
-    const token = generateToken(user._id);
+    if (!user.isActive) {
+      await recordLoginAttempt(req, { user, email, success: false, failureReason: 'inactive' });
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role
-        },
-        token
-      }
+    // Second step required - hand out a challenge instead of a session
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        }
+      });
+    }
+
+    await user.registerSuccessfulLogin();
+    await recordLoginAttempt(req, { user, email, success: true });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
     });
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token'
+      });
+    }
+
+    if (user.isLocked) {
+      await recordLoginAttempt(req, { user, email: user.email, success: false, failureReason: 'locked' });
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    let verified = false;
+
+    if (code) {
+      const step = verifyToken(user.twoFactor.secret, code);
+      // Reject codes at or before the last accepted step to stop replays
+      if (step !== null && (user.twoFactor.lastUsedStep == null || step > user.twoFactor.lastUsedStep)) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (recoveryCode) {
+      verified = user.useRecoveryCode(recoveryCode);
+    }
+
+    if (!verified) {
+      await user.registerFailedLogin();
+      await recordLoginAttempt(req, { user, email: user.email, success: false, failureReason: 'invalid_2fa' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    await user.registerSuccessfulLogin();
+    await recordLoginAttempt(req, { user, email: user.email, success: true });
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -111,9 +303,40 @@ const getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
 
+    const data = user.toJSON();
+    if (!can(req, 'employee:read')) {
+      data.customFields = await filterCustomFieldsForEmployee(data.customFields);
+    }
+
     res.json({
       success: true,
-      data: user
+      data: {
+        ...data,
+        permissions: req.permissions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get login history of current user
+// @route   GET /api/auth/me/logins
+// @access  Private
+const getMyLogins = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { attempts, pagination } = await LoginAttempt.getHistory(req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: attempts,
+      pagination
     });
   } catch (error) {
     res.status(500).json({
@@ -128,7 +351,7 @@ const getMe = async (req, res) => {
 // @access  Private
 const updateDetails = async (req, res) => {
   try {
-    const fieldsToUpdate = {
+    let fieldsToUpdate = {
       firstName: req.body.firstName,
       lastName: req.body.lastName,
       department: req.body.department,
@@ -143,16 +366,47 @@ const updateDetails = async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    // HR can keep editing their own record directly
+    let changeRequest;
+    if (!can(req, 'employee:update')) {
+      const policy = await applySelfServicePolicy(req.user._id, fieldsToUpdate, {
+        reason: req.body.changeReason,
+        documents: req.body.documents
+      });
+
+      if (policy.error) {
+        return res.status(policy.status).json({
+          success: false,
+          error: policy.error
+        });
+      }
+
+      fieldsToUpdate = policy.direct;
+      changeRequest = policy.changeRequest;
+    }
+
+    const before = await User.findById(req.user._id);
+
     const user = await User.findByIdAndUpdate(req.user._id, fieldsToUpdate, {
       new: true,
       runValidators: true
     });
 
+    await recordEmployeeChanges(req, user._id, before, user, Object.keys(fieldsToUpdate));
+
     res.json({
       success: true,
-      data: user
+      data: user,
+      ...(changeRequest !== undefined && { changeRequest })
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -178,20 +432,484 @@ const updatePassword = async (req, res) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    const token = generateToken(user._id);
+    // A password change signs out every other device
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Start 2FA enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
 
     res.json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role
-        },
-        token
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyToken(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.role === 'admin') {
+      const settings = await Setting.getSettings();
+      if (settings.security.requireAdminTwoFactor) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication is mandatory for admin accounts'
+        });
       }
+    }
+
+    if (!(await user.comparePassword(req.body.password)) ||
+        verifyToken(user.twoFactor.secret, req.body.code) === null) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password or verification code is incorrect'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Replace 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (verifyToken(user.twoFactor.secret, req.body.code) === null) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    data: { message: 'If that email is registered, a reset link has been sent' }
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true, invitePending: { $ne: true } });
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `Hi ${user.firstName},\n\nUse the link below to reset your password. It expires shortly and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+      });
+    } catch (error) {
+      // Still the generic response: an error here would reveal the account exists
+      console.error('Password reset email failed:', error.message);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // Single use - clear the token together with the password change
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// Find the pending, unexpired invitation for a raw token
+const findValidInvitation = (token) => {
+  return Invitation.findOne({
+    tokenHash: Invitation.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }).populate('user', 'email firstName lastName invitePending isActive');
+};
+
+// @desc    Look up an invitation before accepting it
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findValidInvitation(req.params.token);
+
+    if (!invitation || !invitation.user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired invitation'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.user.email,
+        firstName: invitation.user.firstName,
+        lastName: invitation.user.lastName,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Accept an invitation and set a password
+// @route   POST /api/auth/invitations/:token/accept
+// @access  Public
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await findValidInvitation(req.params.token);
+
+    if (!invitation || !invitation.user || !invitation.user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired invitation'
+      });
+    }
+
+    const user = await User.findById(invitation.user._id);
+    user.password = req.body.password;
+    user.invitePending = false;
+    await user.save();
+
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const tokenHash = Session.hashToken(req.body.refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: kill that session
+      const reused = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reused) {
+        await reused.revoke('token_reuse');
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('deactivated');
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // Rotate the refresh token
+    const newRefreshToken = Session.generateRefreshToken();
+    session.previousTokenHash = tokenHash;
+    session.refreshTokenHash = Session.hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.ipAddress = req.ip;
+    await session.save();
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user._id, session._id),
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out all sessions of current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        current: session._id.toString() === req.sessionId?.toString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke one of current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await session.revoke('logout');
+
+    res.json({
+      success: true,
+      data: {}
     });
   } catch (error) {
     res.status(500).json({
@@ -204,7 +922,22 @@ const updatePassword = async (req, res) => {
 export {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  getMyLogins,
   updateDetails,
-  updatePassword
+  updatePassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  forgotPassword,
+  resetPassword,
+  getInvitation,
+  acceptInvitation,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession
 };
\ No newline at end of file
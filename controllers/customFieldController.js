@@ -0,0 +1,195 @@
+import CustomField from '../models/CustomField.js';
+import User from '../models/User.js';
+import { can } from '../middleware/auth.js';
+
+// @desc    Get custom field definitions
+// @route   GET /api/custom-fields
+// @access  Private
+const getCustomFields = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    // Employees only see the fields shown on their own profile
+    if (!can(req, 'employee:read') && !can(req, 'custom_field:manage')) {
+      query.visibility = 'employee';
+    }
+
+    const fields = await CustomField.find(query).sort({ order: 1, label: 1 });
+
+    res.json({
+      success: true,
+      data: fields
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Create custom field
+// @route   POST /api/custom-fields
+// @access  Private (custom_field:manage)
+const createCustomField = async (req, res) => {
+  try {
+    const { key, label, type, options, required, validation, visibility, editableByEmployee, order } = req.body;
+
+    const fieldExists = await CustomField.findOne({ key });
+    if (fieldExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Custom field with this key already exists'
+      });
+    }
+
+    const field = await CustomField.create({
+      key,
+      label,
+      type,
+      options,
+      required,
+      validation,
+      visibility,
+      editableByEmployee,
+      order,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update custom field (key and type cannot change)
+// @route   PUT /api/custom-fields/:id
+// @access  Private (custom_field:manage)
+const updateCustomField = async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom field not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      label: req.body.label,
+      options: req.body.options,
+      required: req.body.required,
+      validation: req.body.validation,
+      visibility: req.body.visibility,
+      editableByEmployee: req.body.editableByEmployee,
+      order: req.body.order,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    // Options still held by employees cannot be removed
+    if (fieldsToUpdate.options && ['select', 'multiselect'].includes(field.type)) {
+      const removed = field.options.filter(option => !fieldsToUpdate.options.includes(option));
+      const inUse = removed.length
+        ? await User.countDocuments({ [`customFields.${field.key}`]: { $in: removed } })
+        : 0;
+
+      if (inUse > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Options ${removed.join(', ')} are still set on ${inUse} employee(s)`
+        });
+      }
+    }
+
+    field.set(fieldsToUpdate);
+    await field.save();
+
+    res.json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete custom field (archived while employees still hold values)
+// @route   DELETE /api/custom-fields/:id
+// @access  Private (custom_field:manage)
+const deleteCustomField = async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom field not found'
+      });
+    }
+
+    const employees = await User.countDocuments({ [`customFields.${field.key}`]: { $exists: true, $ne: null } });
+
+    if (employees > 0) {
+      field.isActive = false;
+      await field.save();
+
+      return res.json({
+        success: true,
+        data: field,
+        archived: true
+      });
+    }
+
+    await field.deleteOne();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
@@ -1,22 +1,31 @@
-const User = require('../models/User');
-const Attendance = require('../models/Attendance');
-const Salary = require('../models/Salary');
-const Leave = require('../models/Leave');
-const Document = require('../models/Document');
+import User from '../models/User.js';
+import Attendance from '../models/Attendance.js';
+import Salary from '../models/Salary.js';
+import Leave from '../models/Leave.js';
+import Document from '../models/Document.js';
+import Department from '../models/Department.js';
+import { getEmploymentDue } from '../utils/employment.js';
+import { toCalendarDay, addCalendarDays, getOrganisationTimeZone } from '../utils/timezone.js';
 
 // @desc    Get dashboard statistics
 // @route   GET /api/dashboard/stats
-// @access  Private/Admin
+// @access  Private (dashboard:view)
 const getDashboardStats = async (req, res) => {
   try {
     // Employee statistics
-    const totalEmployees = await User.countDocuments({ role: 'employee', isActive: true });
+    const activeStaff = { role: { $ne: 'admin' }, isActive: true };
+    const totalEmployees = await User.countDocuments(activeStaff);
 
-    // Today's attendance
-    const today = new Date().toISOString().split('T')[0];
+    // Headcount per top-level department, including nested departments
+    const departments = (await Department.getHeadcount(activeStaff))
+      .filter(department => !department.parent)
+      .map(({ _id, code, name, totalCount }) => ({ _id, code, name, count: totalCount }));
+
+    // Today's attendance, with today taken in the organisation's timezone
+    const today = toCalendarDay(new Date(), await getOrganisationTimeZone());
     const presentToday = await Attendance.countDocuments({
       date: today,
-      status: { $in: ['present', 'half-day'] }
+      status: { $in: ['present', 'late', 'half-day'] }
     });
 
     // Salary statistics
@@ -29,8 +38,7 @@ const getDashboardStats = async (req, res) => {
     const leaveStats = await Leave.getLeaveStats();
 
     // Attendance rate calculation (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const thirtyDaysAgo = addCalendarDays(today, -30);
 
     const attendanceRecords = await Attendance.find({
       date: { $gte: thirtyDaysAgo }
@@ -47,7 +55,7 @@ const getDashboardStats = async (req, res) => {
         attendanceByDate[dateKey] = { total: 0, present: 0 };
       }
       attendanceByDate[dateKey].total++;
-      if (record.status === 'present') {
+      if (['present', 'late'].includes(record.status)) {
         attendanceByDate[dateKey].present++;
       }
     });
@@ -75,7 +83,8 @@ const getDashboardStats = async (req, res) => {
           avgSalary,
           approvedLeaves: leaveStats.approvedLeaves,
           pendingLeaves: leaveStats.pendingLeaves
-        }
+        },
+        departments
       }
     });
   } catch (error) {
@@ -89,13 +98,12 @@ const getDashboardStats = async (req, res) => {
 
 // @desc    Get attendance chart data
 // @route   GET /api/dashboard/attendance-chart
-// @access  Private/Admin
+// @access  Private (dashboard:view)
 const getAttendanceChart = async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    const endDate = toCalendarDay(new Date(), await getOrganisationTimeZone());
+    const startDate = addCalendarDays(endDate, -days);
 
     const attendanceData = await Attendance.aggregate([
       {
@@ -141,7 +149,7 @@ const getAttendanceChart = async (req, res) => {
 
 // @desc    Get salary chart data
 // @route   GET /api/dashboard/salary-chart
-// @access  Private/Admin
+// @access  Private (dashboard:view)
 const getSalaryChart = async (req, res) => {
   try {
     const months = parseInt(req.query.months) || 12;
@@ -190,8 +198,30 @@ const getSalaryChart = async (req, res) => {
   }
 };
 
-module.exports = {
+// @desc    Get probation ends and contract expiries coming up
+// @route   GET /api/dashboard/due
+// @access  Private (dashboard:view)
+const getDueList = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 180);
+
+    const due = await getEmploymentDue({ days });
+
+    res.json({
+      success: true,
+      data: due
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
   getDashboardStats,
   getAttendanceChart,
-  getSalaryChart
+  getSalaryChart,
+  getDueList
 };
\ No newline at end of file
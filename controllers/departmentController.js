@@ -0,0 +1,277 @@
+import Department from '../models/Department.js';
+import Position from '../models/Position.js';
+import User from '../models/User.js';
+
+// @desc    Get all departments
+// @route   GET /api/departments
+// @access  Private
+const getDepartments = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (req.query.parent) {
+      query.parent = req.query.parent === 'root' ? null : req.query.parent;
+    }
+
+    const departments = await Department.find(query)
+      .populate('head', 'firstName lastName email')
+      .populate('parent', 'code name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: departments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single department
+// @route   GET /api/departments/:id
+// @access  Private
+const getDepartment = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate('head', 'firstName lastName email')
+      .populate('parent', 'code name');
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const children = await Department.find({ parent: department._id }).select('code name isActive');
+
+    res.json({
+      success: true,
+      data: {
+        ...department.toObject(),
+        children
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Create department
+// @route   POST /api/departments
+// @access  Private (department:manage)
+const createDepartment = async (req, res) => {
+  try {
+    const { code, name, head, parent, costCentre, description } = req.body;
+
+    const departmentExists = await Department.findOne({ code: code.toUpperCase() });
+    if (departmentExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department with this code already exists'
+      });
+    }
+
+    if (await Department.nameExists(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department with this name already exists'
+      });
+    }
+
+    const department = await Department.create({
+      code,
+      name,
+      head,
+      parent,
+      costCentre,
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    // Taken by a concurrent request since the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: `Department with this ${error.keyPattern?.code ? 'code' : 'name'} already exists`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update department
+// @route   PUT /api/departments/:id
+// @access  Private (department:manage)
+const updateDepartment = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      name: req.body.name,
+      head: req.body.head,
+      parent: req.body.parent,
+      costCentre: req.body.costCentre,
+      description: req.body.description,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    const renamed = fieldsToUpdate.name !== undefined && fieldsToUpdate.name !== department.name;
+
+    if (renamed && await Department.nameExists(fieldsToUpdate.name, department._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department with this name already exists'
+      });
+    }
+
+    department.set(fieldsToUpdate);
+    await department.save();
+
+    // Keep the denormalised department name on employees in sync
+    if (renamed) {
+      await User.updateMany({ departmentId: department._id }, { department: department.name });
+    }
+
+    res.json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    // Taken by a concurrent request since the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete department
+// @route   DELETE /api/departments/:id
+// @access  Private (department:manage)
+const deleteDepartment = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const [children, employees, positions] = await Promise.all([
+      Department.countDocuments({ parent: department._id }),
+      User.countDocuments({ departmentId: department._id }),
+      Position.countDocuments({ department: department._id })
+    ]);
+
+    if (children || employees || positions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department still has sub-departments, employees or positions; deactivate it instead'
+      });
+    }
+
+    await department.deleteOne();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get headcount per department, including nested departments
+// @route   GET /api/departments/stats
+// @access  Private (employee:stats)
+const getDepartmentStats = async (req, res) => {
+  try {
+    const match = { role: { $ne: 'admin' } };
+
+    if (req.query.status) {
+      match.isActive = req.query.status === 'active';
+    }
+
+    const stats = await Department.getHeadcount(match);
+    const unassigned = await User.countDocuments({ ...match, departmentId: null });
+
+    res.json({
+      success: true,
+      data: {
+        departments: stats,
+        unassigned
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  getDepartmentStats
+};
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import {
+  DIRECTORY_FIELDS,
+  directoryQuery,
+  toDirectoryCard,
+  getUpcomingCelebrations
+} from '../utils/directory.js';
+
+// @desc    Get staff directory
+// @route   GET /api/directory
+// @access  Private
+const getDirectory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let query = directoryQuery();
+
+    if (req.query.search) {
+      query.$text = { $search: req.query.search };
+    }
+
+    if (req.query.department) {
+      // A department id also matches everyone in its nested sub-departments
+      if (mongoose.isObjectIdOrHexString(req.query.department)) {
+        query.departmentId = { $in: await Department.getDescendantIds(req.query.department) };
+      } else {
+        query.department = req.query.department;
+      }
+    }
+
+    if (req.query.position) {
+      query.positionId = req.query.position;
+    }
+
+    const employees = await User.find(query)
+      .select(DIRECTORY_FIELDS)
+      .populate('manager', 'firstName lastName')
+      .sort({ firstName: 1, lastName: 1, _id: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: employees.map(toDirectoryCard),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get upcoming birthdays and work anniversaries
+// @route   GET /api/directory/celebrations
+// @access  Private
+const getCelebrations = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+
+    const celebrations = await getUpcomingCelebrations({ days });
+
+    res.json({
+      success: true,
+      data: celebrations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get own directory and celebrations privacy settings
+// @route   GET /api/directory/privacy
+// @access  Private
+const getPrivacy = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('privacy');
+
+    res.json({
+      success: true,
+      data: user.privacy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update own directory and celebrations privacy settings
+// @route   PUT /api/directory/privacy
+// @access  Private
+const updatePrivacy = async (req, res) => {
+  try {
+    const fieldsToUpdate = {
+      'privacy.hideFromDirectory': req.body.hideFromDirectory,
+      'privacy.hideBirthday': req.body.hideBirthday,
+      'privacy.hideWorkAnniversary': req.body.hideWorkAnniversary
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    const user = await User.findByIdAndUpdate(req.user._id, fieldsToUpdate, {
+      new: true,
+      runValidators: true
+    }).select('privacy');
+
+    res.json({
+      success: true,
+      data: user.privacy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a colleague's directory card
+// @route   GET /api/directory/:id
+// @access  Private
+const getDirectoryEntry = async (req, res) => {
+  try {
+    const employee = await User.findOne(directoryQuery({ _id: req.params.id }))
+      .select(DIRECTORY_FIELDS)
+      .populate('manager', 'firstName lastName')
+      .lean();
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toDirectoryCard(employee)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getDirectory,
+  getCelebrations,
+  getPrivacy,
+  updatePrivacy,
+  getDirectoryEntry
+};
@@ -1,7 +1,7 @@
-const Document = require('../models/Document');
-const User = require('../models/User');
-const path = require('path');
-const fs = require('fs').promises;
+import path from 'path';
+import { promises as fs } from 'fs';
+import Document from '../models/Document.js';
+import { can } from '../middleware/auth.js';
 
 // @desc    Get all documents
 // @route   GET /api/documents
@@ -16,8 +16,8 @@ const getDocuments = async (req, res) => {
 
     let query = {};
 
-    // If employee, only show their own documents or public documents
-    if (req.user.role === 'employee') {
+    // Without document:read:all, only show their own documents or public documents
+    if (!can(req, 'document:read:all')) {
       query.$or = [
         { employee: req.user._id },
         { 'security.accessLevel': 'public' }
@@ -121,7 +121,7 @@ const uploadDocument = async (req, res) => {
     }
 
     const document = await Document.create({
-      employee: req.user.role === 'admin' && req.body.employee ? req.body.employee : req.user._id,
+      employee: can(req, 'document:upload:any') && req.body.employee ? req.body.employee : req.user._id,
       filename: file.filename,
       originalName: file.originalname,
       path: file.path,
@@ -168,7 +168,7 @@ const downloadDocument = async (req, res) => {
     }
 
     // Check access permissions
-    if (!document.canAccess(req.user._id, req.user.role)) {
+    if (!document.canAccess(req.user._id, can(req, 'document:read:all'))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this document'
@@ -232,7 +232,7 @@ const deleteDocument = async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && document.employee.toString() !== req.user._id.toString()) {
+    if (!can(req, 'document:delete:all') && document.employee.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this document'
@@ -263,7 +263,7 @@ const deleteDocument = async (req, res) => {
 
 // @desc    Update document
 // @route   PUT /api/documents/:id
-// @access  Private/Admin
+// @access  Private (document:update, document:verify)
 const updateDocument = async (req, res) => {
   try {
     const document = await Document.findById(req.params.id);
@@ -289,6 +289,16 @@ const updateDocument = async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    // Verifying and editing details are separate permissions; status is open to both
+    const editsDetails = Object.keys(fieldsToUpdate).some(key => !['isVerified', 'status'].includes(key));
+    if ((fieldsToUpdate.isVerified !== undefined && !can(req, 'document:verify')) ||
+        (editsDetails && !can(req, 'document:update'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to make these changes to the document'
+      });
+    }
+
     // If marking as verified
     if (req.body.isVerified && !document.isVerified) {
       fieldsToUpdate.verifiedBy = req.user._id;
@@ -318,7 +328,7 @@ const updateDocument = async (req, res) => {
 
 // @desc    Get document statistics
 // @route   GET /api/documents/stats
-// @access  Private/Admin
+// @access  Private (document:stats)
 const getDocumentStats = async (req, res) => {
   try {
     const stats = await Document.getDocumentStats();
@@ -335,7 +345,7 @@ const getDocumentStats = async (req, res) => {
   }
 };
 
-module.exports = {
+export {
   getDocuments,
   getEmployeeDocuments,
   uploadDocument,
@@ -1,39 +1,46 @@
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import SensitiveAccessLog from '../models/SensitiveAccessLog.js';
+import EmployeeChangeLog from '../models/EmployeeChangeLog.js';
+import Department from '../models/Department.js';
+import CustomField from '../models/CustomField.js';
+import Invitation from '../models/Invitation.js';
+import { inviteUser } from '../utils/invitations.js';
+import { resolveOrgAssignment } from '../utils/organisation.js';
+import { startChecklist, transitionLifecycle, LIFECYCLE_FIELDS } from '../utils/lifecycle.js';
+import { resolveEmploymentTerms } from '../utils/employment.js';
+import { checkWorkLocations } from '../utils/geofence.js';
+import { recordEmployeeChanges } from '../utils/changeHistory.js';
+import { checkFieldFormats } from '../utils/fieldFormats.js';
+import { applySelfServicePolicy } from '../utils/profileChanges.js';
+import {
+  readSpreadsheet,
+  validateImportRows,
+  insertEmployeesAtomically,
+  writeEmployeeSpreadsheet
+} from '../utils/employeeSpreadsheet.js';
+import { buildEmployeeQuery, buildEmployeeSort, getEmployeeFacets } from '../utils/employeeSearch.js';
+import { validateCustomFields, toCustomFieldUpdates, filterCustomFieldsForEmployee } from '../utils/customFields.js';
+import { saveProfilePhoto, removeProfilePhoto, photoUrl } from '../utils/profilePhotos.js';
+import { writePersonalDataExport, runAnonymisation } from '../utils/personalData.js';
+import { can, isInTeam } from '../middleware/auth.js';
 
 // @desc    Get all employees
 // @route   GET /api/employees
-// @access  Private/Admin
+// @access  Private (employee:read)
 const getEmployees = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
-    const department = req.query.department || '';
-    const status = req.query.status || '';
 
-    // Build query
-    let query = { role: 'employee' };
-
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    if (department) {
-      query.department = department;
-    }
-
-    if (status) {
-      query.isActive = status === 'active';
-    }
+    const query = await buildEmployeeQuery(req);
 
     const options = {
       page,
       limit,
-      sort: { createdAt: -1 },
+      sort: buildEmployeeSort(req.query.sort),
       select: '-password'
     };
 
@@ -45,6 +52,8 @@ const getEmployees = async (req, res) => {
 
     const total = await User.countDocuments(query);
 
+    const facets = req.query.facets === 'true' ? await getEmployeeFacets(query) : undefined;
+
     res.json({
       success: true,
       data: employees,
@@ -53,6 +62,130 @@ const getEmployees = async (req, res) => {
         limit,
         total,
         pages: Math.ceil(total / limit)
+      },
+      ...(facets && { facets })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Export employees as CSV or XLSX (same filters as the list)
+// @route   GET /api/employees/export
+// @access  Private (employee:read)
+const exportEmployees = async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const query = await buildEmployeeQuery(req);
+
+    const customFields = await CustomField.getActive();
+
+    const cursor = User.find(query)
+      .sort(buildEmployeeSort(req.query.sort))
+      .populate('manager', 'email')
+      .cursor();
+
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="employees-${date}.${format}"`);
+
+    await writeEmployeeSpreadsheet(cursor, format, res, { customFields });
+  } catch (error) {
+    // Too late for a JSON error once streaming has started
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Import employees from CSV or XLSX; dry run unless dryRun=false
+// @route   POST /api/employees/import
+// @access  Private (employee:create)
+const importEmployees = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload a CSV or XLSX file'
+      });
+    }
+
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+    const sendInvites = String(req.body.sendInvites ?? 'true') !== 'false';
+    const format = req.file.originalname.toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv';
+
+    const { rows, unknownHeaders, missingHeaders } = await readSpreadsheet(req.file.buffer, format);
+
+    if (missingHeaders.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing required columns: ${missingHeaders.join(', ')}`
+      });
+    }
+
+    const { employees, errors } = await validateImportRows(rows);
+
+    const report = {
+      dryRun,
+      totalRows: rows.length,
+      validRows: employees.length,
+      invalidRows: new Set(errors.map(error => error.row)).size,
+      unknownColumns: unknownHeaders,
+      errors
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: report
+      });
+    }
+
+    // Nothing is written unless every row is valid
+    if (errors.length || !employees.length) {
+      return res.status(400).json({
+        success: false,
+        error: errors.length ? 'Import has invalid rows; nothing was imported' : 'The file contains no employees',
+        data: report
+      });
+    }
+
+    await insertEmployeesAtomically(employees);
+
+    // The employees exist now; a failed email only needs a resend later
+    let invited = 0;
+    const inviteFailures = [];
+    for (const employee of employees) {
+      if (sendInvites) {
+        try {
+          await inviteUser(employee, req.user._id);
+          invited++;
+        } catch (error) {
+          inviteFailures.push(employee.email);
+        }
+      }
+      if (employee.lifecycleStatus === 'onboarding') {
+        await startChecklist(employee, 'onboarding', { baseDate: employee.hireDate, startedBy: req.user._id });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...report,
+        created: employees.length,
+        invited,
+        inviteFailures
       }
     });
   } catch (error) {
@@ -68,7 +201,9 @@ const getEmployees = async (req, res) => {
 // @access  Private
 const getEmployee = async (req, res) => {
   try {
-    const employee = await User.findById(req.params.id).select('-password');
+    const employee = await User.findById(req.params.id)
+      .select('-password')
+      .populate('manager', 'firstName lastName email position');
 
     if (!employee) {
       return res.status(404).json({
@@ -78,16 +213,21 @@ const getEmployee = async (req, res) => {
     }
 
     // Check if user can access this employee data
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+    if (!can(req, 'employee:read') && req.user._id.toString() !== req.params.id) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this employee'
       });
     }
 
+    const data = employee.toJSON();
+    if (!can(req, 'employee:read')) {
+      data.customFields = await filterCustomFieldsForEmployee(data.customFields);
+    }
+
     res.json({
       success: true,
-      data: employee
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -97,12 +237,13 @@ const getEmployee = async (req, res) => {
   }
 };
 
-// @desc    Create employee
+// @desc    Create employee and send them an invitation
 // @route   POST /api/employees
-// @access  Private/Admin
+// @access  Private (employee:create)
 const createEmployee = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, department, position, salary, phone, address } = req.body;
+    const { email, firstName, lastName, salary, phone, address, manager, hireDate } = req.body;
+    const lifecycleStatus = req.body.lifecycleStatus || 'onboarding';
 
     // Check if employee exists
     const employeeExists = await User.findOne({ email });
@@ -113,24 +254,100 @@ const createEmployee = async (req, res) => {
       });
     }
 
+    const org = {
+      department: req.body.department,
+      departmentId: req.body.departmentId,
+      position: req.body.position,
+      positionId: req.body.positionId
+    };
+
+    const orgError = await resolveOrgAssignment(org);
+    if (orgError) {
+      return res.status(400).json({
+        success: false,
+        error: orgError
+      });
+    }
+
+    const custom = await validateCustomFields(req.body.customFields, { checkRequired: true });
+    if (custom.errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: custom.errors.join(', ')
+      });
+    }
+
+    const terms = await resolveEmploymentTerms({
+      positionId: org.positionId,
+      hireDate,
+      employmentType: req.body.employmentType,
+      probationEndDate: req.body.probationEndDate,
+      contractEndDate: req.body.contractEndDate
+    });
+
+    // The invitee sets their own password from the invitation link
     const employee = await User.create({
       email,
-      password,
       firstName,
       lastName,
       role: 'employee',
-      department,
-      position,
+      invitePending: true,
+      ...org,
       salary,
       phone,
-      address
+      address,
+      manager,
+      hireDate,
+      timezone: req.body.timezone,
+      lifecycleStatus,
+      ...terms,
+      customFields: Object.fromEntries(Object.entries(custom.values).filter(([, value]) => value !== null))
     });
 
+    // Without the email the invitee has no way in, so undo the creation and
+    // let the request be retried
+    let invitation;
+    try {
+      invitation = await inviteUser(employee, req.user._id);
+    } catch (error) {
+      await Invitation.deleteMany({ user: employee._id });
+      await employee.deleteOne();
+
+      return res.status(500).json({
+        success: false,
+        error: 'Invitation email could not be sent; the employee was not created'
+      });
+    }
+
+    const checklist = lifecycleStatus === 'onboarding'
+      ? await startChecklist(employee, 'onboarding', { baseDate: employee.hireDate, startedBy: req.user._id })
+      : null;
+
     res.status(201).json({
       success: true,
-      data: employee
+      data: employee,
+      invitation: {
+        id: invitation._id,
+        expiresAt: invitation.expiresAt
+      },
+      onboardingChecklist: checklist ? checklist._id : null
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    // Created by a concurrent request since the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Employee with this email already exists'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -140,16 +357,22 @@ const createEmployee = async (req, res) => {
 
 // @desc    Update employee
 // @route   PUT /api/employees/:id
-// @access  Private/Admin
+// @access  Private (owner or employee:update)
 const updateEmployee = async (req, res) => {
   try {
-    const fieldsToUpdate = {
+    let fieldsToUpdate = {
       firstName: req.body.firstName,
       lastName: req.body.lastName,
       department: req.body.department,
+      departmentId: req.body.departmentId,
       position: req.body.position,
+      positionId: req.body.positionId,
       salary: req.body.salary,
       phone: req.body.phone,
+      extension: req.body.extension,
+      timezone: req.body.timezone,
+      'attendancePolicy.type': req.body.attendancePolicy?.type,
+      'attendancePolicy.workLocations': req.body.attendancePolicy?.workLocations,
       address: req.body.address,
       isActive: req.body.isActive,
       dateOfBirth: req.body.dob,
@@ -161,13 +384,19 @@ const updateEmployee = async (req, res) => {
       pfNo: req.body.pfNo,
       medicalInsurance: req.body.medicalInsurance,
       drivingLicence: req.body.drivingLicence,
+      bankName: req.body.bankName,
+      bankAccountNumber: req.body.bankAccountNumber,
+      bankIfsc: req.body.bankIfsc,
       vehicleNo: req.body.vehicleNo,
       callLetter: req.body.callLetter,
       communicationAddress: req.body.communicationAddress,
       emergencyContactPerson: req.body.emergencyContactPerson,
       emergencyContactNo: req.body.emergencyContactNo,
       documentsSubmitted: req.body.documentsSubmitted,
-      hireDate: req.body.hireDate
+      hireDate: req.body.hireDate,
+      employmentType: req.body.employmentType,
+      'probation.endDate': req.body.probationEndDate,
+      'contract.endDate': req.body.contractEndDate
     };
 
     // Remove undefined fields
@@ -175,6 +404,76 @@ const updateEmployee = async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    if (req.body.customFields !== undefined) {
+      const custom = await validateCustomFields(req.body.customFields);
+      if (custom.errors.length) {
+        return res.status(400).json({
+          success: false,
+          error: custom.errors.join(', ')
+        });
+      }
+      Object.assign(fieldsToUpdate, toCustomFieldUpdates(custom.values));
+    }
+
+    const formatErrors = checkFieldFormats(fieldsToUpdate);
+    if (formatErrors.length) {
+      return res.status(400).json({
+        success: false,
+        error: formatErrors.map(({ message }) => message).join(', ')
+      });
+    }
+
+    const before = await User.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    // Employees editing their own profile go through the self-service policy
+    let changeRequest;
+    if (!can(req, 'employee:update')) {
+      const policy = await applySelfServicePolicy(before._id, fieldsToUpdate, {
+        reason: req.body.changeReason,
+        documents: req.body.documents
+      });
+
+      if (policy.error) {
+        return res.status(policy.status).json({
+          success: false,
+          error: policy.error
+        });
+      }
+
+      fieldsToUpdate = policy.direct;
+      changeRequest = policy.changeRequest;
+    }
+
+    if (fieldsToUpdate['attendancePolicy.workLocations'] !== undefined) {
+      const locationError = await checkWorkLocations(fieldsToUpdate['attendancePolicy.workLocations']);
+      if (locationError) {
+        return res.status(400).json({
+          success: false,
+          error: locationError
+        });
+      }
+    }
+
+    // Setting a probation end date on someone without one opens a probation
+    if (fieldsToUpdate['probation.endDate'] && !before.probation?.status) {
+      fieldsToUpdate['probation.status'] = 'pending';
+    }
+
+    const orgError = await resolveOrgAssignment(fieldsToUpdate);
+    if (orgError) {
+      return res.status(400).json({
+        success: false,
+        error: orgError
+      });
+    }
+
     const employee = await User.findByIdAndUpdate(
       req.params.id,
       fieldsToUpdate,
@@ -184,6 +483,35 @@ const updateEmployee = async (req, res) => {
       }
     ).select('-password');
 
+    await recordEmployeeChanges(req, employee._id, before, employee, Object.keys(fieldsToUpdate));
+
+    res.json({
+      success: true,
+      data: employee,
+      ...(changeRequest !== undefined && { changeRequest })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete employee
+// @route   DELETE /api/employees/:id
+// @access  Private (employee:delete)
+const deleteEmployee = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
     if (!employee) {
       return res.status(404).json({
         success: false,
@@ -191,6 +519,91 @@ const updateEmployee = async (req, res) => {
       });
     }
 
+    // Soft delete - exit the employee, which deactivates them and runs the
+    // exit actions (session revocation, final settlement, ...)
+    const before = employee.toObject();
+
+    if (employee.lifecycleStatus === 'exited') {
+      employee.isActive = false;
+      await employee.save();
+      await recordEmployeeChanges(req, employee._id, before, employee, ['isActive']);
+      await Session.revokeAllForUser(employee._id, 'deactivated');
+
+      return res.json({
+        success: true,
+        data: {}
+      });
+    }
+
+    const result = await transitionLifecycle(employee, 'exited', {
+      actorId: req.user._id,
+      exit: {
+        lastWorkingDay: req.body.lastWorkingDay,
+        reason: req.body.reason || 'other',
+        notes: req.body.notes
+      }
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordEmployeeChanges(req, employee._id, before, employee, LIFECYCLE_FIELDS);
+
+    res.json({
+      success: true,
+      data: {},
+      actions: result.actions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Set or clear an employee's reporting manager
+// @route   PUT /api/employees/:id/manager
+// @access  Private (employee:update)
+const setManager = async (req, res) => {
+  try {
+    const managerId = req.body.manager || null;
+
+    const employee = await User.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    if (managerId) {
+      const manager = await User.findById(managerId);
+      if (!manager || !manager.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: 'Manager not found or inactive'
+        });
+      }
+
+      if (await User.wouldCreateCycle(employee._id, managerId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Manager assignment would create a reporting cycle'
+        });
+      }
+    }
+
+    const before = employee.toObject();
+    employee.manager = managerId;
+    await employee.save({ validateModifiedOnly: true });
+    await recordEmployeeChanges(req, employee._id, before, employee, ['manager']);
+    await employee.populate('manager', 'firstName lastName email position');
+
     res.json({
       success: true,
       data: employee
@@ -203,10 +616,153 @@ const updateEmployee = async (req, res) => {
   }
 };
 
-// @desc    Delete employee
-// @route   DELETE /api/employees/:id
-// @access  Private/Admin
-const deleteEmployee = async (req, res) => {
+// @desc    Get an employee's direct or transitive reports
+// @route   GET /api/employees/:id/reports
+// @access  Private (self, their managers, or employee:read)
+const getReports = async (req, res) => {
+  try {
+    const isSelf = req.user._id.toString() === req.params.id;
+
+    if (!isSelf && !can(req, 'employee:read') && !(await isInTeam(req, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view these reports'
+      });
+    }
+
+    const transitive = req.query.transitive === 'true';
+    const reports = await User.getReports(req.params.id, { transitive });
+
+    res.json({
+      success: true,
+      data: reports.map(report => ({
+        _id: report._id,
+        firstName: report.firstName,
+        lastName: report.lastName,
+        email: report.email,
+        department: report.department,
+        position: report.position,
+        manager: report.manager,
+        depth: report.depth
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get organisation chart
+// @route   GET /api/employees/org-chart
+// @access  Private
+const getOrgChart = async (req, res) => {
+  try {
+    const users = await User.find({ isActive: true })
+      .select('firstName lastName department position profileImage manager')
+      .lean();
+
+    const nodes = new Map(users.map(user => [user._id.toString(), {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      department: user.department,
+      position: user.position,
+      profileImage: user.profileImage,
+      reports: []
+    }]));
+
+    // Attach everyone to their manager; those without an active manager are roots
+    const roots = [];
+    users.forEach(user => {
+      const node = nodes.get(user._id.toString());
+      const managerNode = user.manager && nodes.get(user.manager.toString());
+      if (managerNode) {
+        managerNode.reports.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    let data = roots;
+    if (req.query.root) {
+      const rootNode = nodes.get(req.query.root);
+      if (!rootNode) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found'
+        });
+      }
+      data = [rootNode];
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Assign a role to an employee
+// @route   PUT /api/employees/:id/role
+// @access  Private (role:manage)
+const assignRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.body.role });
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        error: `Role ${req.body.role} does not exist`
+      });
+    }
+
+    // Don't let users lock themselves out of role management
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const before = await User.findById(req.params.id).select('role');
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const employee = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: role.name },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    await recordEmployeeChanges(req, employee._id, before, employee, ['role']);
+
+    res.json({
+      success: true,
+      data: employee
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke all sessions of an employee
+// @route   POST /api/employees/:id/revoke-sessions
+// @access  Private (employee:manage_access)
+const revokeEmployeeSessions = async (req, res) => {
   try {
     const employee = await User.findById(req.params.id);
 
@@ -217,9 +773,162 @@ const deleteEmployee = async (req, res) => {
       });
     }
 
-    // Soft delete - mark as inactive
-    employee.isActive = false;
-    await employee.save();
+    const revoked = await Session.revokeAllForUser(employee._id, 'admin');
+
+    res.json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get employee login history
+// @route   GET /api/employees/:id/logins
+// @access  Private (employee:manage_access)
+const getEmployeeLogins = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const success = req.query.success !== undefined ? req.query.success === 'true' : undefined;
+
+    const { attempts, pagination } = await LoginAttempt.getHistory(req.params.id, { page, limit, success });
+
+    res.json({
+      success: true,
+      data: attempts,
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Unlock employee account locked by failed logins
+// @route   POST /api/employees/:id/unlock
+// @access  Private (employee:manage_access)
+const unlockEmployee = async (req, res) => {
+  try {
+    const employee = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } },
+      { new: true }
+    ).select('-password');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: employee
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Reveal unmasked sensitive fields of an employee (audited)
+// @route   POST /api/employees/:id/sensitive/reveal
+// @access  Private (owner or employee:reveal_sensitive)
+const revealSensitiveFields = async (req, res) => {
+  try {
+    const sensitiveFields = User.getSensitiveFieldNames();
+    const fields = req.body.fields && req.body.fields.length ? req.body.fields : sensitiveFields;
+
+    const unknown = fields.filter(field => !sensitiveFields.includes(field));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown sensitive fields: ${unknown.join(', ')}`
+      });
+    }
+
+    const employee = await User.findById(req.params.id).select(fields.join(' '));
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    // Log before returning anything so every reveal leaves a trace
+    await SensitiveAccessLog.create({
+      actor: req.user._id,
+      employee: employee._id,
+      fields,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: employee.revealSensitiveFields(fields)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get audit trail of sensitive field reveals for an employee
+// @route   GET /api/employees/:id/sensitive/access-log
+// @access  Private (employee:reveal_sensitive)
+const getSensitiveAccessLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { entries, pagination } = await SensitiveAccessLog.getHistory(req.params.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Reset employee 2FA (e.g. lost authenticator device)
+// @route   POST /api/employees/:id/2fa/reset
+// @access  Private (employee:manage_access)
+const resetEmployeeTwoFactor = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    employee.twoFactor = { enabled: false };
+    await employee.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(employee._id, 'admin');
 
     res.json({
       success: true,
@@ -233,21 +942,203 @@ const deleteEmployee = async (req, res) => {
   }
 };
 
+// @desc    Get field-level change history of an employee
+// @route   GET /api/employees/:id/history
+// @access  Private (owner or employee:read)
+const getEmployeeHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { changes, pagination } = await EmployeeChangeLog.getHistory(req.params.id, {
+      page,
+      limit,
+      field: req.query.field,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: changes,
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Upload employee profile photo (resized to avatar sizes, metadata stripped)
+// @route   PUT /api/employees/:id/photo
+// @access  Private (owner or employee:update)
+const uploadEmployeePhoto = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No photo uploaded'
+      });
+    }
+
+    const before = await User.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const result = await saveProfilePhoto(before._id, req.file.buffer);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const urls = Object.fromEntries(Object.entries(result.files).map(([size, filename]) => [size, photoUrl(filename)]));
+
+    const employee = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        profilePhoto: { ...urls, updatedAt: new Date() },
+        profileImage: urls.medium
+      },
+      { new: true }
+    );
+
+    // Old renditions are no longer referenced
+    await removeProfilePhoto(before.toObject().profilePhoto);
+    await recordEmployeeChanges(req, employee._id, before, employee, ['profileImage']);
+
+    res.json({
+      success: true,
+      data: employee.profilePhoto
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove employee profile photo
+// @route   DELETE /api/employees/:id/photo
+// @access  Private (owner or employee:update)
+const deleteEmployeePhoto = async (req, res) => {
+  try {
+    const before = await User.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const employee = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { profilePhoto: 1, profileImage: 1 } },
+      { new: true }
+    );
+
+    await removeProfilePhoto(before.toObject().profilePhoto);
+    await recordEmployeeChanges(req, employee._id, before, employee, ['profileImage']);
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Download a ZIP of all personal data held about an employee
+// @route   GET /api/employees/:id/data-export
+// @access  Private (owner or employee:export_data)
+const exportEmployeeData = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    // The export contains identity and bank details in clear
+    await SensitiveAccessLog.create({
+      actor: req.user._id,
+      employee: employee._id,
+      fields: User.getSensitiveFieldNames(),
+      reason: 'Personal data export',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="personal-data-${employee._id}-${date}.zip"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    await writePersonalDataExport(employee, res);
+  } catch (error) {
+    // Too late for a JSON error once streaming has started
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Anonymise departed employees past the retention period; dry run unless dryRun=false
+// @route   POST /api/employees/anonymise
+// @access  Private (employee:anonymise)
+const anonymiseEmployees = async (req, res) => {
+  try {
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+
+    const summary = await runAnonymisation({ dryRun, actorId: req.user._id });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
 // @desc    Get employee statistics
 // @route   GET /api/employees/stats
-// @access  Private/Admin
+// @access  Private (employee:stats)
 const getEmployeeStats = async (req, res) => {
   try {
-    const totalEmployees = await User.countDocuments({ role: 'employee' });
-    const activeEmployees = await User.countDocuments({ role: 'employee', isActive: true });
-    const inactiveEmployees = await User.countDocuments({ role: 'employee', isActive: false });
+    const staff = { role: { $ne: 'admin' } };
+    const totalEmployees = await User.countDocuments(staff);
+    const activeEmployees = await User.countDocuments({ ...staff, isActive: true });
+    const inactiveEmployees = await User.countDocuments({ ...staff, isActive: false });
 
-    // Department distribution
-    const departmentStats = await User.aggregate([
-      { $match: { role: 'employee', department: { $exists: true, $ne: null } } },
-      { $group: { _id: '$department', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+    // Department distribution, rolled up through nested departments
+    const departmentStats = await Department.getHeadcount(staff);
 
     res.json({
       success: true,
@@ -268,9 +1159,26 @@ const getEmployeeStats = async (req, res) => {
 
 export {
   getEmployees,
+  exportEmployees,
+  importEmployees,
   getEmployee,
   createEmployee,
   updateEmployee,
   deleteEmployee,
+  setManager,
+  getReports,
+  getOrgChart,
+  assignRole,
+  revokeEmployeeSessions,
+  getEmployeeLogins,
+  unlockEmployee,
+  resetEmployeeTwoFactor,
+  revealSensitiveFields,
+  getSensitiveAccessLog,
+  getEmployeeHistory,
+  uploadEmployeePhoto,
+  deleteEmployeePhoto,
+  exportEmployeeData,
+  anonymiseEmployees,
   getEmployeeStats
 };
\ No newline at end of file
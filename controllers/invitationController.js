@@ -0,0 +1,136 @@
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import { resendInvitation as resendInvitationEmail } from '../utils/invitations.js';
+
+// @desc    Get all invitations
+// @route   GET /api/invitations
+// @access  Private (invitation:manage)
+const getInvitations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+
+    let query = {};
+
+    // "expired" is derived: still pending but past its expiry date
+    if (status === 'expired') {
+      query = { status: 'pending', expiresAt: { $lte: new Date() } };
+    } else if (status === 'pending') {
+      query = { status: 'pending', expiresAt: { $gt: new Date() } };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('user', 'firstName lastName email department position')
+      .populate('invitedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: invitations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Resend invitation with a new link and expiry
+// @route   POST /api/invitations/:id/resend
+// @access  Private (invitation:manage)
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot resend an invitation that has been ${invitation.status}`
+      });
+    }
+
+    const user = await User.findById(invitation.user);
+    if (!user || !user.invitePending) {
+      return res.status(400).json({
+        success: false,
+        error: 'Employee has already set up their account'
+      });
+    }
+
+    await resendInvitationEmail(invitation, user);
+
+    res.json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (invitation:manage)
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot revoke an invitation that has been ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+};
@@ -1,4 +1,5 @@
-const Leave = require('../models/Leave');
+import Leave from '../models/Leave.js';
+import { can, getAccessibleEmployeeIds, canAccessEmployee, isInTeam } from '../middleware/auth.js';
 
 // @desc    Get all leaves
 // @route   GET /api/leaves
@@ -13,11 +14,19 @@ const getLeaves = async (req, res) => {
 
     let query = {};
 
-    // If employee, only show their own leaves
-    if (req.user.role === 'employee') {
-      query.employee = req.user._id;
-    } else if (employee) {
+    // Everyone sees their own leaves; managers their team; leave:read:all everyone
+    const accessibleIds = await getAccessibleEmployeeIds(req, 'leave');
+
+    if (employee) {
+      if (!(await canAccessEmployee(req, 'leave', employee))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view these leave requests'
+        });
+      }
       query.employee = employee;
+    } else if (accessibleIds) {
+      query.employee = { $in: accessibleIds };
     }
 
     if (status) {
@@ -74,7 +83,7 @@ const getLeave = async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && leave.employee._id.toString() !== req.user._id.toString()) {
+    if (!(await canAccessEmployee(req, 'leave', leave.employee._id))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view this leave request'
@@ -152,7 +161,7 @@ const createLeave = async (req, res) => {
 
 // @desc    Update leave status
 // @route   PUT /api/leaves/:id/status
-// @access  Private/Admin
+// @access  Private (leave:approve, or leave:approve:team for own team)
 const updateLeaveStatus = async (req, res) => {
   try {
     const { status, rejectionReason } = req.body;
@@ -165,6 +174,17 @@ const updateLeaveStatus = async (req, res) => {
       });
     }
 
+    // Team approvers may only decide on their reports' requests, never their own
+    if (!can(req, 'leave:approve')) {
+      const isOwnLeave = leave.employee.toString() === req.user._id.toString();
+      if (isOwnLeave || !(await isInTeam(req, leave.employee))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to approve this leave request'
+        });
+      }
+    }
+
     leave.status = status;
 
     if (status === 'approved') {
@@ -217,7 +237,7 @@ const updateLeave = async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin' && leave.employee.toString() !== req.user._id.toString()) {
+    if (!can(req, 'leave:approve') && leave.employee.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this leave request'
@@ -290,7 +310,7 @@ const deleteLeave = async (req, res) => {
       });
     }
 
-    // Only allow deletion if status is pending and user owns the request or is admin
+    // Only allow deletion if status is pending and user owns the request or can approve leaves
     if (leave.status !== 'pending') {
       return res.status(400).json({
         success: false,
@@ -298,7 +318,7 @@ const deleteLeave = async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin' && leave.employee.toString() !== req.user._id.toString()) {
+    if (!can(req, 'leave:approve') && leave.employee.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this leave request'
@@ -321,7 +341,7 @@ const deleteLeave = async (req, res) => {
 
 // @desc    Get leave statistics
 // @route   GET /api/leaves/stats/admin
-// @access  Private/Admin
+// @access  Private (leave:stats)
 const getLeaveStats = async (req, res) => {
   try {
     const startDate = req.query.startDate;
@@ -341,7 +361,7 @@ const getLeaveStats = async (req, res) => {
   }
 };
 
-module.exports = {
+export {
   getLeaves,
   getLeave,
   createLeave,
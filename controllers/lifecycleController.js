@@ -0,0 +1,575 @@
+import User from '../models/User.js';
+import ChecklistTemplate from '../models/ChecklistTemplate.js';
+import EmployeeChecklist from '../models/EmployeeChecklist.js';
+import { transitionLifecycle, startChecklist, TRANSITIONS, LIFECYCLE_FIELDS } from '../utils/lifecycle.js';
+import { recordProbationReview, decideProbation, updateContract, EMPLOYMENT_FIELDS } from '../utils/employment.js';
+import { recordEmployeeChanges } from '../utils/changeHistory.js';
+import { can, isInTeam } from '../middleware/auth.js';
+
+// Whether a checklist task sits in the user's own queue
+const isOwnTask = (req, task) => {
+  if (task.assignee && task.assignee.toString() === req.user._id.toString()) return true;
+  if (task.assigneeType === 'hr') return can(req, 'lifecycle:manage');
+  if (task.assigneeType === 'it') return can(req, 'lifecycle:it_tasks');
+  return false;
+};
+
+// @desc    Get checklist templates
+// @route   GET /api/lifecycle/templates
+// @access  Private (lifecycle:manage)
+const getTemplates = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    if (req.query.department) {
+      query.department = req.query.department === 'default' ? null : req.query.department;
+    }
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const templates = await ChecklistTemplate.find(query)
+      .populate('department', 'code name')
+      .sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Create checklist template
+// @route   POST /api/lifecycle/templates
+// @access  Private (lifecycle:manage)
+const createTemplate = async (req, res) => {
+  try {
+    const { name, type, department, tasks } = req.body;
+
+    const template = await ChecklistTemplate.create({
+      name,
+      type,
+      department: department || null,
+      tasks,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update checklist template
+// @route   PUT /api/lifecycle/templates/:id
+// @access  Private (lifecycle:manage)
+const updateTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checklist template not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      name: req.body.name,
+      department: req.body.department,
+      tasks: req.body.tasks,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    // Checklists already started keep their own copy of the tasks
+    template.set(fieldsToUpdate);
+    await template.save();
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete checklist template
+// @route   DELETE /api/lifecycle/templates/:id
+// @access  Private (lifecycle:manage)
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checklist template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get lifecycle state, exit details and checklists of an employee
+// @route   GET /api/lifecycle/employees/:id
+// @access  Private (owner, manager or lifecycle:manage)
+const getEmployeeLifecycle = async (req, res) => {
+  try {
+    const isSelf = req.user._id.toString() === req.params.id;
+
+    if (!isSelf && !can(req, 'lifecycle:manage') && !(await isInTeam(req, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this employee lifecycle'
+      });
+    }
+
+    const employee = await User.findById(req.params.id)
+      .select('firstName lastName email hireDate lifecycleStatus exit isActive employmentType probation contract')
+      .populate('exit.handoverTo', 'firstName lastName email')
+      .populate('probation.review.reviewer', 'firstName lastName email');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const checklists = await EmployeeChecklist.find({ employee: employee._id })
+      .populate('tasks.assignee', 'firstName lastName email')
+      .populate('tasks.completedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        employee,
+        allowedTransitions: TRANSITIONS[employee.lifecycleStatus] || [],
+        checklists
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Move an employee to another lifecycle state
+// @route   PUT /api/lifecycle/employees/:id/status
+// @access  Private (lifecycle:manage)
+const updateLifecycleStatus = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const before = employee.toObject();
+    const { status, resignationDate, lastWorkingDay, reason, notes, handoverTo } = req.body;
+
+    const result = await transitionLifecycle(employee, status, {
+      actorId: req.user._id,
+      exit: { resignationDate, lastWorkingDay, reason, notes, handoverTo }
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordEmployeeChanges(req, employee._id, before, result.employee, LIFECYCLE_FIELDS);
+
+    res.json({
+      success: true,
+      data: result.employee,
+      actions: result.actions
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Submit the manager's probation recommendation
+// @route   POST /api/lifecycle/employees/:id/probation/review
+// @access  Private (manager or lifecycle:manage)
+const reviewProbation = async (req, res) => {
+  try {
+    if (!can(req, 'lifecycle:manage') && !(await isInTeam(req, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to review this employee'
+      });
+    }
+
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const { recommendation, comments } = req.body;
+
+    const result = await recordProbationReview(employee, {
+      recommendation,
+      comments,
+      reviewerId: req.user._id
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.employee.probation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Confirm, extend or terminate an employee's probation
+// @route   PUT /api/lifecycle/employees/:id/probation
+// @access  Private (lifecycle:manage)
+const updateProbation = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const before = employee.toObject();
+    const { action, endDate, reason, lastWorkingDay, notes } = req.body;
+
+    const result = await decideProbation(employee, action, {
+      actorId: req.user._id,
+      endDate,
+      reason,
+      lastWorkingDay,
+      notes
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordEmployeeChanges(req, employee._id, before, result.employee, EMPLOYMENT_FIELDS);
+
+    res.json({
+      success: true,
+      data: result.employee,
+      actions: result.actions
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Renew a fixed-term contract or convert it to permanent
+// @route   PUT /api/lifecycle/employees/:id/contract
+// @access  Private (lifecycle:manage)
+const updateEmployeeContract = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const before = employee.toObject();
+    const { action, endDate, notes } = req.body;
+
+    const result = await updateContract(employee, action, {
+      actorId: req.user._id,
+      endDate,
+      notes
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordEmployeeChanges(req, employee._id, before, result.employee, EMPLOYMENT_FIELDS);
+
+    res.json({
+      success: true,
+      data: result.employee
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Start an onboarding or offboarding checklist for an employee
+// @route   POST /api/lifecycle/employees/:id/checklists
+// @access  Private (lifecycle:manage)
+const startEmployeeChecklist = async (req, res) => {
+  try {
+    const employee = await User.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const { type } = req.body;
+    const baseDate = type === 'onboarding' ? employee.hireDate : employee.exit?.lastWorkingDay;
+
+    const checklist = await startChecklist(employee, type, { baseDate, startedBy: req.user._id });
+
+    if (!checklist) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${type} checklist template applies to this employee`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get pending checklist tasks assigned to current user
+// @route   GET /api/lifecycle/tasks
+// @access  Private
+const getMyTasks = async (req, res) => {
+  try {
+    const queues = [{ assignee: req.user._id }];
+    if (can(req, 'lifecycle:manage')) queues.push({ assigneeType: 'hr' });
+    if (can(req, 'lifecycle:it_tasks')) queues.push({ assigneeType: 'it' });
+
+    const checklists = await EmployeeChecklist.find({
+      status: 'open',
+      tasks: { $elemMatch: { status: 'pending', $or: queues } }
+    }).populate('employee', 'firstName lastName email department');
+
+    const tasks = checklists
+      .flatMap(checklist => checklist.tasks
+        .filter(task => task.status === 'pending' && isOwnTask(req, task))
+        .map(task => ({
+          ...task.toObject(),
+          checklist: checklist._id,
+          checklistType: checklist.type,
+          employee: checklist.employee
+        })))
+      .sort((a, b) => (a.dueDate || 0) - (b.dueDate || 0));
+
+    res.json({
+      success: true,
+      data: tasks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Complete, skip or reopen a checklist task
+// @route   PUT /api/lifecycle/checklists/:id/tasks/:taskId
+// @access  Private (task assignee or lifecycle:manage)
+const updateChecklistTask = async (req, res) => {
+  try {
+    const checklist = await EmployeeChecklist.findById(req.params.id);
+
+    if (!checklist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checklist not found'
+      });
+    }
+
+    const task = checklist.tasks.id(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const isManager = can(req, 'lifecycle:manage');
+
+    if (!isManager && !isOwnTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this task'
+      });
+    }
+
+    if (checklist.status !== 'open' && !isManager) {
+      return res.status(400).json({
+        success: false,
+        error: 'Checklist is no longer open'
+      });
+    }
+
+    const { status, notes } = req.body;
+
+    if (status === 'skipped' && task.required && !isManager) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only HR can skip a required task'
+      });
+    }
+
+    task.status = status;
+    task.completedBy = status === 'pending' ? undefined : req.user._id;
+    task.completedAt = status === 'pending' ? undefined : new Date();
+    if (notes !== undefined) {
+      task.notes = notes;
+    }
+
+    // Reopening a task reopens a completed checklist
+    if (status === 'pending' && checklist.status === 'completed') {
+      checklist.status = 'open';
+      checklist.completedAt = undefined;
+    }
+
+    await checklist.save();
+
+    res.json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getEmployeeLifecycle,
+  updateLifecycleStatus,
+  reviewProbation,
+  updateProbation,
+  updateEmployeeContract,
+  startEmployeeChecklist,
+  getMyTasks,
+  updateChecklistTask
+};
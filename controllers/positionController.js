@@ -0,0 +1,214 @@
+import Position from '../models/Position.js';
+import User from '../models/User.js';
+
+// @desc    Get all positions
+// @route   GET /api/positions
+// @access  Private
+const getPositions = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (req.query.department) {
+      query.department = req.query.department;
+    }
+
+    if (req.query.grade) {
+      query.grade = req.query.grade;
+    }
+
+    const positions = await Position.find(query)
+      .populate('department', 'code name')
+      .sort({ title: 1 });
+
+    res.json({
+      success: true,
+      data: positions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single position
+// @route   GET /api/positions/:id
+// @access  Private
+const getPosition = async (req, res) => {
+  try {
+    const position = await Position.findById(req.params.id)
+      .populate('department', 'code name');
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Create position
+// @route   POST /api/positions
+// @access  Private (position:manage)
+const createPosition = async (req, res) => {
+  try {
+    const { code, title, department, grade, band, description, employmentType, probationMonths, contractMonths } = req.body;
+
+    const positionExists = await Position.findOne({ code: code.toUpperCase() });
+    if (positionExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Position with this code already exists'
+      });
+    }
+
+    const position = await Position.create({
+      code,
+      title,
+      department,
+      grade,
+      band,
+      description,
+      employmentType,
+      probationMonths,
+      contractMonths
+    });
+
+    res.status(201).json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update position
+// @route   PUT /api/positions/:id
+// @access  Private (position:manage)
+const updatePosition = async (req, res) => {
+  try {
+    const position = await Position.findById(req.params.id);
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      title: req.body.title,
+      department: req.body.department,
+      grade: req.body.grade,
+      band: req.body.band,
+      description: req.body.description,
+      employmentType: req.body.employmentType,
+      probationMonths: req.body.probationMonths,
+      contractMonths: req.body.contractMonths,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    const renamed = fieldsToUpdate.title !== undefined && fieldsToUpdate.title !== position.title;
+
+    position.set(fieldsToUpdate);
+    await position.save();
+
+    // Keep the denormalised position title on employees in sync
+    if (renamed) {
+      await User.updateMany({ positionId: position._id }, { position: position.title });
+    }
+
+    res.json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete position
+// @route   DELETE /api/positions/:id
+// @access  Private (position:manage)
+const deletePosition = async (req, res) => {
+  try {
+    const position = await Position.findById(req.params.id);
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+
+    const employees = await User.countDocuments({ positionId: position._id });
+    if (employees > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Position is held by employees; deactivate it instead'
+      });
+    }
+
+    await position.deleteOne();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition
+};
@@ -0,0 +1,276 @@
+import User from '../models/User.js';
+import ProfileChangeRequest from '../models/ProfileChangeRequest.js';
+import { createChangeRequest } from '../utils/profileChanges.js';
+import { recordEmployeeChanges } from '../utils/changeHistory.js';
+import { maskStored } from '../utils/fieldEncryption.js';
+import { sendEmail } from '../utils/mailer.js';
+import { can } from '../middleware/auth.js';
+
+const isOwnRequest = (req, request) => {
+  const employeeId = request.employee._id || request.employee;
+  return employeeId.toString() === req.user._id.toString();
+};
+
+// @desc    Get profile change requests (reviewers see all, employees their own)
+// @route   GET /api/profile-changes
+// @access  Private
+const getChangeRequests = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    let query = {};
+
+    if (!can(req, 'profile_change:approve')) {
+      query.employee = req.user._id;
+    } else if (req.query.employee) {
+      query.employee = req.query.employee;
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const requests = await ProfileChangeRequest.find(query)
+      .populate('employee', 'firstName lastName email department')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ProfileChangeRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single profile change request with a diff against the current profile
+// @route   GET /api/profile-changes/:id
+// @access  Private (owner or profile_change:approve)
+const getChangeRequest = async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findById(req.params.id)
+      .populate('employee', 'firstName lastName email department')
+      .populate('reviewedBy', 'firstName lastName')
+      .populate('documents', 'originalName category mimeType size createdAt');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Change request not found'
+      });
+    }
+
+    if (!isOwnRequest(req, request) && !can(req, 'profile_change:approve')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this change request'
+      });
+    }
+
+    // Current values may have moved on since the request was made
+    const fields = request.changes.map(change => change.field);
+    const employee = await User.findById(request.employee._id).select(fields.join(' '));
+
+    const data = request.toJSON();
+    data.diff = data.changes.map(change => {
+      const current = employee ? employee.get(change.field) : null;
+      return {
+        field: change.field,
+        requestedFrom: change.oldValue,
+        current: change.redacted ? maskStored(current) ?? null : current ?? null,
+        requested: change.newValue,
+        redacted: change.redacted
+      };
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Request a change to own personal data
+// @route   POST /api/profile-changes
+// @access  Private
+const submitChangeRequest = async (req, res) => {
+  try {
+    const { changes, reason, documents } = req.body;
+
+    const result = await createChangeRequest(req.user._id, changes, { reason, documents });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Approve or reject a profile change request
+// @route   PUT /api/profile-changes/:id/review
+// @access  Private (profile_change:approve)
+const reviewChangeRequest = async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Change request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Change request has already been ${request.status}`
+      });
+    }
+
+    // Reviewers cannot approve changes to their own profile
+    if (isOwnRequest(req, request)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot review your own change request'
+      });
+    }
+
+    const { status, reviewNotes } = req.body;
+
+    const before = await User.findById(request.employee);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    if (status === 'approved') {
+      const updates = Object.fromEntries(request.changes.map(change => [change.field, change.newValue]));
+
+      const employee = await User.findByIdAndUpdate(request.employee, updates, {
+        new: true,
+        runValidators: true
+      });
+
+      await recordEmployeeChanges(req, employee._id, before, employee, Object.keys(updates));
+    }
+
+    request.status = status;
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = reviewNotes;
+    await request.save();
+
+    // The decision stands even if the notification cannot be delivered
+    try {
+      await sendEmail({
+        to: before.email,
+        subject: `Your profile change request was ${status}`,
+        text: `Hi ${before.firstName},\n\nYour request to update ${request.changes.map(change => change.field).join(', ')} was ${status}.${reviewNotes ? `\n\nNotes: ${reviewNotes}` : ''}`
+      });
+    } catch (error) {
+      console.error('Change request notification failed:', error.message);
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Cancel own pending profile change request
+// @route   PUT /api/profile-changes/:id/cancel
+// @access  Private (owner)
+const cancelChangeRequest = async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Change request not found'
+      });
+    }
+
+    if (!isOwnRequest(req, request)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to cancel this change request'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending change requests can be cancelled'
+      });
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getChangeRequests,
+  getChangeRequest,
+  submitChangeRequest,
+  reviewChangeRequest,
+  cancelChangeRequest
+};
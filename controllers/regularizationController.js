@@ -0,0 +1,303 @@
+import User from '../models/User.js';
+import AttendanceRegularization from '../models/AttendanceRegularization.js';
+import { createRegularizationRequest, applyRegularization, getMonthlyUsage } from '../utils/regularization.js';
+import { parseCalendarDay, toCalendarDay, getEmployeeTimeZone } from '../utils/timezone.js';
+import { can, getAccessibleEmployeeIds, canAccessEmployee, isInTeam } from '../middleware/auth.js';
+
+const isOwnRequest = (req, request) => {
+  const employeeId = request.employee._id || request.employee;
+  return employeeId.toString() === req.user._id.toString();
+};
+
+// @desc    Get regularization requests (own, team or all by attendance access)
+// @route   GET /api/regularizations
+// @access  Private
+const getRegularizations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    let query = {};
+
+    const accessibleIds = await getAccessibleEmployeeIds(req, 'attendance');
+
+    if (req.query.employee) {
+      if (!(await canAccessEmployee(req, 'attendance', req.query.employee))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view these regularization requests'
+        });
+      }
+      query.employee = req.query.employee;
+    } else if (accessibleIds) {
+      query.employee = { $in: accessibleIds };
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const requests = await AttendanceRegularization.find(query)
+      .populate('employee', 'firstName lastName email department')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AttendanceRegularization.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get own regularization requests used and allowed in a month
+// @route   GET /api/regularizations/usage
+// @access  Private
+const getRegularizationUsage = async (req, res) => {
+  try {
+    const day = req.query.date
+      ? parseCalendarDay(req.query.date)
+      : toCalendarDay(new Date(), await getEmployeeTimeZone(req.user));
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date'
+      });
+    }
+
+    const { used, limit } = await getMonthlyUsage(req.user, day);
+
+    res.json({
+      success: true,
+      data: {
+        month: day.toISOString().slice(0, 7),
+        used,
+        limit,
+        remaining: Math.max(0, limit - used)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single regularization request
+// @route   GET /api/regularizations/:id
+// @access  Private
+const getRegularization = async (req, res) => {
+  try {
+    const request = await AttendanceRegularization.findById(req.params.id)
+      .populate('employee', 'firstName lastName email department')
+      .populate('reviewedBy', 'firstName lastName')
+      .populate('attendance');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regularization request not found'
+      });
+    }
+
+    if (!(await canAccessEmployee(req, 'attendance', request.employee._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this regularization request'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Request a correction to own attendance
+// @route   POST /api/regularizations
+// @access  Private
+const submitRegularization = async (req, res) => {
+  try {
+    const { type, date, clockIn, clockOut, reason } = req.body;
+
+    const result = await createRegularizationRequest(req.user, { type, date, clockIn, clockOut, reason });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Approve or reject a regularization request; approval corrects the attendance record
+// @route   PUT /api/regularizations/:id/review
+// @access  Private (attendance:approve, or attendance:approve:team for own team)
+const reviewRegularization = async (req, res) => {
+  try {
+    const request = await AttendanceRegularization.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regularization request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Regularization request has already been ${request.status}`
+      });
+    }
+
+    // Nobody approves their own request; team approvers only their reports'
+    if (isOwnRequest(req, request)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot review your own regularization request'
+      });
+    }
+
+    if (!can(req, 'attendance:approve') && !(await isInTeam(req, request.employee))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to review this regularization request'
+      });
+    }
+
+    const { status, reviewNotes } = req.body;
+
+    if (status === 'approved') {
+      const employee = await User.findById(request.employee);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found'
+        });
+      }
+
+      const result = await applyRegularization(request, employee, req.user._id);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      request.attendance = result.attendance._id;
+    }
+
+    request.status = status;
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = reviewNotes;
+    await request.save();
+
+    await request.populate([
+      { path: 'employee', select: 'firstName lastName email' },
+      { path: 'reviewedBy', select: 'firstName lastName' },
+      { path: 'attendance' }
+    ]);
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Cancel own pending regularization request
+// @route   PUT /api/regularizations/:id/cancel
+// @access  Private (owner)
+const cancelRegularization = async (req, res) => {
+  try {
+    const request = await AttendanceRegularization.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regularization request not found'
+      });
+    }
+
+    if (!isOwnRequest(req, request)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to cancel this regularization request'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending regularization requests can be cancelled'
+      });
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getRegularizations,
+  getRegularizationUsage,
+  getRegularization,
+  submitRegularization,
+  reviewRegularization,
+  cancelRegularization
+};
@@ -0,0 +1,193 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (role:manage)
+const getRoles = async (req, res) => {
+  try {
+    await Role.ensureDefaults();
+
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    // Number of users holding each role
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      data: roles.map(role => ({
+        ...role.toObject(),
+        userCount: countByRole[role.name] || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get permission catalogue
+// @route   GET /api/roles/permissions
+// @access  Private (role:manage)
+const getPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private (role:manage)
+const createRole = async (req, res) => {
+  try {
+    const { name, label, description, permissions } = req.body;
+
+    const roleExists = await Role.findOne({ name });
+    if (roleExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      label,
+      description,
+      permissions
+    });
+    Role.clearCache();
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private (role:manage)
+const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    // The admin role must keep full access so the system stays manageable
+    if (role.name === 'admin' && req.body.permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Permissions of the admin role cannot be changed'
+      });
+    }
+
+    const fieldsToUpdate = {
+      label: req.body.label,
+      description: req.body.description,
+      permissions: req.body.permissions
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    role.set(fieldsToUpdate);
+    await role.save();
+    Role.clearCache();
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private (role:manage)
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: 'System roles cannot be deleted'
+      });
+    }
+
+    const usersWithRole = await User.countDocuments({ role: role.name });
+    if (usersWithRole > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Role is assigned to ${usersWithRole} user(s); reassign them first`
+      });
+    }
+
+    await role.deleteOne();
+    Role.clearCache();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -1,5 +1,5 @@
-const Salary = require('../models/Salary');
-const User = require('../models/User');
+import Salary from '../models/Salary.js';
+import { getAccessibleEmployeeIds, canAccessEmployee } from '../middleware/auth.js';
 
 // @desc    Get all salaries
 // @route   GET /api/salaries
@@ -13,11 +13,19 @@ const getSalaries = async (req, res) => {
 
     let query = {};
 
-    // If employee, only show their own salaries
-    if (req.user.role === 'employee') {
-      query.employee = req.user._id;
-    } else if (employee) {
+    // Everyone sees their own salaries; salary:read:team their team; salary:read:all everyone
+    const accessibleIds = await getAccessibleEmployeeIds(req, 'salary');
+
+    if (employee) {
+      if (!(await canAccessEmployee(req, 'salary', employee))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view these salary records'
+        });
+      }
       query.employee = employee;
+    } else if (accessibleIds) {
+      query.employee = { $in: accessibleIds };
     }
 
     if (status) {
@@ -69,7 +77,7 @@ const getSalary = async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && salary.employee._id.toString() !== req.user._id.toString()) {
+    if (!(await canAccessEmployee(req, 'salary', salary.employee._id))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view this salary record'
@@ -90,7 +98,7 @@ const getSalary = async (req, res) => {
 
 // @desc    Create salary record
 // @route   POST /api/salaries
-// @access  Private/Admin
+// @access  Private (salary:create)
 const createSalary = async (req, res) => {
   try {
     const {
@@ -143,7 +151,7 @@ const createSalary = async (req, res) => {
 
 // @desc    Update salary record
 // @route   PUT /api/salaries/:id
-// @access  Private/Admin
+// @access  Private (salary:update)
 const updateSalary = async (req, res) => {
   try {
     const salary = await Salary.findById(req.params.id);
@@ -202,7 +210,7 @@ const updateSalary = async (req, res) => {
 
 // @desc    Delete salary record
 // @route   DELETE /api/salaries/:id
-// @access  Private/Admin
+// @access  Private (salary:delete)
 const deleteSalary = async (req, res) => {
   try {
     const salary = await Salary.findById(req.params.id);
@@ -235,7 +243,7 @@ const getSalaryStats = async (req, res) => {
   try {
     let employeeId = req.user._id;
 
-    if (req.user.role === 'admin' && req.query.employee) {
+    if (req.query.employee && await canAccessEmployee(req, 'salary', req.query.employee)) {
       employeeId = req.query.employee;
     }
 
@@ -259,7 +267,7 @@ const getSalaryStats = async (req, res) => {
 const getEmployeeSalaries = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.employeeId) {
+    if (!(await canAccessEmployee(req, 'salary', req.params.employeeId))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view this salary history'
@@ -283,7 +291,7 @@ const getEmployeeSalaries = async (req, res) => {
   }
 };
 
-module.exports = {
+export {
   getSalaries,
   getSalary,
   createSalary,
@@ -0,0 +1,65 @@
+import Setting from '../models/Setting.js';
+
+// @desc    Get organisation settings
+// @route   GET /api/settings
+// @access  Private (settings:manage)
+const getSettings = async (req, res) => {
+  try {
+    const settings = await Setting.getSettings({ fresh: true });
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update organisation settings
+// @route   PUT /api/settings
+// @access  Private (settings:manage)
+const updateSettings = async (req, res) => {
+  try {
+    const fieldsToUpdate = {
+      timezone: req.body.timezone,
+      security: req.body.security,
+      auth: req.body.auth,
+      employment: req.body.employment,
+      attendance: req.body.attendance,
+      dataRetention: req.body.dataRetention
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    const settings = await Setting.updateSettings(fieldsToUpdate, req.user._id);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getSettings,
+  updateSettings
+};
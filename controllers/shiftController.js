@@ -0,0 +1,546 @@
+import Shift from '../models/Shift.js';
+import ShiftRotation from '../models/ShiftRotation.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import User from '../models/User.js';
+import { canAccessEmployee } from '../middleware/auth.js';
+import { getEmployeeSchedule } from '../utils/shifts.js';
+import { parseCalendarDay, toCalendarDay, addCalendarDays, getEmployeeTimeZone } from '../utils/timezone.js';
+
+// Longest range the schedule calendar returns at once
+const MAX_SCHEDULE_DAYS = 62;
+
+// @desc    Get shift definitions
+// @route   GET /api/shifts
+// @access  Private
+const getShifts = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const shifts = await Shift.find(query).sort({ startTime: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: shifts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Create shift
+// @route   POST /api/shifts
+// @access  Private (shift:manage)
+const createShift = async (req, res) => {
+  try {
+    const { code, name, startTime, endTime, breakMinutes, graceMinutes, minHours, halfDayHours } = req.body;
+
+    const shiftExists = await Shift.findOne({ code: code.toUpperCase() });
+    if (shiftExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shift with this code already exists'
+      });
+    }
+
+    const shift = await Shift.create({
+      code,
+      name,
+      startTime,
+      endTime,
+      breakMinutes,
+      graceMinutes,
+      minHours,
+      halfDayHours,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update shift (applies to attendance from the next clock-in)
+// @route   PUT /api/shifts/:id
+// @access  Private (shift:manage)
+const updateShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      name: req.body.name,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      breakMinutes: req.body.breakMinutes,
+      graceMinutes: req.body.graceMinutes,
+      minHours: req.body.minHours,
+      halfDayHours: req.body.halfDayHours,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    shift.set(fieldsToUpdate);
+    await shift.save();
+
+    res.json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete shift
+// @route   DELETE /api/shifts/:id
+// @access  Private (shift:manage)
+const deleteShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    const [assignments, rotations] = await Promise.all([
+      ShiftAssignment.countDocuments({ shift: shift._id }),
+      ShiftRotation.countDocuments({ 'pattern.shift': shift._id })
+    ]);
+
+    if (assignments > 0 || rotations > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shift is assigned to employees or used in a rotation; deactivate it instead'
+      });
+    }
+
+    await shift.deleteOne();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get shift rotations
+// @route   GET /api/shifts/rotations
+// @access  Private
+const getRotations = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const rotations = await ShiftRotation.find(query)
+      .populate('pattern.shift', 'code name startTime endTime')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: rotations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// Every shift in a rotation pattern must exist and be active
+const checkPatternShifts = async (pattern) => {
+  const ids = [...new Set(pattern.filter(step => step.shift).map(step => step.shift.toString()))];
+  const found = await Shift.countDocuments({ _id: { $in: ids }, isActive: true });
+  return found === ids.length ? null : 'Rotation uses a shift that does not exist or is inactive';
+};
+
+// @desc    Create shift rotation
+// @route   POST /api/shifts/rotations
+// @access  Private (shift:manage)
+const createRotation = async (req, res) => {
+  try {
+    const { name, pattern } = req.body;
+
+    const rotationExists = await ShiftRotation.findOne({ name });
+    if (rotationExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rotation with this name already exists'
+      });
+    }
+
+    const patternError = await checkPatternShifts(pattern);
+    if (patternError) {
+      return res.status(400).json({
+        success: false,
+        error: patternError
+      });
+    }
+
+    const rotation = await ShiftRotation.create({
+      name,
+      pattern,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rotation
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update shift rotation
+// @route   PUT /api/shifts/rotations/:id
+// @access  Private (shift:manage)
+const updateRotation = async (req, res) => {
+  try {
+    const rotation = await ShiftRotation.findById(req.params.id);
+
+    if (!rotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rotation not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      name: req.body.name,
+      pattern: req.body.pattern,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    if (fieldsToUpdate.pattern) {
+      const patternError = await checkPatternShifts(fieldsToUpdate.pattern);
+      if (patternError) {
+        return res.status(400).json({
+          success: false,
+          error: patternError
+        });
+      }
+    }
+
+    // Changing the pattern reshuffles the calendar of everyone on the
+    // rotation from their assignment's effective date
+    rotation.set(fieldsToUpdate);
+    await rotation.save();
+
+    res.json({
+      success: true,
+      data: rotation
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete shift rotation
+// @route   DELETE /api/shifts/rotations/:id
+// @access  Private (shift:manage)
+const deleteRotation = async (req, res) => {
+  try {
+    const rotation = await ShiftRotation.findById(req.params.id);
+
+    if (!rotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rotation not found'
+      });
+    }
+
+    const assignments = await ShiftAssignment.countDocuments({ rotation: rotation._id });
+    if (assignments > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rotation is assigned to employees; deactivate it instead'
+      });
+    }
+
+    await rotation.deleteOne();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get shift assignments
+// @route   GET /api/shifts/assignments
+// @access  Private (shift:manage)
+const getAssignments = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let query = {};
+
+    if (req.query.employee) {
+      query.employee = req.query.employee;
+    }
+
+    if (req.query.shift) {
+      query.shift = req.query.shift;
+    }
+
+    if (req.query.rotation) {
+      query.rotation = req.query.rotation;
+    }
+
+    const assignments = await ShiftAssignment.find(query)
+      .populate('employee', 'firstName lastName email department')
+      .populate('shift', 'code name startTime endTime')
+      .populate('rotation', 'name')
+      .populate('assignedBy', 'firstName lastName')
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await ShiftAssignment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: assignments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Assign a shift or rotation to one or more employees
+// @route   POST /api/shifts/assignments
+// @access  Private (shift:manage)
+const createAssignments = async (req, res) => {
+  try {
+    const { employees, shift, rotation, effectiveFrom, effectiveTo } = req.body;
+
+    const target = shift
+      ? await Shift.findOne({ _id: shift, isActive: true })
+      : await ShiftRotation.findOne({ _id: rotation, isActive: true });
+
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: shift ? 'Shift not found or inactive' : 'Rotation not found or inactive'
+      });
+    }
+
+    const employeeIds = [...new Set(employees)];
+    const found = await User.countDocuments({ _id: { $in: employeeIds }, isActive: true });
+    if (found !== employeeIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more employees were not found or are inactive'
+      });
+    }
+
+    const assignments = await ShiftAssignment.create(employeeIds.map(employee => ({
+      employee,
+      shift: shift || undefined,
+      rotation: rotation || undefined,
+      effectiveFrom: parseCalendarDay(effectiveFrom),
+      effectiveTo: effectiveTo ? parseCalendarDay(effectiveTo) : undefined,
+      assignedBy: req.user._id
+    })));
+
+    res.status(201).json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete shift assignment
+// @route   DELETE /api/shifts/assignments/:id
+// @access  Private (shift:manage)
+const deleteAssignment = async (req, res) => {
+  try {
+    const assignment = await ShiftAssignment.findByIdAndDelete(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get an employee's shift calendar (defaults to own, next 7 days)
+// @route   GET /api/shifts/schedule
+// @access  Private (own, team or attendance:read:all)
+const getSchedule = async (req, res) => {
+  try {
+    const employeeId = req.query.employee || req.user._id;
+
+    if (!(await canAccessEmployee(req, 'attendance', employeeId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this schedule'
+      });
+    }
+
+    const employee = await User.findById(employeeId).select('timezone');
+    const timeZone = await getEmployeeTimeZone(employee);
+
+    const from = req.query.startDate ? parseCalendarDay(req.query.startDate) : toCalendarDay(new Date(), timeZone);
+    const to = req.query.endDate ? parseCalendarDay(req.query.endDate) : addCalendarDays(from, 6);
+
+    if (Math.round((to - from) / (24 * 60 * 60 * 1000)) >= MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Schedule range cannot exceed ${MAX_SCHEDULE_DAYS} days`
+      });
+    }
+
+    const days = await getEmployeeSchedule(employeeId, from, to, timeZone);
+
+    res.json({
+      success: true,
+      timezone: timeZone,
+      data: days.map(({ date, shift, assigned, restDay, schedule }) => ({
+        date,
+        assigned,
+        restDay,
+        shift: shift && { _id: shift._id, code: shift.code, name: shift.name, startTime: shift.startTime, endTime: shift.endTime },
+        start: schedule ? schedule.start : null,
+        end: schedule ? schedule.end : null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  getRotations,
+  createRotation,
+  updateRotation,
+  deleteRotation,
+  getAssignments,
+  createAssignments,
+  deleteAssignment,
+  getSchedule
+};
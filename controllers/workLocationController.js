@@ -0,0 +1,160 @@
+import WorkLocation from '../models/WorkLocation.js';
+import User from '../models/User.js';
+
+// @desc    Get work locations
+// @route   GET /api/work-locations
+// @access  Private
+const getWorkLocations = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const locations = await WorkLocation.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: locations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Create work location
+// @route   POST /api/work-locations
+// @access  Private (work_location:manage)
+const createWorkLocation = async (req, res) => {
+  try {
+    const { code, name, geofence, allowedIpRanges } = req.body;
+
+    const locationExists = await WorkLocation.findOne({ code: code.toUpperCase() });
+    if (locationExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Work location with this code already exists'
+      });
+    }
+
+    const location = await WorkLocation.create({
+      code,
+      name,
+      geofence,
+      allowedIpRanges,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update work location (applies to punches from now on)
+// @route   PUT /api/work-locations/:id
+// @access  Private (work_location:manage)
+const updateWorkLocation = async (req, res) => {
+  try {
+    const location = await WorkLocation.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    const fieldsToUpdate = {
+      name: req.body.name,
+      geofence: req.body.geofence,
+      allowedIpRanges: req.body.allowedIpRanges,
+      isActive: req.body.isActive
+    };
+
+    // Remove undefined fields
+    Object.keys(fieldsToUpdate).forEach(key =>
+      fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
+    );
+
+    location.set(fieldsToUpdate);
+    await location.save();
+
+    res.json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete work location
+// @route   DELETE /api/work-locations/:id
+// @access  Private (work_location:manage)
+const deleteWorkLocation = async (req, res) => {
+  try {
+    const location = await WorkLocation.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    const employees = await User.countDocuments({ 'attendancePolicy.workLocations': location._id });
+    if (employees > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Work location is assigned to employees; deactivate it instead'
+      });
+    }
+
+    await location.deleteOne();
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+export {
+  getWorkLocations,
+  createWorkLocation,
+  updateWorkLocation,
+  deleteWorkLocation
+};
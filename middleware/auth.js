@@ -1,8 +1,37 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import Role from '../models/Role.js';
+import { hasPermission } from '../config/permissions.js';
+
+// Resolve the user behind an access token, or null if its session is gone
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens are bound to a session so they can be revoked server-side
+  if (!decoded.sid) {
+    return null;
+  }
 
-// Protect routes - require authentication
-const protect = async (req, res, next) => {
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  const permissions = await Role.getPermissions(user.role);
+
+  return { user, sessionId: session._id, permissions };
+};
+
+// Authenticate the request from its bearer token. Answers for the caller and
+// returns false when there is no valid token or session.
+const authenticate = async (req, res) => {
   try {
     let token;
 
@@ -12,44 +41,129 @@ const protect = async (req, res, next) => {
     }
 
     if (!token) {
-      return res.status(401).json({
+      res.status(401).json({
         success: false,
         error: 'Not authorized to access this route'
       });
+      return false;
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and its session
+      const auth = await getUserFromToken(token);
 
-      if (!req.user) {
-        return res.status(401).json({
+      if (!auth) {
+        res.status(401).json({
           success: false,
-          error: 'User not found'
+          error: 'Session has expired or been revoked'
         });
+        return false;
       }
 
-      next();
+      req.user = auth.user;
+      req.sessionId = auth.sessionId;
+      req.permissions = auth.permissions;
+
+      return true;
     } catch (error) {
-      return res.status(401).json({
+      res.status(401).json({
         success: false,
         error: 'Not authorized to access this route'
       });
+      return false;
     }
   } catch (error) {
-    return res.status(500).json({
+    res.status(500).json({
       success: false,
       error: 'Server error during authentication'
     });
+    return false;
+  }
+};
+
+// Admins must have 2FA enabled when the organisation makes it mandatory
+const adminTwoFactorMissing = async (user) => {
+  if (user.role !== 'admin' || user.twoFactor.enabled) {
+    return false;
+  }
+
+  const settings = await Setting.getSettings();
+  return settings.security.requireAdminTwoFactor;
+};
+
+// Whether the authenticated user holds a permission
+const can = (req, permission) => hasPermission(req.permissions, permission);
+
+// Ids of the user's (transitive) reports, looked up once per request
+const getTeamIds = async (req) => {
+  if (!req.teamIds) {
+    req.teamIds = await User.getReportIds(req.user._id);
   }
+  return req.teamIds;
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
+// Employees whose records of a resource (attendance, leave, salary) the user may
+// read: null means everyone, otherwise self plus team when `<resource>:read:team` is held
+const getAccessibleEmployeeIds = async (req, resource) => {
+  if (can(req, `${resource}:read:all`)) return null;
+
+  const ids = [req.user._id];
+  if (can(req, `${resource}:read:team`)) {
+    ids.push(...await getTeamIds(req));
+  }
+  return ids;
+};
+
+// Whether the user may read a given employee's records of a resource
+const canAccessEmployee = async (req, resource, employeeId) => {
+  const ids = await getAccessibleEmployeeIds(req, resource);
+  return ids === null || ids.some(id => id.toString() === employeeId.toString());
+};
+
+// Whether an employee is in the user's (transitive) team
+const isInTeam = async (req, employeeId) => {
+  const ids = await getTeamIds(req);
+  return ids.some(id => id.toString() === employeeId.toString());
+};
+
+// Run the mandatory-2FA check, answering for the caller when it fails
+const checkTwoFactor = async (req, res) => {
+  try {
+    if (await adminTwoFactorMissing(req.user)) {
+      res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be enabled for admin accounts'
+      });
+      return false;
+    }
+    return true;
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error during authorization'
+    });
+    return false;
+  }
+};
+
+// Protect routes - require authentication. Admins who still have to enrol in
+// mandatory 2FA are refused everywhere except the routes that let them enrol.
+const protect = async (req, res, next) => {
+  if (!(await authenticate(req, res))) return;
+  if (!(await checkTwoFactor(req, res))) return;
+  next();
+};
+
+// Authentication only, for /me, 2FA enrolment and logout, which admins must
+// reach before they have enabled 2FA
+const protectAllowingTwoFactorSetup = async (req, res, next) => {
+  if (!(await authenticate(req, res))) return;
+  next();
+};
+
+// Grant access to users holding any of the given permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -57,7 +171,7 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some(permission => can(req, permission))) {
       return res.status(403).json({
         success: false,
         error: `User role ${req.user.role} is not authorized to access this route`
@@ -68,31 +182,32 @@ const authorize = (...roles) => {
   };
 };
 
-// Check if user owns resource or is admin
-const ownerOrAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      error: 'User not authenticated'
-    });
-  }
+// Check if user owns resource or holds any of the given permissions
+const ownerOrPermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
 
-  // Admin can access everything
-  if (req.user.role === 'admin') {
-    return next();
-  }
+    if (permissions.some(permission => can(req, permission))) {
+      return next();
+    }
 
-  // Check if user owns the resource
-  const resourceUserId = req.params.userId || req.params.id || req.body.employee;
+    // Check if user owns the resource
+    const resourceUserId = req.params.userId || req.params.id || req.body.employee;
 
-  if (!resourceUserId || req.user._id.toString() !== resourceUserId.toString()) {
-    return res.status(403).json({
-      success: false,
-      error: 'Not authorized to access this resource'
-    });
-  }
+    if (!resourceUserId || req.user._id.toString() !== resourceUserId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this resource'
+      });
+    }
 
-  next();
+    next();
+  };
 };
 
 // Optional authentication - doesn't fail if no token
@@ -106,8 +221,10 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const auth = await getUserFromToken(token);
+        req.user = auth ? auth.user : null;
+        req.sessionId = auth ? auth.sessionId : null;
+        req.permissions = auth ? auth.permissions : [];
       } catch (error) {
         // Token invalid but don't fail - just continue without user
         req.user = null;
@@ -122,7 +239,12 @@ const optionalAuth = async (req, res, next) => {
 
 export {
   protect,
-  authorize,
-  ownerOrAdmin,
+  protectAllowingTwoFactorSetup,
+  can,
+  getAccessibleEmployeeIds,
+  canAccessEmployee,
+  isInTeam,
+  requirePermission,
+  ownerOrPermission,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+import rateLimit from 'express-rate-limit';
+
+const windowMs = (parseInt(process.env.RATE_LIMIT_WINDOW) || 15) * 60 * 1000;
+
+// Build a limiter that answers in the API's error format
+const createLimiter = ({ windowMs, max, message }) => rateLimit({
+  windowMs,
+  limit: max,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: message
+    });
+  }
+});
+
+// Login attempts per IP
+const loginLimiter = createLimiter({
+  windowMs,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  message: 'Too many login attempts, please try again later'
+});
+
+// Account creation per IP
+const signupLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.SIGNUP_RATE_LIMIT_MAX) || 5,
+  message: 'Too many accounts created from this IP, please try again later'
+});
+
+// Password reset emails per IP
+const passwordResetLimiter = createLimiter({
+  windowMs,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
+export {
+  createLimiter,
+  loginLimiter,
+  signupLimiter,
+  passwordResetLimiter
+};
@@ -1,4 +1,11 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { SORT_FIELDS } from '../utils/employeeSearch.js';
+import { FIELD_TYPES } from '../models/CustomField.js';
+import { EMPLOYMENT_TYPES } from '../models/Position.js';
+import { EXIT_REASONS } from '../models/User.js';
+import { TIME_PATTERN } from '../models/Shift.js';
+import { REGULARIZATION_TYPES } from '../models/AttendanceRegularization.js';
+import { isValidTimeZone } from '../utils/timezone.js';
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -30,10 +37,69 @@ const validateUserRegistration = [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Last name is required and must be less than 50 characters'),
-  body('role')
+  handleValidationErrors
+];
+
+const validateEmployeeInvite = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('manager')
     .optional()
-    .isIn(['admin', 'employee'])
-    .withMessage('Role must be either admin or employee'),
+    .isMongoId()
+    .withMessage('Please provide a valid manager ID'),
+  body('lifecycleStatus')
+    .optional()
+    .isIn(['offer', 'onboarding'])
+    .withMessage('New employees start in the offer or onboarding state'),
+  body('hireDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Joining date must be a valid date'),
+  body('employmentType')
+    .optional()
+    .isIn(EMPLOYMENT_TYPES)
+    .withMessage(`Employment type must be one of ${EMPLOYMENT_TYPES.join(', ')}`),
+  body('probationEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Probation end date must be a valid date'),
+  body('contractEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Contract end date must be a valid date'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be a valid IANA timezone such as Asia/Kolkata'),
+  body('firstName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name is required and must be less than 50 characters'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name is required and must be less than 50 characters'),
+  handleValidationErrors
+];
+
+const validateInviteAcceptance = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
+const validateInviteToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token'),
   handleValidationErrors
 ];
 
@@ -48,6 +114,59 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body()
+    .custom((body) => {
+      if (!body.code && !body.recoveryCode) {
+        throw new Error('Verification code or recovery code is required');
+      }
+      return true;
+    }),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
 const validateUserUpdate = [
   body('firstName')
     .optional()
@@ -80,17 +199,360 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+// Role validation rules
+const validateRole = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Role name may only contain lowercase letters, digits and underscores'),
+  body('label')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Role label is required and must be less than 100 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  handleValidationErrors
+];
+
+const validateSensitiveReveal = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A reason between 5 and 500 characters is required'),
+  body('fields')
+    .optional()
+    .isArray()
+    .withMessage('Fields must be an array'),
+  handleValidationErrors
+];
+
+const validateProfileChangeRequest = [
+  body('changes')
+    .isObject()
+    .withMessage('Changes must be an object of field values')
+    .custom(changes => Object.keys(changes).length > 0)
+    .withMessage('At least one change is required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('documents')
+    .optional()
+    .isArray()
+    .withMessage('Documents must be an array'),
+  body('documents.*')
+    .isMongoId()
+    .withMessage('Please provide valid document IDs'),
+  handleValidationErrors
+];
+
+const validateProfileChangeReview = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+  body('reviewNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Review notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateDirectoryPrivacy = [
+  body(['hideFromDirectory', 'hideBirthday', 'hideWorkAnniversary'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Privacy settings must be true or false'),
+  handleValidationErrors
+];
+
+const validateDirectorySearch = [
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be text')
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('department')
+    .optional()
+    .isString()
+    .withMessage('Department must be a department name or ID'),
+  query('position')
+    .optional()
+    .isMongoId()
+    .withMessage('Position must be a valid position ID'),
+  handleValidationErrors
+];
+
+const validateChecklistTemplate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name is required and must be less than 100 characters'),
+  body('type')
+    .isIn(['onboarding', 'offboarding'])
+    .withMessage('Type must be onboarding or offboarding'),
+  body('department')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Department must be a valid department ID'),
+  body('tasks')
+    .isArray({ min: 1 })
+    .withMessage('At least one task is required'),
+  body('tasks.*.title')
+    .trim()
+    .notEmpty()
+    .withMessage('Every task needs a title'),
+  body('tasks.*.assigneeType')
+    .isIn(['hr', 'it', 'manager', 'employee'])
+    .withMessage('Task assignee must be hr, it, manager or employee'),
+  body('tasks.*.dueInDays')
+    .optional()
+    .isInt({ min: -365, max: 365 })
+    .withMessage('Task due offset must be between -365 and 365 days'),
+  handleValidationErrors
+];
+
+const validateLifecycleTransition = [
+  body('status')
+    .isIn(['offer', 'onboarding', 'probation', 'active', 'notice', 'exited'])
+    .withMessage('Invalid lifecycle status'),
+  body('resignationDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Resignation date must be a valid date'),
+  body('lastWorkingDay')
+    .optional()
+    .isISO8601()
+    .withMessage('Last working day must be a valid date'),
+  body('reason')
+    .optional()
+    .isIn(EXIT_REASONS)
+    .withMessage('Invalid exit reason'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Exit notes cannot exceed 1000 characters'),
+  body('handoverTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Handover must be a valid employee ID'),
+  handleValidationErrors
+];
+
+// Exit details sent when deactivating an employee
+const validateEmployeeExit = [
+  body('lastWorkingDay')
+    .optional()
+    .isISO8601()
+    .withMessage('Last working day must be a valid date'),
+  body('reason')
+    .optional()
+    .isIn(EXIT_REASONS)
+    .withMessage('Invalid exit reason'),
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Exit notes cannot exceed 1000 characters'),
+  handleValidationErrors
+];
+
+const validateProbationReview = [
+  body('recommendation')
+    .isIn(['confirm', 'extend', 'terminate'])
+    .withMessage('Recommendation must be confirm, extend or terminate'),
+  body('comments')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Review comments cannot exceed 1000 characters'),
+  handleValidationErrors
+];
+
+const validateProbationDecision = [
+  body('action')
+    .isIn(['confirm', 'extend', 'terminate'])
+    .withMessage('Action must be confirm, extend or terminate'),
+  body('endDate')
+    .if(body('action').equals('extend'))
+    .isISO8601()
+    .withMessage('New probation end date must be a valid date'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Extension reason cannot exceed 500 characters'),
+  body('lastWorkingDay')
+    .optional()
+    .isISO8601()
+    .withMessage('Last working day must be a valid date'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Exit notes cannot exceed 1000 characters'),
+  handleValidationErrors
+];
+
+const validateContractUpdate = [
+  body('action')
+    .isIn(['renew', 'convert'])
+    .withMessage('Action must be renew or convert'),
+  body('endDate')
+    .if(body('action').equals('renew'))
+    .isISO8601()
+    .withMessage('New contract end date must be a valid date'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateChecklistStart = [
+  body('type')
+    .isIn(['onboarding', 'offboarding'])
+    .withMessage('Type must be onboarding or offboarding'),
+  handleValidationErrors
+];
+
+const validateChecklistTask = [
+  param('taskId')
+    .isMongoId()
+    .withMessage('Please provide a valid task ID'),
+  body('status')
+    .isIn(['pending', 'done', 'skipped'])
+    .withMessage('Status must be pending, done or skipped'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateDepartment = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,20}$/)
+    .withMessage('Department code must be 1-20 letters, digits, dashes or underscores'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department name is required and must be less than 100 characters'),
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid department ID'),
+  body('head')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Head must be a valid employee ID'),
+  handleValidationErrors
+];
+
+const validatePosition = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,20}$/)
+    .withMessage('Position code must be 1-20 letters, digits, dashes or underscores'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Position title is required and must be less than 100 characters'),
+  body('department')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Department must be a valid department ID'),
+  body('employmentType')
+    .optional()
+    .isIn(EMPLOYMENT_TYPES)
+    .withMessage(`Employment type must be one of ${EMPLOYMENT_TYPES.join(', ')}`),
+  body('probationMonths')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 24 })
+    .withMessage('Probation must be between 0 and 24 months'),
+  body('contractMonths')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Contract must be between 1 and 120 months'),
+  handleValidationErrors
+];
+
+const validateCustomField = [
+  body('key')
+    .trim()
+    .matches(/^[a-z][a-zA-Z0-9_]{0,39}$/)
+    .withMessage('Field key must start with a lowercase letter and contain only letters, digits or underscores (max 40)'),
+  body('label')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Field label is required and must be less than 100 characters'),
+  body('type')
+    .isIn(FIELD_TYPES)
+    .withMessage(`Field type must be one of ${FIELD_TYPES.join(', ')}`),
+  body('options')
+    .optional()
+    .isArray()
+    .withMessage('Options must be an array'),
+  body('visibility')
+    .optional()
+    .isIn(['admin', 'employee'])
+    .withMessage('Visibility must be admin or employee'),
+  handleValidationErrors
+];
+
+const validateManagerAssignment = [
+  body('manager')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Please provide a valid manager ID'),
+  handleValidationErrors
+];
+
+const validateRoleAssignment = [
+  body('role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required'),
+  handleValidationErrors
+];
+
 // Attendance validation rules
+// Coordinates a device may send with any punch
+const punchLocationRules = [
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .if(body('latitude').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Accuracy must be a distance in meters')
+];
+
 const validateAttendanceClockIn = [
   body('location')
     .optional()
     .trim()
     .isLength({ max: 100 })
     .withMessage('Location must be less than 100 characters'),
+  ...punchLocationRules,
   handleValidationErrors
 ];
 
 const validateAttendanceClockOut = [
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must be less than 100 characters'),
+  ...punchLocationRules,
   body('notes')
     .optional()
     .trim()
@@ -99,6 +561,159 @@ const validateAttendanceClockOut = [
   handleValidationErrors
 ];
 
+const validateAttendanceBreak = [
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must be less than 100 characters'),
+  ...punchLocationRules,
+  handleValidationErrors
+];
+
+const validateRegularizationRequest = [
+  body('type')
+    .isIn(REGULARIZATION_TYPES)
+    .withMessage(`Type must be one of: ${REGULARIZATION_TYPES.join(', ')}`),
+  body('date')
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  body()
+    .custom((body) => {
+      if (!body.clockIn && !body.clockOut) {
+        throw new Error('Give the corrected clock-in time, clock-out time or both');
+      }
+      if (body.type === 'on_duty' && (!body.clockIn || !body.clockOut)) {
+        throw new Error('On-duty requests need both clock-in and clock-out times');
+      }
+      return true;
+    }),
+  body(['clockIn', 'clockOut'])
+    .optional()
+    .isISO8601()
+    .withMessage('Clock times must be valid date-times'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const validateRegularizationReview = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+  body('reviewNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Review notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateWorkLocation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,20}$/)
+    .withMessage('Location code must be 1-20 letters, digits, dashes or underscores'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Location name is required and must be less than 100 characters'),
+  body('geofence.type')
+    .isIn(['circle', 'polygon'])
+    .withMessage('Geofence type must be circle or polygon'),
+  body('geofence.polygon')
+    .if(body('geofence.type').equals('polygon'))
+    .isArray({ min: 3, max: 100 })
+    .withMessage('Polygon geofences need between 3 and 100 points'),
+  body('allowedIpRanges')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Allowed IP ranges must be a list of at most 50 ranges'),
+  handleValidationErrors
+];
+
+const validateShift = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,20}$/)
+    .withMessage('Shift code must be 1-20 letters, digits, dashes or underscores'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Shift name is required and must be less than 100 characters'),
+  body(['startTime', 'endTime'])
+    .matches(TIME_PATTERN)
+    .withMessage('Shift times must be HH:mm'),
+  body('minHours')
+    .isFloat({ min: 0.5, max: 24 })
+    .withMessage('Minimum hours must be between 0.5 and 24'),
+  body('halfDayHours')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Half-day hours must be between 0 and 24'),
+  body('breakMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Break must be between 0 and 240 minutes'),
+  body('graceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Grace period must be between 0 and 120 minutes'),
+  handleValidationErrors
+];
+
+const validateShiftRotation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rotation name is required and must be less than 100 characters'),
+  body('pattern')
+    .isArray({ min: 1, max: 31 })
+    .withMessage('Pattern must list between 1 and 31 steps'),
+  body('pattern.*.shift')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Each step needs a valid shift ID, or none for rest days'),
+  body('pattern.*.days')
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Each step must last between 1 and 31 days'),
+  handleValidationErrors
+];
+
+const validateShiftAssignment = [
+  body('employees')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Employees must list between 1 and 500 employee IDs'),
+  body('employees.*')
+    .isMongoId()
+    .withMessage('Please provide valid employee IDs'),
+  body()
+    .custom((body) => {
+      if (Boolean(body.shift) === Boolean(body.rotation)) {
+        throw new Error('Assign either a shift or a rotation');
+      }
+      return true;
+    }),
+  body('shift')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid shift ID'),
+  body('rotation')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid rotation ID'),
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('Please provide a valid effective date'),
+  body('effectiveTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+  handleValidationErrors
+];
+
 // Leave validation rules
 const validateLeaveApplication = [
   body('leaveType')
@@ -202,6 +817,47 @@ const validateEmployeeId = [
   handleValidationErrors
 ];
 
+const isIdList = (value, { allowNone = false } = {}) => (
+  (allowNone && value === 'none') ||
+  String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim()))
+);
+
+const validateEmployeeSearch = [
+  query('role')
+    .optional()
+    .isString()
+    .withMessage('Role must be a role name'),
+  query('position')
+    .optional()
+    .custom(value => isIdList(value))
+    .withMessage('Position must be one or more position IDs'),
+  query('manager')
+    .optional()
+    .custom(value => isIdList(value, { allowNone: true }))
+    .withMessage('Manager must be one or more employee IDs or "none"'),
+  query(['hireDateFrom', 'hireDateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid hire date'),
+  query(['minAge', 'maxAge', 'minTenure', 'maxTenure'])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Age and tenure must be whole years between 0 and 100'),
+  query('sort')
+    .optional()
+    .custom(value => String(value).split(',').every(item => SORT_FIELDS.includes(item.trim().replace(/^-/, ''))))
+    .withMessage(`Sort must be a comma-separated list of ${SORT_FIELDS.join(', ')} (prefix - for descending)`),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('cf')
+    .optional()
+    .isObject()
+    .withMessage('Custom field filters must look like cf[key]=value'),
+  handleValidationErrors
+];
+
 const validateDateRange = [
   query('startDate')
     .optional()
@@ -220,12 +876,55 @@ const validateDateRange = [
   handleValidationErrors
 ];
 
+const validateShiftSchedule = [
+  query('employee')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid employee ID'),
+  ...validateDateRange
+];
+
 export {
   validateUserRegistration,
+  validateEmployeeInvite,
+  validateInviteAcceptance,
+  validateInviteToken,
   validateUserLogin,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateRefreshToken,
   validateUserUpdate,
+  validateRole,
+  validateRoleAssignment,
+  validateManagerAssignment,
+  validateSensitiveReveal,
+  validateProfileChangeRequest,
+  validateProfileChangeReview,
+  validateDirectoryPrivacy,
+  validateDirectorySearch,
+  validateDepartment,
+  validatePosition,
+  validateCustomField,
+  validateChecklistTemplate,
+  validateLifecycleTransition,
+  validateEmployeeExit,
+  validateProbationReview,
+  validateProbationDecision,
+  validateContractUpdate,
+  validateChecklistStart,
+  validateChecklistTask,
   validateAttendanceClockIn,
   validateAttendanceClockOut,
+  validateAttendanceBreak,
+  validateWorkLocation,
+  validateRegularizationRequest,
+  validateRegularizationReview,
+  validateShift,
+  validateShiftRotation,
+  validateShiftAssignment,
+  validateShiftSchedule,
   validateLeaveApplication,
   validateLeaveStatusUpdate,
   validateSalaryCreation,
@@ -233,6 +932,7 @@ export {
   validateDocumentUpload,
   validateObjectId,
   validateEmployeeId,
+  validateEmployeeSearch,
   validateDateRange,
   handleValidationErrors
 };
\ No newline at end of file
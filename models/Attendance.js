@@ -1,15 +1,52 @@
 import mongoose from 'mongoose';
 
+const PUNCH_TYPES = ['in', 'out', 'break_start', 'break_end'];
+
+const STATUSES = ['present', 'absent', 'late', 'half-day'];
+
+// Why a punch fell outside the employee's permitted zone
+const FLAG_REASONS = ['outside_zone', 'no_location', 'low_accuracy'];
+
+// Where the employee is after each punch, and what may come next from there
+const STATE_AFTER_PUNCH = {
+  in: 'working',
+  out: 'out',
+  break_start: 'on_break',
+  break_end: 'working'
+};
+
+const PUNCH_ERRORS = {
+  out: {
+    out: 'Not clocked in',
+    break_start: 'Clock in before starting a break',
+    break_end: 'No break in progress'
+  },
+  working: {
+    in: 'Already clocked in',
+    break_end: 'No break in progress'
+  },
+  on_break: {
+    in: 'Already clocked in; end the break instead',
+    out: 'End the break before clocking out',
+    break_start: 'Already on a break'
+  }
+};
+
 const attendanceSchema = new mongoose.Schema({
   employee: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Employee is required']
   },
+  // Calendar day in the employee's timezone, stored as UTC midnight
   date: {
     type: Date,
     required: [true, 'Date is required']
   },
+  // Timezone the day was resolved in
+  timezone: {
+    type: String
+  },
   clockIn: {
     type: Date,
     required: [true, 'Clock in time is required']
@@ -17,11 +54,55 @@ const attendanceSchema = new mongoose.Schema({
   clockOut: {
     type: Date
   },
+  // Every clock-in, clock-out and break of the day in order. clockIn,
+  // clockOut, workingHours and breakTime are derived from it.
+  punches: [{
+    type: {
+      type: String,
+      enum: PUNCH_TYPES,
+      required: true
+    },
+    at: {
+      type: Date,
+      required: true
+    },
+    location: {
+      type: String,
+      trim: true
+    },
+    coordinates: {
+      lat: Number,
+      lng: Number,
+      // Radius of uncertainty reported by the device, in meters
+      accuracy: Number
+    },
+    ip: String,
+    // Office the punch was matched to
+    workLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkLocation'
+    },
+    // Set when the punch broke the employee's attendance policy
+    flagReason: {
+      type: String,
+      enum: FLAG_REASONS
+    }
+  }],
+  // Any punch of the day was flagged
+  flagged: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
-    enum: ['present', 'absent', 'late', 'half-day'],
+    enum: STATUSES,
     default: 'present'
   },
+  // Status set by an admin, kept in place of the one worked out from the hours
+  statusOverride: {
+    type: String,
+    enum: STATUSES
+  },
   workingHours: {
     type: Number,
     min: [0, 'Working hours cannot be negative'],
@@ -37,6 +118,29 @@ const attendanceSchema = new mongoose.Schema({
     min: [0, 'Overtime cannot be negative'],
     default: 0
   },
+  // The employee's shift for the day, copied at clock-in so later edits
+  // to the shift do not reclassify past attendance
+  schedule: {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift'
+    },
+    start: Date,
+    end: Date,
+    graceMinutes: Number,
+    minHours: Number,
+    halfDayHours: Number
+  },
+  lateMinutes: {
+    type: Number,
+    min: [0, 'Late minutes cannot be negative'],
+    default: 0
+  },
+  earlyDepartureMinutes: {
+    type: Number,
+    min: [0, 'Early departure minutes cannot be negative'],
+    default: 0
+  },
   location: {
     type: String,
     trim: true
@@ -53,31 +157,171 @@ const attendanceSchema = new mongoose.Schema({
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Approved employee request the times were last corrected by
+  regularization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRegularization'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Compound index for unique attendance per employee per date
 attendanceSchema.index({ employee: 1, date: 1 }, { unique: true });
 attendanceSchema.index({ date: 1 });
 attendanceSchema.index({ employee: 1, status: 1 });
+attendanceSchema.index({ date: 1, flagged: 1 });
+
+const minutesBetween = (from, to) => Math.round((to - from) / (1000 * 60));
 
-// Calculate working hours before saving
+const HOUR_MS = 1000 * 60 * 60;
+
+// Current state of the day: 'out', 'working' or 'on_break'
+attendanceSchema.virtual('punchState').get(function() {
+  if (!this.punches.length) {
+    return this.clockIn && !this.clockOut ? 'working' : 'out';
+  }
+  return STATE_AFTER_PUNCH[this.punches[this.punches.length - 1].type];
+});
+
+// Records from before punches were kept start from their clock times
+const seedPunches = (attendance) => {
+  if (!attendance.punches.length && attendance.clockIn) {
+    attendance.punches.push({ type: 'in', at: attendance.clockIn, location: attendance.location });
+    if (attendance.clockOut) attendance.punches.push({ type: 'out', at: attendance.clockOut });
+  }
+};
+
+// Append a punch if it is a valid next step for the day.
+// Returns { error } or {}.
+attendanceSchema.methods.addPunch = function(type, at = new Date(), details = {}) {
+  seedPunches(this);
+
+  const error = PUNCH_ERRORS[this.punchState][type];
+  if (error) return { error };
+
+  const last = this.punches[this.punches.length - 1];
+  if (last && at < last.at) {
+    return { error: 'Punch cannot be earlier than the previous one' };
+  }
+
+  this.punches.push({ type, at, ...details });
+  return {};
+};
+
+// Move the first clock-in and last clock-out of the punch log to corrected
+// times, closing the day if it is still open. The record is left changed
+// but unsaved either way. Returns { error } or {}.
+attendanceSchema.methods.correctTimes = function({ clockIn, clockOut } = {}) {
+  seedPunches(this);
+
+  const { punches } = this;
+  const last = punches[punches.length - 1];
+
+  if (clockIn !== undefined) {
+    punches[0].at = clockIn;
+  }
+
+  if (clockOut !== undefined) {
+    if (last.type === 'out') {
+      last.at = clockOut;
+    } else {
+      const closing = last.type === 'break_start' ? ['break_end', 'out'] : ['out'];
+      closing.forEach(type => punches.push({ type, at: clockOut }));
+    }
+  }
+
+  if (punches.some((punch, i) => i > 0 && punch.at < punches[i - 1].at)) {
+    return { error: 'Corrected times must fit around the other punches of the day' };
+  }
+  return {};
+};
+
+// Sum the worked and break time in the punch log, and the first clock-in and
+// (while clocked out) last clock-out. Open intervals are not counted yet.
+const summarisePunches = (punches) => {
+  let workedMs = 0;
+  let breakMs = 0;
+  let since = null;
+
+  punches.forEach(({ type, at }) => {
+    if (type === 'in' || type === 'break_end') {
+      if (type === 'break_end') breakMs += at - since;
+      since = at;
+    } else {
+      workedMs += at - since;
+      since = at;
+    }
+  });
+
+  const last = punches[punches.length - 1];
+  return {
+    clockIn: punches.find(punch => punch.type === 'in').at,
+    clockOut: last.type === 'out' ? last.at : null,
+    workedHours: workedMs / HOUR_MS,
+    breakHours: breakMs / HOUR_MS,
+    hasBreaks: punches.some(punch => punch.type === 'break_start')
+  };
+};
+
+// Calculate working hours and classify the day before saving. With a shift
+// the day is judged against its hours and grace period; without one a
+// standard 8-hour day applies. An admin's status override always wins.
 attendanceSchema.pre('save', function(next) {
+  const schedule = this.schedule && this.schedule.start ? this.schedule : null;
+
+  // Keep the summary fields older clients read in step with the punch log.
+  // Without punched breaks the shift's scheduled break is deducted instead.
+  let workedHours = null;
+  if (this.punches.length) {
+    const summary = summarisePunches(this.punches);
+    this.clockIn = summary.clockIn;
+    this.clockOut = summary.clockOut;
+    if (summary.hasBreaks) {
+      this.breakTime = summary.breakHours;
+    }
+    workedHours = summary.workedHours - (summary.hasBreaks ? 0 : this.breakTime);
+    this.flagged = this.punches.some(punch => punch.flagReason);
+  }
+
+  // Arrivals and departures within the grace period are not counted
+  if (schedule && this.clockIn) {
+    const late = minutesBetween(schedule.start, this.clockIn);
+    this.lateMinutes = late > schedule.graceMinutes ? late : 0;
+  }
+
   if (this.clockIn && this.clockOut) {
-    const diffMs = this.clockOut - this.clockIn;
-    const diffHours = diffMs / (1000 * 60 * 60);
-    this.workingHours = Math.max(0, diffHours - this.breakTime);
+    if (workedHours === null) {
+      const diffMs = this.clockOut - this.clockIn;
+      workedHours = diffMs / HOUR_MS - this.breakTime;
+    }
+    this.workingHours = Math.max(0, workedHours);
+
+    if (schedule) {
+      const early = minutesBetween(this.clockOut, schedule.end);
+      this.earlyDepartureMinutes = early > schedule.graceMinutes ? early : 0;
+    }
+
+    const fullDayHours = schedule ? schedule.minHours : 8;
+    const halfDayHours = schedule ? (schedule.halfDayHours ?? schedule.minHours / 2) : 4;
 
     // Determine status based on working hours
-    if (this.workingHours >= 8) {
-      this.status = 'present';
-    } else if (this.workingHours >= 4) {
+    if (this.workingHours >= fullDayHours) {
+      this.status = this.lateMinutes > 0 ? 'late' : 'present';
+    } else if (this.workingHours >= halfDayHours) {
       this.status = 'half-day';
     } else {
       this.status = 'absent';
     }
+  } else if (schedule) {
+    this.status = this.lateMinutes > 0 ? 'late' : 'present';
+  }
+
+  if (this.statusOverride) {
+    this.status = this.statusOverride;
   }
   next();
 });
@@ -106,7 +350,12 @@ attendanceSchema.statics.getAttendanceStats = async function(employeeId) {
         halfDays: {
           $sum: { $cond: [{ $eq: ['$status', 'half-day'] }, 1, 0] }
         },
+        earlyDepartures: {
+          $sum: { $cond: [{ $gt: ['$earlyDepartureMinutes', 0] }, 1, 0] }
+        },
+        totalLateMinutes: { $sum: '$lateMinutes' },
         totalWorkingHours: { $sum: '$workingHours' },
+        totalBreakHours: { $sum: '$breakTime' },
         averageWorkingHours: { $avg: '$workingHours' }
       }
     }
@@ -119,9 +368,13 @@ attendanceSchema.statics.getAttendanceStats = async function(employeeId) {
     absentDays: 0,
     lateDays: 0,
     halfDays: 0,
+    earlyDepartures: 0,
+    totalLateMinutes: 0,
     totalWorkingHours: 0,
+    totalBreakHours: 0,
     averageWorkingHours: 0
   };
 };
 
+export { PUNCH_TYPES, FLAG_REASONS };
 export default mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// What an employee asks to have corrected: a clock-in or clock-out they
+// forgot, times recorded wrongly, or a day worked away from the office
+const REGULARIZATION_TYPES = ['missed_punch', 'wrong_time', 'on_duty'];
+
+// Requests that count towards the monthly limit
+const COUNTED_STATUSES = ['pending', 'approved'];
+
+// An employee's request to correct the attendance of one day. On approval
+// the requested times are applied to the day's record.
+const attendanceRegularizationSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  // Calendar day in the employee's timezone, stored as UTC midnight
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  type: {
+    type: String,
+    enum: REGULARIZATION_TYPES,
+    required: [true, 'Regularization type is required']
+  },
+  // The day's record when the request was made; none if nothing was punched
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  clockIn: {
+    type: Date
+  },
+  clockOut: {
+    type: Date,
+    validate: {
+      validator: function(clockOut) {
+        return !clockOut || !this.clockIn || clockOut > this.clockIn;
+      },
+      message: 'Clock out must be after clock in'
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+attendanceRegularizationSchema.index({ employee: 1, date: 1 });
+attendanceRegularizationSchema.index({ employee: 1, status: 1 });
+attendanceRegularizationSchema.index({ status: 1, createdAt: -1 });
+
+export { REGULARIZATION_TYPES, COUNTED_STATUSES };
+export default mongoose.model('AttendanceRegularization', attendanceRegularizationSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+const ASSIGNEE_TYPES = ['hr', 'it', 'manager', 'employee'];
+
+const templateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Task title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Task description cannot exceed 1000 characters']
+  },
+  assigneeType: {
+    type: String,
+    enum: ASSIGNEE_TYPES,
+    required: [true, 'Task assignee type is required']
+  },
+  // Due date offset in days from the joining date (onboarding) or last working day (offboarding)
+  dueInDays: {
+    type: Number,
+    default: 0
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const checklistTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['onboarding', 'offboarding'],
+    required: [true, 'Template type is required']
+  },
+  // Templates without a department apply to departments without their own template
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  tasks: {
+    type: [templateTaskSchema],
+    validate: {
+      validator: tasks => tasks.length > 0,
+      message: 'A checklist template needs at least one task'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+checklistTemplateSchema.index({ type: 1, department: 1, isActive: 1 });
+
+// Static method to find the template for an employee's department, falling
+// back to the organisation-wide template
+checklistTemplateSchema.statics.findForDepartment = async function(type, departmentId) {
+  if (departmentId) {
+    const template = await this.findOne({ type, department: departmentId, isActive: true }).sort({ updatedAt: -1 });
+    if (template) return template;
+  }
+
+  return this.findOne({ type, department: null, isActive: true }).sort({ updatedAt: -1 });
+};
+
+export { ASSIGNEE_TYPES };
+export default mongoose.model('ChecklistTemplate', checklistTemplateSchema);
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multiselect'];
+
+const customFieldSchema = new mongoose.Schema({
+  // Stored on employees as customFields.<key>, so it cannot change once values exist
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    unique: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-zA-Z0-9_]{0,39}$/, 'Field key must start with a lowercase letter and contain only letters, digits or underscores (max 40)']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Field label cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: [true, 'Field type is required'],
+    immutable: true
+  },
+  // Allowed values for select and multiselect fields
+  options: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Option cannot exceed 100 characters']
+    }],
+    validate: {
+      validator: function(options) {
+        return !['select', 'multiselect'].includes(this.type) || options.length > 0;
+      },
+      message: 'Select fields need at least one option'
+    }
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  validation: {
+    // Number fields: value range. Text fields: length range.
+    min: Number,
+    max: Number,
+    pattern: {
+      type: String,
+      maxlength: [200, 'Pattern cannot exceed 200 characters'],
+      validate: {
+        validator: function(pattern) {
+          try {
+            new RegExp(pattern);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Pattern must be a valid regular expression'
+      }
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Validation message cannot exceed 200 characters']
+    }
+  },
+  // 'employee' fields are shown to the employee on their own profile,
+  // 'admin' fields only to users who can read every profile
+  visibility: {
+    type: String,
+    enum: ['admin', 'employee'],
+    default: 'admin'
+  },
+  editableByEmployee: {
+    type: Boolean,
+    default: false,
+    validate: {
+      validator: function(editable) {
+        return !editable || this.visibility === 'employee';
+      },
+      message: 'Only fields visible to employees can be editable by them'
+    }
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+customFieldSchema.index({ isActive: 1, order: 1 });
+
+// Static method to get the active field definitions in display order
+customFieldSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort({ order: 1, label: 1 });
+};
+
+export { FIELD_TYPES };
+export default mongoose.model('CustomField', customFieldSchema);
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+
+const departmentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Department code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Department code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true,
+    maxlength: [100, 'Department name cannot exceed 100 characters']
+  },
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const departmentId = this instanceof mongoose.Query ? this.getQuery()._id : this._id;
+        return !(await mongoose.model('Department').wouldCreateCycle(departmentId, value));
+      },
+      message: 'Parent department would create a cycle'
+    }
+  },
+  costCentre: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Cost centre cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.index({ parent: 1 });
+// Department names are unique regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+departmentSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Static method to check whether another department already has a name,
+// compared the same way as the unique index
+departmentSchema.statics.nameExists = function(name, excludeId) {
+  const query = { name };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.exists(query).collation(NAME_COLLATION);
+};
+
+// Static method to check whether parentId as parent of departmentId creates a cycle
+departmentSchema.statics.wouldCreateCycle = async function(departmentId, parentId) {
+  if (!parentId) return false;
+
+  let currentId = parentId;
+  const visited = new Set();
+
+  while (currentId) {
+    const key = currentId.toString();
+    if (departmentId && key === departmentId.toString()) return true;
+    if (visited.has(key)) return true;
+    visited.add(key);
+
+    const current = await this.findById(currentId).select('parent').lean();
+    currentId = current ? current.parent : null;
+  }
+
+  return false;
+};
+
+// Static method to get a department id together with all nested sub-department ids
+departmentSchema.statics.getDescendantIds = async function(departmentId) {
+  const result = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(departmentId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants'
+      }
+    },
+    { $project: { descendants: '$descendants._id' } }
+  ]);
+
+  if (!result[0]) return [];
+  return [result[0]._id, ...result[0].descendants];
+};
+
+// Static method to get headcount per department. `count` is people directly in
+// the department, `totalCount` also includes every nested sub-department.
+departmentSchema.statics.getHeadcount = async function(match = {}) {
+  const [departments, counts] = await Promise.all([
+    this.find().select('code name parent isActive').lean(),
+    User.aggregate([
+      { $match: { ...match, departmentId: { $ne: null } } },
+      { $group: { _id: '$departmentId', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  const stats = new Map(departments.map(department => [department._id.toString(), {
+    _id: department._id,
+    code: department.code,
+    name: department.name,
+    parent: department.parent || null,
+    isActive: department.isActive,
+    count: countById.get(department._id.toString()) || 0,
+    totalCount: 0
+  }]));
+
+  // Roll each department's direct count up through all of its ancestors
+  stats.forEach(entry => {
+    let current = entry;
+    const visited = new Set();
+    while (current && !visited.has(current._id.toString())) {
+      visited.add(current._id.toString());
+      current.totalCount += entry.count;
+      current = current.parent ? stats.get(current.parent.toString()) : null;
+    }
+  });
+
+  return [...stats.values()].sort((a, b) => b.totalCount - a.totalCount);
+};
+
+export default mongoose.model('Department', departmentSchema);
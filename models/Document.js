@@ -1,4 +1,4 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
 
 const documentSchema = new mongoose.Schema({
   employee: {
@@ -145,7 +145,7 @@ documentSchema.pre('save', function(next) {
 
 // Static method to get document statistics
 documentSchema.statics.getDocumentStats = async function(employeeId = null) {
-  const matchStage = employeeId ? { employee: mongoose.Types.ObjectId(employeeId) } : {};
+  const matchStage = employeeId ? { employee: new mongoose.Types.ObjectId(employeeId) } : {};
 
   const pipeline = [
     { $match: matchStage },
@@ -184,11 +184,11 @@ documentSchema.statics.getDocumentStats = async function(employeeId = null) {
 };
 
 // Instance method to check access permissions
-documentSchema.methods.canAccess = function(userId, userRole) {
-  if (userRole === 'admin') return true;
+documentSchema.methods.canAccess = function(userId, canReadAll = false) {
+  if (canReadAll) return true;
   if (this.security.accessLevel === 'public') return true;
   if (this.security.accessLevel === 'admin_only') return false;
   return this.employee.toString() === userId.toString();
 };
 
-module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
+export default mongoose.model('Document', documentSchema);
\ No newline at end of file
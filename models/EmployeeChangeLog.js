@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+import { decrypt, mask } from '../utils/fieldEncryption.js';
+
+// One entry per changed field of an employee profile
+const employeeChangeLogSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  field: {
+    type: String,
+    required: [true, 'Field is required'],
+    trim: true
+  },
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed,
+  // Sensitive values are only ever stored masked
+  redacted: {
+    type: Boolean,
+    default: false
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Endpoint that made the change, e.g. "PUT /api/employees/:id"
+  source: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+employeeChangeLogSchema.index({ employee: 1, createdAt: -1 });
+employeeChangeLogSchema.index({ employee: 1, field: 1, createdAt: -1 });
+
+const getPath = (source, path) => {
+  if (!source) return undefined;
+  if (typeof source.get === 'function') return source.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), source);
+};
+
+// Comparable, storable form of a field value
+const normalise = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value._id instanceof mongoose.Types.ObjectId) return value._id.toString(); // populated ref
+  if (Array.isArray(value)) return value.map(normalise);
+  return value;
+};
+
+// Static method to record the fields that differ between two versions of an
+// employee (documents or plain objects). Returns the created entries.
+employeeChangeLogSchema.statics.recordChanges = async function(employeeId, before, after, fields, { changedBy, source } = {}) {
+  const sensitiveFields = User.getSensitiveFieldNames();
+
+  const entries = fields.reduce((changes, field) => {
+    const isSensitive = sensitiveFields.includes(field);
+    let oldValue = normalise(getPath(before, field));
+    let newValue = normalise(getPath(after, field));
+
+    // Ciphertext differs on every write, so compare the decrypted values
+    if (isSensitive) {
+      oldValue = oldValue && decrypt(oldValue);
+      newValue = newValue && decrypt(newValue);
+    }
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      return changes;
+    }
+
+    changes.push({
+      employee: employeeId,
+      field,
+      oldValue: isSensitive ? mask(oldValue) : oldValue,
+      newValue: isSensitive ? mask(newValue) : newValue,
+      redacted: isSensitive,
+      changedBy,
+      source
+    });
+    return changes;
+  }, []);
+
+  return entries.length ? this.insertMany(entries) : [];
+};
+
+// Static method to get paginated change history of an employee
+employeeChangeLogSchema.statics.getHistory = async function(employeeId, { page = 1, limit = 20, field, from, to } = {}) {
+  const query = { employee: employeeId };
+
+  if (field) {
+    query.field = field;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const [changes, total] = await Promise.all([
+    this.find(query)
+      .populate('changedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    this.countDocuments(query)
+  ]);
+
+  return {
+    changes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export default mongoose.model('EmployeeChangeLog', employeeChangeLogSchema);
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { ASSIGNEE_TYPES } from './ChecklistTemplate.js';
+
+const checklistTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  assigneeType: {
+    type: String,
+    enum: ASSIGNEE_TYPES,
+    required: [true, 'Task assignee type is required']
+  },
+  // Set for manager and employee tasks; HR and IT tasks go to a shared queue
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dueDate: {
+    type: Date
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'skipped'],
+    default: 'pending'
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
+
+const employeeChecklistSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  type: {
+    type: String,
+    enum: ['onboarding', 'offboarding'],
+    required: [true, 'Checklist type is required']
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChecklistTemplate'
+  },
+  tasks: [checklistTaskSchema],
+  status: {
+    type: String,
+    enum: ['open', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  completedAt: {
+    type: Date
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+employeeChecklistSchema.index({ employee: 1, type: 1, status: 1 });
+employeeChecklistSchema.index({ 'tasks.assignee': 1, 'tasks.status': 1 });
+employeeChecklistSchema.index({ 'tasks.assigneeType': 1, 'tasks.status': 1 });
+
+// Virtual for completion progress
+employeeChecklistSchema.virtual('progress').get(function() {
+  const total = this.tasks.length;
+  const finished = this.tasks.filter(task => task.status !== 'pending').length;
+  return { total, finished, percent: total ? Math.round((finished / total) * 100) : 100 };
+});
+
+// Close the checklist once every required task is done or skipped
+employeeChecklistSchema.pre('save', function(next) {
+  if (this.status === 'open' && this.tasks.every(task => !task.required || task.status !== 'pending')) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+  next();
+});
+
+// Static method to create a checklist for an employee from a template.
+// Due dates are offset from `baseDate` (joining date or last working day).
+employeeChecklistSchema.statics.createFromTemplate = async function(template, employee, { baseDate = new Date(), startedBy } = {}) {
+  const tasks = template.tasks.map(task => ({
+    title: task.title,
+    description: task.description,
+    assigneeType: task.assigneeType,
+    assignee: task.assigneeType === 'employee' ? employee._id
+      : task.assigneeType === 'manager' ? employee.manager : undefined,
+    dueDate: new Date(new Date(baseDate).getTime() + task.dueInDays * 24 * 60 * 60 * 1000),
+    required: task.required
+  }));
+
+  return this.create({
+    employee: employee._id,
+    type: template.type,
+    template: template._id,
+    tasks,
+    startedBy
+  });
+};
+
+export default mongoose.model('EmployeeChecklist', employeeChecklistSchema);
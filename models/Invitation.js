@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const invitationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  sentCount: {
+    type: Number,
+    default: 1,
+    min: [1, 'Sent count must be at least 1']
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ user: 1, status: 1 });
+invitationSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether a pending invitation has run out
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Hash a raw invitation token for storage/lookup
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Instance method to issue a new token and push out the expiry; returns the raw token
+invitationSchema.methods.issueToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireDays = parseInt(process.env.INVITE_EXPIRE_DAYS) || 7;
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -1,4 +1,4 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
 
 const leaveSchema = new mongoose.Schema({
   employee: {
@@ -200,4 +200,4 @@ leaveSchema.methods.checkOverlap = async function() {
   return !!overlappingLeave;
 };
 
-module.exports = mongoose.model('Leave', leaveSchema);
\ No newline at end of file
+export default mongoose.model('Leave', leaveSchema);
\ No newline at end of file
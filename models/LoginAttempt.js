@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: [true, 'Success flag is required']
+  },
+  failureReason: {
+    type: String,
+    enum: ['unknown_user', 'invalid_password', 'invalid_2fa', 'locked', 'inactive', 'invite_pending']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+// Keep login history for a limited time
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.LOGIN_HISTORY_DAYS) || 180) * 24 * 60 * 60 }
+);
+
+// Static method to get paginated login history of a user
+loginAttemptSchema.statics.getHistory = async function(userId, { page = 1, limit = 20, success } = {}) {
+  const query = { user: userId };
+
+  if (success !== undefined) {
+    query.success = success;
+  }
+
+  const [attempts, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    this.countDocuments(query)
+  ]);
+
+  return {
+    attempts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const EMPLOYMENT_TYPES = ['permanent', 'fixed_term', 'intern'];
+
+const positionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Position code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Position code cannot exceed 20 characters']
+  },
+  title: {
+    type: String,
+    required: [true, 'Position title is required'],
+    trim: true,
+    maxlength: [100, 'Position title cannot exceed 100 characters']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Grade cannot exceed 20 characters']
+  },
+  band: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Band cannot exceed 20 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Defaults applied to new hires in this position
+  employmentType: {
+    type: String,
+    enum: EMPLOYMENT_TYPES,
+    default: 'permanent'
+  },
+  // Unset means the organisation default; 0 means no probation
+  probationMonths: {
+    type: Number,
+    min: [0, 'Probation cannot be negative'],
+    max: [24, 'Probation cannot exceed 24 months']
+  },
+  // Length of fixed-term and intern contracts
+  contractMonths: {
+    type: Number,
+    min: [1, 'Contract must be at least 1 month'],
+    max: [120, 'Contract cannot exceed 120 months']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+positionSchema.index({ department: 1 });
+positionSchema.index({ title: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+export { EMPLOYMENT_TYPES };
+export default mongoose.model('Position', positionSchema);
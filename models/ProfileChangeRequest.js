@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { maskStored } from '../utils/fieldEncryption.js';
+
+const requestedChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Field is required']
+  },
+  // Value when the request was made, for display (masked if sensitive)
+  oldValue: mongoose.Schema.Types.Mixed,
+  // Value to apply on approval (encrypted if sensitive)
+  newValue: mongoose.Schema.Types.Mixed,
+  redacted: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const profileChangeRequestSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  changes: {
+    type: [requestedChangeSchema],
+    validate: {
+      validator: changes => changes.length > 0,
+      message: 'A change request needs at least one change'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Proof documents uploaded by the employee (e.g. a cancelled cheque)
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+profileChangeRequestSchema.index({ employee: 1, status: 1 });
+profileChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to find fields that already have a pending request for an employee
+profileChangeRequestSchema.statics.getPendingFields = async function(employeeId) {
+  const pending = await this.find({ employee: employeeId, status: 'pending' }).select('changes.field').lean();
+  return pending.flatMap(request => request.changes.map(change => change.field));
+};
+
+// Requested values of sensitive fields are never returned in full
+profileChangeRequestSchema.methods.toJSON = function() {
+  const request = this.toObject();
+  request.changes = request.changes.map(change => (
+    change.redacted ? { ...change, newValue: maskStored(change.newValue) } : change
+  ));
+  return request;
+};
+
+export default mongoose.model('ProfileChangeRequest', profileChangeRequestSchema);
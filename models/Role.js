@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { DEFAULT_ROLES, isKnownPermission } from '../config/permissions.js';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores'],
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxlength: [100, 'Role label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(permissions) {
+        return permissions.every(isKnownPermission);
+      },
+      message: 'Unknown permission in role'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const CACHE_TTL_MS = 60 * 1000;
+let permissionCache = new Map();
+let cachedAt = 0;
+let defaultsEnsured = false;
+
+// Static method to create any missing default roles
+roleSchema.statics.ensureDefaults = async function() {
+  if (defaultsEnsured) return;
+
+  await Promise.all(DEFAULT_ROLES.map(role =>
+    this.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true })
+  ));
+  defaultsEnsured = true;
+};
+
+// Static method to get the permissions granted to a role name
+roleSchema.statics.getPermissions = async function(roleName) {
+  if (Date.now() - cachedAt > CACHE_TTL_MS) {
+    await this.ensureDefaults();
+    const roles = await this.find({}, 'name permissions');
+    permissionCache = new Map(roles.map(role => [role.name, role.permissions]));
+    cachedAt = Date.now();
+  }
+
+  return permissionCache.get(roleName) || [];
+};
+
+// Static method to drop cached permissions after a role changes
+roleSchema.statics.clearCache = function() {
+  cachedAt = 0;
+};
+
+export default mongoose.model('Role', roleSchema);
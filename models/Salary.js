@@ -1,4 +1,4 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
 
 const salarySchema = new mongoose.Schema({
   employee: {
@@ -60,6 +60,11 @@ const salarySchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Net salary cannot be negative']
   },
+  type: {
+    type: String,
+    enum: ['regular', 'final_settlement'],
+    default: 'regular'
+  },
   status: {
     type: String,
     enum: ['pending', 'paid', 'cancelled'],
@@ -168,4 +173,4 @@ salarySchema.statics.getSalaryStats = async function(employeeId = null) {
   };
 };
 
-module.exports = mongoose.model('Salary', salarySchema);
\ No newline at end of file
+export default mongoose.model('Salary', salarySchema);
\ No newline at end of file
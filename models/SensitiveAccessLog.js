@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Audit trail of every reveal of unmasked sensitive employee fields
+const sensitiveAccessLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  fields: {
+    type: [String],
+    required: [true, 'Revealed fields are required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sensitiveAccessLogSchema.index({ employee: 1, createdAt: -1 });
+sensitiveAccessLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Static method to get paginated reveal history of an employee
+sensitiveAccessLogSchema.statics.getHistory = async function(employeeId, { page = 1, limit = 20 } = {}) {
+  const query = { employee: employeeId };
+
+  const [entries, total] = await Promise.all([
+    this.find(query)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    this.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export default mongoose.model('SensitiveAccessLog', sensitiveAccessLogSchema);
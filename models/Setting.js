@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { isValidTimeZone } from '../utils/timezone.js';
+
+// Organisation-wide settings, stored as a single document
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'organisation',
+    unique: true,
+    immutable: true
+  },
+  // IANA timezone attendance days are counted in, unless an employee has
+  // their own
+  timezone: {
+    type: String,
+    default: 'UTC',
+    trim: true,
+    validate: {
+      validator: timeZone => isValidTimeZone(timeZone),
+      message: 'Timezone must be a valid IANA timezone such as Asia/Kolkata'
+    }
+  },
+  security: {
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false
+    }
+  },
+  auth: {
+    signupMode: {
+      type: String,
+      enum: ['disabled', 'domain', 'open'],
+      default: 'disabled'
+    },
+    allowedSignupDomains: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }]
+  },
+  employment: {
+    // Probation for positions that do not set their own
+    defaultProbationMonths: {
+      type: Number,
+      default: 6,
+      min: [0, 'Probation cannot be negative'],
+      max: [24, 'Probation cannot exceed 24 months']
+    }
+  },
+  attendance: {
+    // Regularization requests an employee may make per calendar month,
+    // by attendance policy. Zero turns requests off for the policy.
+    regularizationLimits: {
+      office_only: {
+        type: Number,
+        default: 3,
+        min: [0, 'Regularization limit cannot be negative'],
+        max: [31, 'Regularization limit cannot exceed 31 per month']
+      },
+      remote_allowed: {
+        type: Number,
+        default: 3,
+        min: [0, 'Regularization limit cannot be negative'],
+        max: [31, 'Regularization limit cannot exceed 31 per month']
+      },
+      field: {
+        type: Number,
+        default: 5,
+        min: [0, 'Regularization limit cannot be negative'],
+        max: [31, 'Regularization limit cannot exceed 31 per month']
+      }
+    }
+  },
+  dataRetention: {
+    // Days after an employee's last working day before their personal data
+    // may be anonymised
+    anonymiseAfterDays: {
+      type: Number,
+      default: 365,
+      min: [30, 'Retention period must be at least 30 days']
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// Static method to get the settings document, creating it with defaults if missing
+settingSchema.statics.getSettings = async function({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  cached = await this.findOneAndUpdate(
+    { key: 'organisation' },
+    { $setOnInsert: { key: 'organisation' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+
+  return cached;
+};
+
+// Static method to apply a partial update to the settings
+settingSchema.statics.updateSettings = async function(updates, userId) {
+  const settings = await this.getSettings({ fresh: true });
+
+  settings.set(updates);
+  settings.updatedBy = userId;
+  await settings.save();
+
+  cached = settings;
+  cachedAt = Date.now();
+
+  return settings;
+};
+
+export default mongoose.model('Setting', settingSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Times of day are 24-hour "HH:mm" in the employee's timezone
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const shiftSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Shift code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Shift code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Shift name is required'],
+    trim: true,
+    maxlength: [100, 'Shift name cannot exceed 100 characters']
+  },
+  // A shift ending at or before its start time runs past midnight
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be HH:mm']
+  },
+  // Unpaid break deducted from the hours worked
+  breakMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Break cannot be negative'],
+    max: [240, 'Break cannot exceed 240 minutes']
+  },
+  // Minutes after the start before a clock-in counts as late, and before
+  // the end before a clock-out counts as an early departure
+  graceMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grace period cannot be negative'],
+    max: [120, 'Grace period cannot exceed 120 minutes']
+  },
+  // Hours worked for a full day; half of it (or halfDayHours) for a half day
+  minHours: {
+    type: Number,
+    required: [true, 'Minimum hours are required'],
+    min: [0.5, 'Minimum hours must be at least 0.5'],
+    max: [24, 'Minimum hours cannot exceed 24']
+  },
+  halfDayHours: {
+    type: Number,
+    min: [0, 'Half-day hours cannot be negative'],
+    validate: {
+      validator: function(hours) {
+        return hours == null || hours < this.minHours;
+      },
+      message: 'Half-day hours must be less than the minimum hours'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+shiftSchema.virtual('crossesMidnight').get(function() {
+  return this.endTime <= this.startTime;
+});
+
+export { TIME_PATTERN };
+export default mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Which shift, or rotation of shifts, an employee works from a given date.
+// The latest assignment starting on or before a day applies to that day.
+const shiftAssignmentSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Day one of the rotation falls on effectiveFrom. Both dates are calendar
+  // days stored as UTC midnight, like attendance dates.
+  rotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShiftRotation',
+    validate: {
+      validator: function(rotation) {
+        return Boolean(rotation) !== Boolean(this.shift);
+      },
+      message: 'Assign either a shift or a rotation'
+    }
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  // Inclusive; open-ended when unset
+  effectiveTo: {
+    type: Date,
+    validate: {
+      validator: function(date) {
+        return !date || date >= this.effectiveFrom;
+      },
+      message: 'End date cannot be before the effective date'
+    }
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shiftAssignmentSchema.index({ employee: 1, effectiveFrom: -1 });
+shiftAssignmentSchema.index({ shift: 1 });
+shiftAssignmentSchema.index({ rotation: 1 });
+
+export default mongoose.model('ShiftAssignment', shiftAssignmentSchema);
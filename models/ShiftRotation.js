@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const shiftRotationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rotation name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Rotation name cannot exceed 100 characters']
+  },
+  // Steps worked through in order and then repeated, e.g. five days on the
+  // morning shift, two days off, five days on nights, two days off. A step
+  // without a shift is a rest day.
+  pattern: {
+    type: [{
+      _id: false,
+      shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+      },
+      days: {
+        type: Number,
+        required: [true, 'Step length is required'],
+        min: [1, 'Step must last at least 1 day'],
+        max: [31, 'Step cannot exceed 31 days']
+      }
+    }],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: 'Rotation needs at least one step'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Shift id for the given day of the cycle (0 = first day), or null on a
+// rest day
+shiftRotationSchema.methods.shiftForDay = function(dayIndex) {
+  const cycleLength = this.pattern.reduce((total, step) => total + step.days, 0);
+  let day = ((dayIndex % cycleLength) + cycleLength) % cycleLength;
+
+  for (const step of this.pattern) {
+    if (day < step.days) return step.shift;
+    day -= step.days;
+  }
+  return null;
+};
+
+export default mongoose.model('ShiftRotation', shiftRotationSchema);
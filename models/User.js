@@ -1,5 +1,22 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import Role from './Role.js';
+import { EMPLOYMENT_TYPES } from './Position.js';
+import { ATTENDANCE_POLICIES } from './WorkLocation.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { encrypt, decrypt, maskStored } from '../utils/fieldEncryption.js';
+
+// Identity and bank fields encrypted at rest and masked in API output
+const SENSITIVE_FIELDS = ['aadhaar', 'pan', 'pfNo', 'drivingLicence', 'medicalInsurance', 'bankAccountNumber'];
+
+// Why an employee left (or is leaving)
+const EXIT_REASONS = ['resignation', 'termination', 'retirement', 'contract_end', 'absconding', 'other'];
+
+const sensitiveField = {
+  type: String,
+  set: value => encrypt(typeof value === 'string' ? value.trim() : value)
+};
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -12,7 +29,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Invited users choose their password when accepting the invitation
+    required: [function() { return !this.invitePending; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
@@ -30,9 +48,17 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'employee'],
-    default: 'employee'
+    default: 'employee',
+    trim: true,
+    validate: {
+      validator: async function(value) {
+        await Role.ensureDefaults();
+        return !!(await Role.exists({ name: value }));
+      },
+      message: 'Role {VALUE} does not exist'
+    }
   },
+  // Display names, kept in sync with departmentId/positionId when those are set
   department: {
     type: String,
     trim: true,
@@ -43,15 +69,47 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Position cannot exceed 100 characters']
   },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position'
+  },
   salary: {
     type: Number,
     min: [0, 'Salary cannot be negative']
   },
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        // Runs for both document saves and update queries
+        const userId = this instanceof mongoose.Query ? this.getQuery()._id : this._id;
+        return !(await mongoose.model('User').wouldCreateCycle(userId, value));
+      },
+      message: 'Manager assignment would create a reporting cycle'
+    }
+  },
   phone: {
     type: String,
     trim: true,
     match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
   },
+  // Desk phone extension shown in the staff directory
+  extension: {
+    type: String,
+    trim: true,
+    match: [/^\d{1,8}$/, 'Extension must be up to 8 digits']
+  },
+  // Digits of the phone number, kept in sync for indexed prefix search
+  phoneDigits: {
+    type: String,
+    select: false
+  },
   address: String,
   communicationAddress: String,
   dateOfBirth: {
@@ -71,26 +129,234 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  invitePending: {
+    type: Boolean,
+    default: false
+  },
+  lifecycleStatus: {
+    type: String,
+    enum: ['offer', 'onboarding', 'probation', 'active', 'notice', 'exited'],
+    default: 'active'
+  },
+  exit: {
+    resignationDate: Date,
+    lastWorkingDay: Date,
+    reason: {
+      type: String,
+      enum: EXIT_REASONS
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Exit notes cannot exceed 1000 characters']
+    },
+    handoverTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    exitedAt: Date,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // URL of the medium avatar, kept for clients that only know this field
   profileImage: {
     type: String,
     trim: true
   },
+  // URLs of the processed avatar renditions (see utils/profilePhotos.js)
+  profilePhoto: {
+    small: String,
+    medium: String,
+    large: String,
+    updatedAt: Date
+  },
   documentsSubmitted: [{
     type: String,
     trim: true
   }],
   gender: String,
   bloodGroup: String,
-  aadhaar: String,
-  pan: String,
+  aadhaar: sensitiveField,
+  pan: sensitiveField,
   education: String,
-  pfNo: String,
-  medicalInsurance: String,
-  drivingLicence: String,
+  pfNo: sensitiveField,
+  medicalInsurance: sensitiveField,
+  drivingLicence: sensitiveField,
+  bankName: {
+    type: String,
+    trim: true
+  },
+  bankAccountNumber: sensitiveField,
+  bankIfsc: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   vehicleNo: String,
   callLetter: String,
   emergencyContactPerson: String,
-  emergencyContactNo: String
+  emergencyContactNo: String,
+  // Where the employee may clock in from. Office-only staff are limited to
+  // workLocations, or to any office when none are listed.
+  attendancePolicy: {
+    type: {
+      type: String,
+      enum: ATTENDANCE_POLICIES,
+      default: 'office_only'
+    },
+    workLocations: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkLocation'
+    }]
+  },
+  // IANA timezone the employee works in; the organisation's when unset
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: timeZone => !timeZone || isValidTimeZone(timeZone),
+      message: 'Timezone must be a valid IANA timezone such as Asia/Kolkata'
+    }
+  },
+  employmentType: {
+    type: String,
+    enum: EMPLOYMENT_TYPES,
+    default: 'permanent'
+  },
+  probation: {
+    endDate: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'extended', 'confirmed', 'terminated']
+    },
+    // Latest recommendation from the employee's manager
+    review: {
+      recommendation: {
+        type: String,
+        enum: ['confirm', 'extend', 'terminate']
+      },
+      comments: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Review comments cannot exceed 1000 characters']
+      },
+      reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      submittedAt: Date
+    },
+    extensions: [{
+      previousEndDate: Date,
+      newEndDate: Date,
+      reason: String,
+      extendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      extendedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    confirmedAt: Date,
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Fixed-term and intern contracts
+  contract: {
+    endDate: Date,
+    renewals: [{
+      previousEndDate: Date,
+      newEndDate: Date,
+      notes: String,
+      renewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      renewedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Staff directory and celebrations opt-outs chosen by the employee
+  privacy: {
+    hideFromDirectory: {
+      type: Boolean,
+      default: false
+    },
+    hideBirthday: {
+      type: Boolean,
+      default: false
+    },
+    hideWorkAnniversary: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Set once personal data has been scrubbed after the retention period
+  anonymisedAt: Date,
+  anonymisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Values of admin-defined fields (see CustomField), keyed by field key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Failed login attempts cannot be negative']
+  },
+  lockUntil: {
+    type: Date
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -102,10 +368,104 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for temporary login lockout
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Index for better query performance
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ lifecycleStatus: 1 });
 userSchema.index({ department: 1 });
+userSchema.index({ departmentId: 1 });
+userSchema.index({ positionId: 1 });
+userSchema.index({ manager: 1 });
+userSchema.index({ hireDate: 1 });
+userSchema.index({ 'probation.endDate': 1 });
+userSchema.index({ 'contract.endDate': 1 });
+userSchema.index({ phoneDigits: 1 });
+userSchema.index({ 'customFields.$**': 1 });
+// Whole-word name search; language 'none' so names are never stemmed
+userSchema.index(
+  { firstName: 'text', lastName: 'text', department: 'text', position: 'text' },
+  { weights: { firstName: 10, lastName: 10 }, default_language: 'none', name: 'employee_text_search' }
+);
+
+// Static method to check whether making managerId the manager of userId would
+// create a reporting cycle (including a user managing themselves)
+userSchema.statics.wouldCreateCycle = async function(userId, managerId) {
+  if (!managerId) return false;
+
+  let currentId = managerId;
+  const visited = new Set();
+
+  while (currentId) {
+    const key = currentId.toString();
+    if (key === userId.toString()) return true;
+    if (visited.has(key)) return true; // existing cycle further up
+    visited.add(key);
+
+    const current = await this.findById(currentId).select('manager').lean();
+    currentId = current ? current.manager : null;
+  }
+
+  return false;
+};
+
+// Static method to get the reports of a manager. Direct reports have depth 0.
+userSchema.statics.getReports = async function(managerId, { transitive = false, activeOnly = true } = {}) {
+  const restrictSearchWithMatch = activeOnly ? { isActive: true } : {};
+
+  const result = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(managerId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'manager',
+        as: 'reports',
+        depthField: 'depth',
+        restrictSearchWithMatch,
+        ...(transitive ? {} : { maxDepth: 0 })
+      }
+    },
+    { $project: { reports: 1 } }
+  ]);
+
+  return result[0] ? result[0].reports : [];
+};
+
+// Static method to get the ids of everyone reporting (transitively) to a manager
+userSchema.statics.getReportIds = async function(managerId) {
+  const reports = await this.getReports(managerId, { transitive: true, activeOnly: false });
+  return reports.map(report => report._id);
+};
+
+// Static method listing the fields that are encrypted at rest
+userSchema.statics.getSensitiveFieldNames = function() {
+  return [...SENSITIVE_FIELDS];
+};
+
+const toPhoneDigits = phone => (phone ? phone.replace(/\D/g, '') : null);
+
+// Keep phoneDigits in sync on saves and on updates by query
+userSchema.pre('validate', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneDigits = toPhoneDigits(this.phone);
+  }
+  next();
+});
+
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const phone = 'phone' in update ? update.phone : update.$set?.phone;
+  if (phone !== undefined) {
+    this.set('phoneDigits', toPhoneDigits(phone));
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -122,14 +482,108 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Record a failed login and lock the account once the limit is reached.
+// Each consecutive lockout doubles in length, up to 24 hours.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+  const baseLockMinutes = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+
+  // Previous lock has run out - start counting afresh
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.failedLoginAttempts += 1;
+
+  if (this.failedLoginAttempts >= maxAttempts) {
+    const lockMinutes = Math.min(baseLockMinutes * 2 ** this.lockCount, 24 * 60);
+    this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    this.lockCount += 1;
+  }
+
+  await this.save({ validateBeforeSave: false });
+};
+
+// Clear lockout state after a successful login
+userSchema.methods.registerSuccessfulLogin = async function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockCount = 0;
+  this.lastLoginAt = new Date();
+  await this.save({ validateBeforeSave: false });
+};
+
+// Generate a fresh set of 2FA recovery codes; only their hashes are stored
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code; returns false if it is unknown or already used
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Generate a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(
+    Date.now() + (parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30) * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Decrypted values of sensitive fields; callers are responsible for auditing
+userSchema.methods.revealSensitiveFields = function(fields = SENSITIVE_FIELDS) {
+  return fields.reduce((revealed, field) => {
+    revealed[field] = this[field] ? decrypt(this[field]) : null;
+    return revealed;
+  }, {});
+};
+
+// Remove password and secrets from JSON output and mask sensitive fields
 userSchema.methods.toJSON = function() {
-  const userObject = this.toObject();
+  const userObject = this.toObject({ flattenMaps: true });
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
+  SENSITIVE_FIELDS.forEach(field => {
+    if (userObject[field]) {
+      userObject[field] = maskStored(userObject[field]);
+    }
+  });
   return userObject;
 };
 
+export { EXIT_REASONS };
 export default mongoose.model('User', userSchema);
\ No newline at end of file
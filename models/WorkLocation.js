@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import net from 'net';
+
+// Where employees on each attendance policy may punch from: inside an
+// office, anywhere, or anywhere with their location shared (field staff)
+const ATTENDANCE_POLICIES = ['office_only', 'remote_allowed', 'field'];
+
+// CIDR range such as 203.0.113.0/24 or 2001:db8::/32
+const isCidr = (range) => {
+  const [address, prefix] = String(range).split('/');
+  const version = net.isIP(address);
+  const bits = Number(prefix);
+  return version !== 0 && Number.isInteger(bits) && bits >= 0 && bits <= (version === 4 ? 32 : 128);
+};
+
+const pointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  lng: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  }
+}, { _id: false });
+
+// An office or site employees clock in at. A punch is inside it when its
+// coordinates fall within the geofence, or when it comes from one of the
+// office's network ranges.
+const workLocationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Location code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  geofence: {
+    type: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      required: [true, 'Geofence type is required']
+    },
+    center: {
+      type: pointSchema,
+      required: [
+        function() { return this.geofence?.type === 'circle'; },
+        'Circle geofences need a center'
+      ]
+    },
+    radiusMeters: {
+      type: Number,
+      min: [10, 'Radius must be at least 10 meters'],
+      max: [10000, 'Radius cannot exceed 10000 meters'],
+      required: [
+        function() { return this.geofence?.type === 'circle'; },
+        'Circle geofences need a radius'
+      ]
+    },
+    // Corners in order; the last connects back to the first
+    polygon: {
+      type: [pointSchema],
+      default: undefined,
+      validate: {
+        validator: function(points) {
+          return this.geofence?.type !== 'polygon' || (Array.isArray(points) && points.length >= 3);
+        },
+        message: 'Polygon geofences need at least 3 points'
+      }
+    }
+  },
+  allowedIpRanges: {
+    type: [String],
+    validate: {
+      validator: ranges => ranges.every(isCidr),
+      message: 'IP ranges must be in CIDR notation, e.g. 203.0.113.0/24'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export { ATTENDANCE_POLICIES };
+export default mongoose.model('WorkLocation', workLocationSchema);
@@ -2,16 +2,19 @@ import express from 'express';
 import {
   clockIn,
   clockOut,
+  startBreak,
+  endBreak,
   getAttendance,
   getAttendanceByDate,
   getEmployeeAttendance,
   getAttendanceStats,
   updateAttendance
 } from '../controllers/attendanceController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import {
   validateAttendanceClockIn,
   validateAttendanceClockOut,
+  validateAttendanceBreak,
   validateObjectId,
   validateEmployeeId,
   validateDateRange
@@ -25,12 +28,14 @@ router.use(protect);
 // Employee routes
 router.post('/clock-in', validateAttendanceClockIn, clockIn);
 router.post('/clock-out', validateAttendanceClockOut, clockOut);
+router.post('/break-start', validateAttendanceBreak, startBreak);
+router.post('/break-end', validateAttendanceBreak, endBreak);
 router.get('/employee/:employeeId', validateEmployeeId, getEmployeeAttendance);
 router.get('/stats', getAttendanceStats);
 
-// Admin routes
-router.get('/date/:date', authorize('admin'), getAttendanceByDate);
-router.get('/', getAttendance); // Admin gets all, employee gets their own
-router.put('/:id', authorize('admin'), validateObjectId, updateAttendance);
+// Privileged routes
+router.get('/date/:date', requirePermission('attendance:read:all'), getAttendanceByDate);
+router.get('/', getAttendance); // attendance:read:all gets all, employee gets their own
+router.put('/:id', requirePermission('attendance:update'), validateObjectId, updateAttendance);
 
 export default router;
\ No newline at end of file
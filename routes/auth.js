@@ -2,26 +2,65 @@ import express from 'express';
 import {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  getMyLogins,
   updateDetails,
-  updatePassword
+  updatePassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  forgotPassword,
+  resetPassword,
+  getInvitation,
+  acceptInvitation,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, protectAllowingTwoFactorSetup } from '../middleware/auth.js';
+import { loginLimiter, signupLimiter, passwordResetLimiter } from '../middleware/rateLimiter.js';
 import {
   validateUserRegistration,
   validateUserLogin,
-  validateUserUpdate
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateInviteToken,
+  validateInviteAcceptance,
+  validateRefreshToken,
+  validateUserUpdate,
+  validateObjectId
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/signup', validateUserRegistration, register);
-router.post('/login', validateUserLogin, login);
+router.post('/signup', signupLimiter, validateUserRegistration, register);
+router.post('/login', loginLimiter, validateUserLogin, login);
+router.post('/2fa/verify', loginLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+router.post('/refresh', validateRefreshToken, refresh);
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
+router.get('/invitations/:token', validateInviteToken, getInvitation);
+router.post('/invitations/:token/accept', validateInviteAcceptance, acceptInvitation);
 
 // Protected routes
-router.get('/me', protect, getMe);
+router.get('/me', protectAllowingTwoFactorSetup, getMe);
+router.get('/me/logins', protect, getMyLogins);
 router.put('/updatedetails', protect, validateUserUpdate, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
+router.post('/2fa/setup', protectAllowingTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectAllowingTwoFactorSetup, validateTwoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', protect, validateTwoFactorCode, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, validateTwoFactorCode, regenerateRecoveryCodes);
+router.post('/logout', protectAllowingTwoFactorSetup, logout);
+router.post('/logout-all', protectAllowingTwoFactorSetup, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validateObjectId, revokeSession);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} from '../controllers/customFieldController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateCustomField,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', getCustomFields);
+
+// Privileged routes
+router.post('/', requirePermission('custom_field:manage'), validateCustomField, createCustomField);
+router.put('/:id', requirePermission('custom_field:manage'), validateObjectId, updateCustomField);
+router.delete('/:id', requirePermission('custom_field:manage'), validateObjectId, deleteCustomField);
+
+export default router;
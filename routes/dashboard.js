@@ -1,19 +1,21 @@
-const express = require('express');
-const {
+import express from 'express';
+import {
   getDashboardStats,
   getAttendanceChart,
-  getSalaryChart
-} = require('../controllers/dashboardController');
-const { protect, authorize } = require('../middleware/auth');
+  getSalaryChart,
+  getDueList
+} from '../controllers/dashboardController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// All routes require authentication and admin access
+// All routes require authentication and dashboard access
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('dashboard:view'));
 
 router.get('/stats', getDashboardStats);
 router.get('/attendance-chart', getAttendanceChart);
 router.get('/salary-chart', getSalaryChart);
+router.get('/due', getDueList);
 
-module.exports = router;
\ No newline at end of file
+export default router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  getDepartmentStats
+} from '../controllers/departmentController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateDepartment,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/stats', requirePermission('employee:stats'), getDepartmentStats);
+router.get('/', getDepartments);
+router.get('/:id', validateObjectId, getDepartment);
+
+// Privileged routes
+router.post('/', requirePermission('department:manage'), validateDepartment, createDepartment);
+router.put('/:id', requirePermission('department:manage'), validateObjectId, updateDepartment);
+router.delete('/:id', requirePermission('department:manage'), validateObjectId, deleteDepartment);
+
+export default router;
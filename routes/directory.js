@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getDirectory,
+  getCelebrations,
+  getPrivacy,
+  updatePrivacy,
+  getDirectoryEntry
+} from '../controllers/directoryController.js';
+import { protect } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validateDirectoryPrivacy,
+  validateDirectorySearch
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication; the directory is open to every employee
+router.use(protect);
+
+router.get('/', validateDirectorySearch, getDirectory);
+router.get('/celebrations', getCelebrations);
+router.get('/privacy', getPrivacy);
+router.put('/privacy', validateDirectoryPrivacy, updatePrivacy);
+router.get('/:id', validateObjectId, getDirectoryEntry);
+
+export default router;
@@ -1,7 +1,7 @@
-const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const {
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import {
   getDocuments,
   getEmployeeDocuments,
   uploadDocument,
@@ -9,12 +9,12 @@ const {
   deleteDocument,
   updateDocument,
   getDocumentStats
-} = require('../controllers/documentController');
-const { protect, authorize } = require('../middleware/auth');
-const {
+} from '../controllers/documentController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
   validateDocumentUpload,
   validateObjectId
-} = require('../middleware/validation');
+} from '../middleware/validation.js';
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -52,12 +52,12 @@ router.use(protect);
 // Employee routes
 router.get('/employee', getEmployeeDocuments);
 
-// Admin routes
-router.get('/stats', authorize('admin'), getDocumentStats);
-router.get('/', getDocuments); // Admin gets all, employee gets their own
+// Privileged routes
+router.get('/stats', requirePermission('document:stats'), getDocumentStats);
+router.get('/', getDocuments); // document:read:all gets all, employee gets their own
 router.post('/upload', upload.single('document'), validateDocumentUpload, uploadDocument);
 router.get('/download/:id', validateObjectId, downloadDocument);
-router.put('/:id', authorize('admin'), validateObjectId, updateDocument);
+router.put('/:id', requirePermission('document:update', 'document:verify'), validateObjectId, updateDocument);
 router.delete('/:id', validateObjectId, deleteDocument);
 
-module.exports = router;
\ No newline at end of file
+export default router;
\ No newline at end of file
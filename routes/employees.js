@@ -1,29 +1,109 @@
 import express from 'express';
+import multer from 'multer';
+import path from 'path';
 import {
   getEmployees,
+  exportEmployees,
+  importEmployees,
   getEmployee,
   createEmployee,
   updateEmployee,
   deleteEmployee,
+  setManager,
+  getReports,
+  getOrgChart,
+  assignRole,
+  revokeEmployeeSessions,
+  getEmployeeLogins,
+  unlockEmployee,
+  resetEmployeeTwoFactor,
+  revealSensitiveFields,
+  getSensitiveAccessLog,
+  getEmployeeHistory,
+  uploadEmployeePhoto,
+  deleteEmployeePhoto,
+  exportEmployeeData,
+  anonymiseEmployees,
   getEmployeeStats
 } from '../controllers/employeeController.js';
-import { protect, authorize, ownerOrAdmin } from '../middleware/auth.js';
-import { validateObjectId } from '../middleware/validation.js';
+import { protect, requirePermission, ownerOrPermission } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validateEmployeeInvite,
+  validateRoleAssignment,
+  validateManagerAssignment,
+  validateSensitiveReveal,
+  validateEmployeeSearch,
+  validateEmployeeExit
+} from '../middleware/validation.js';
+
+// Spreadsheets are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV and XLSX files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 5242880 // 5MB default
+  }
+});
+
+// Photos are checked by content and re-encoded before anything is stored
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only JPEG, PNG and WebP images are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_PHOTO_SIZE) || 5242880 // 5MB default
+  }
+});
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-// Admin only routes
-router.get('/stats', authorize('admin'), getEmployeeStats);
-router.get('/', authorize('admin'), getEmployees);
-router.post('/', authorize('admin'), createEmployee);
+// Privileged routes
+router.get('/stats', requirePermission('employee:stats'), getEmployeeStats);
+router.get('/', requirePermission('employee:read'), validateEmployeeSearch, getEmployees);
+router.post('/', requirePermission('employee:create'), validateEmployeeInvite, createEmployee);
+router.get('/export', requirePermission('employee:read'), validateEmployeeSearch, exportEmployees);
+router.post('/import', requirePermission('employee:create'), importUpload.single('file'), importEmployees);
+router.post('/anonymise', requirePermission('employee:anonymise'), anonymiseEmployees);
+
+// Routes accessible by every employee
+router.get('/org-chart', getOrgChart);
 
-// Routes accessible by admin and specific employee
+// Routes accessible by privileged users and specific employee
 router.get('/:id', validateObjectId, getEmployee);
-// Allow owners (the employee themselves) or admins to update/delete employee profiles
-router.put('/:id', ownerOrAdmin, validateObjectId, updateEmployee);
-router.delete('/:id', authorize('admin'), validateObjectId, deleteEmployee);
+router.get('/:id/reports', validateObjectId, getReports);
+router.get('/:id/history', ownerOrPermission('employee:read'), validateObjectId, getEmployeeHistory);
+router.get('/:id/data-export', ownerOrPermission('employee:export_data'), validateObjectId, exportEmployeeData);
+// Allow owners (the employee themselves) or users with employee:update to update profiles
+router.put('/:id', ownerOrPermission('employee:update'), validateObjectId, updateEmployee);
+router.delete('/:id', requirePermission('employee:delete'), validateObjectId, validateEmployeeExit, deleteEmployee);
+router.put('/:id/photo', ownerOrPermission('employee:update'), validateObjectId, photoUpload.single('photo'), uploadEmployeePhoto);
+router.delete('/:id/photo', ownerOrPermission('employee:update'), validateObjectId, deleteEmployeePhoto);
+router.put('/:id/manager', requirePermission('employee:update'), validateObjectId, validateManagerAssignment, setManager);
+router.put('/:id/role', requirePermission('role:manage'), validateObjectId, validateRoleAssignment, assignRole);
+router.post('/:id/revoke-sessions', requirePermission('employee:manage_access'), validateObjectId, revokeEmployeeSessions);
+router.get('/:id/logins', requirePermission('employee:manage_access'), validateObjectId, getEmployeeLogins);
+router.post('/:id/unlock', requirePermission('employee:manage_access'), validateObjectId, unlockEmployee);
+router.post('/:id/2fa/reset', requirePermission('employee:manage_access'), validateObjectId, resetEmployeeTwoFactor);
+router.post('/:id/sensitive/reveal', ownerOrPermission('employee:reveal_sensitive'), validateObjectId, validateSensitiveReveal, revealSensitiveFields);
+router.get('/:id/sensitive/access-log', requirePermission('employee:reveal_sensitive'), validateObjectId, getSensitiveAccessLog);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+} from '../controllers/invitationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and invitation access
+router.use(protect);
+router.use(requirePermission('invitation:manage'));
+
+router.get('/', getInvitations);
+router.post('/:id/resend', validateObjectId, resendInvitation);
+router.delete('/:id', validateObjectId, revokeInvitation);
+
+export default router;
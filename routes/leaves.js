@@ -1,5 +1,5 @@
-const express = require('express');
-const {
+import express from 'express';
+import {
   getLeaves,
   getLeave,
   createLeave,
@@ -7,13 +7,13 @@ const {
   updateLeaveStatus,
   deleteLeave,
   getLeaveStats
-} = require('../controllers/leaveController');
-const { protect, authorize } = require('../middleware/auth');
-const {
+} from '../controllers/leaveController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
   validateLeaveApplication,
   validateLeaveStatusUpdate,
   validateObjectId
-} = require('../middleware/validation');
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -23,12 +23,12 @@ router.use(protect);
 // Employee routes
 router.post('/', validateLeaveApplication, createLeave);
 
-// Admin routes
-router.get('/stats/admin', authorize('admin'), getLeaveStats);
-router.get('/', getLeaves); // Admin gets all, employee gets their own
+// Privileged routes
+router.get('/stats/admin', requirePermission('leave:stats'), getLeaveStats);
+router.get('/', getLeaves); // leave:read:all gets all, employee gets their own
 router.get('/:id', validateObjectId, getLeave);
 router.put('/:id', validateObjectId, updateLeave);
-router.put('/:id/status', authorize('admin'), validateObjectId, validateLeaveStatusUpdate, updateLeaveStatus);
+router.put('/:id/status', requirePermission('leave:approve', 'leave:approve:team'), validateObjectId, validateLeaveStatusUpdate, updateLeaveStatus);
 router.delete('/:id', validateObjectId, deleteLeave);
 
-module.exports = router;
\ No newline at end of file
+export default router;
\ No newline at end of file
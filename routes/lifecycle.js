@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getEmployeeLifecycle,
+  updateLifecycleStatus,
+  reviewProbation,
+  updateProbation,
+  updateEmployeeContract,
+  startEmployeeChecklist,
+  getMyTasks,
+  updateChecklistTask
+} from '../controllers/lifecycleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validateChecklistTemplate,
+  validateLifecycleTransition,
+  validateProbationReview,
+  validateProbationDecision,
+  validateContractUpdate,
+  validateChecklistStart,
+  validateChecklistTask
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes accessible by every employee (access checked per task/employee)
+router.get('/tasks', getMyTasks);
+router.get('/employees/:id', validateObjectId, getEmployeeLifecycle);
+router.post('/employees/:id/probation/review', validateObjectId, validateProbationReview, reviewProbation);
+router.put('/checklists/:id/tasks/:taskId', validateObjectId, validateChecklistTask, updateChecklistTask);
+
+// Privileged routes
+router.get('/templates', requirePermission('lifecycle:manage'), getTemplates);
+router.post('/templates', requirePermission('lifecycle:manage'), validateChecklistTemplate, createTemplate);
+router.put('/templates/:id', requirePermission('lifecycle:manage'), validateObjectId, updateTemplate);
+router.delete('/templates/:id', requirePermission('lifecycle:manage'), validateObjectId, deleteTemplate);
+router.put('/employees/:id/status', requirePermission('lifecycle:manage'), validateObjectId, validateLifecycleTransition, updateLifecycleStatus);
+router.put('/employees/:id/probation', requirePermission('lifecycle:manage'), validateObjectId, validateProbationDecision, updateProbation);
+router.put('/employees/:id/contract', requirePermission('lifecycle:manage'), validateObjectId, validateContractUpdate, updateEmployeeContract);
+router.post('/employees/:id/checklists', requirePermission('lifecycle:manage'), validateObjectId, validateChecklistStart, startEmployeeChecklist);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition
+} from '../controllers/positionController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validatePosition,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', getPositions);
+router.get('/:id', validateObjectId, getPosition);
+
+// Privileged routes
+router.post('/', requirePermission('position:manage'), validatePosition, createPosition);
+router.put('/:id', requirePermission('position:manage'), validateObjectId, updatePosition);
+router.delete('/:id', requirePermission('position:manage'), validateObjectId, deletePosition);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getChangeRequests,
+  getChangeRequest,
+  submitChangeRequest,
+  reviewChangeRequest,
+  cancelChangeRequest
+} from '../controllers/profileChangeController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validateProfileChangeRequest,
+  validateProfileChangeReview
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes accessible by every employee (access checked per request)
+router.get('/', getChangeRequests);
+router.post('/', validateProfileChangeRequest, submitChangeRequest);
+router.get('/:id', validateObjectId, getChangeRequest);
+router.put('/:id/cancel', validateObjectId, cancelChangeRequest);
+
+// Privileged routes
+router.put('/:id/review', requirePermission('profile_change:approve'), validateObjectId, validateProfileChangeReview, reviewChangeRequest);
+
+export default router;
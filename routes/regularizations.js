@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getRegularizations,
+  getRegularizationUsage,
+  getRegularization,
+  submitRegularization,
+  reviewRegularization,
+  cancelRegularization
+} from '../controllers/regularizationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validateRegularizationRequest,
+  validateRegularizationReview
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes accessible by every employee (access checked per request)
+router.get('/', getRegularizations);
+router.post('/', validateRegularizationRequest, submitRegularization);
+router.get('/usage', getRegularizationUsage);
+router.get('/:id', validateObjectId, getRegularization);
+router.put('/:id/cancel', validateObjectId, cancelRegularization);
+
+// Privileged routes
+router.put('/:id/review', requirePermission('attendance:approve', 'attendance:approve:team'), validateObjectId, validateRegularizationReview, reviewRegularization);
+
+export default router;
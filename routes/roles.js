@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateRole,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and role management access
+router.use(protect);
+router.use(requirePermission('role:manage'));
+
+router.get('/permissions', getPermissions);
+router.get('/', getRoles);
+router.post('/', validateRole, createRole);
+router.put('/:id', validateObjectId, updateRole);
+router.delete('/:id', validateObjectId, deleteRole);
+
+export default router;
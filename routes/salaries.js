@@ -1,5 +1,5 @@
-const express = require('express');
-const {
+import express from 'express';
+import {
   getSalaries,
   getSalary,
   createSalary,
@@ -7,14 +7,14 @@ const {
   deleteSalary,
   getSalaryStats,
   getEmployeeSalaries
-} = require('../controllers/salaryController');
-const { protect, authorize } = require('../middleware/auth');
-const {
+} from '../controllers/salaryController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
   validateSalaryCreation,
   validateSalaryUpdate,
   validateObjectId,
   validateEmployeeId
-} = require('../middleware/validation');
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -25,12 +25,12 @@ router.use(protect);
 router.get('/stats/employee', getSalaryStats);
 router.get('/employee/:employeeId', validateEmployeeId, getEmployeeSalaries);
 
-// Admin routes
-router.get('/stats', authorize('admin'), getSalaryStats);
-router.get('/', getSalaries); // Admin gets all, employee gets their own
+// Privileged routes
+router.get('/stats', requirePermission('salary:stats'), getSalaryStats);
+router.get('/', getSalaries); // salary:read:all gets all, employee gets their own
 router.get('/:id', validateObjectId, getSalary);
-router.post('/', authorize('admin'), validateSalaryCreation, createSalary);
-router.put('/:id', authorize('admin'), validateObjectId, validateSalaryUpdate, updateSalary);
-router.delete('/:id', authorize('admin'), validateObjectId, deleteSalary);
+router.post('/', requirePermission('salary:create'), validateSalaryCreation, createSalary);
+router.put('/:id', requirePermission('salary:update'), validateObjectId, validateSalaryUpdate, updateSalary);
+router.delete('/:id', requirePermission('salary:delete'), validateObjectId, deleteSalary);
 
-module.exports = router;
\ No newline at end of file
+export default router;
\ No newline at end of file
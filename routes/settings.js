@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getSettings,
+  updateSettings
+} from '../controllers/settingController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication and settings access
+router.use(protect);
+router.use(requirePermission('settings:manage'));
+
+router.get('/', getSettings);
+router.put('/', updateSettings);
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import {
+  getShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  getRotations,
+  createRotation,
+  updateRotation,
+  deleteRotation,
+  getAssignments,
+  createAssignments,
+  deleteAssignment,
+  getSchedule
+} from '../controllers/shiftController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validateShift,
+  validateShiftRotation,
+  validateShiftAssignment,
+  validateShiftSchedule
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes accessible by every employee (access checked per employee)
+router.get('/', getShifts);
+router.get('/rotations', getRotations);
+router.get('/schedule', validateShiftSchedule, getSchedule);
+
+// Privileged routes
+router.get('/assignments', requirePermission('shift:manage'), getAssignments);
+router.post('/assignments', requirePermission('shift:manage'), validateShiftAssignment, createAssignments);
+router.delete('/assignments/:id', requirePermission('shift:manage'), validateObjectId, deleteAssignment);
+router.post('/rotations', requirePermission('shift:manage'), validateShiftRotation, createRotation);
+router.put('/rotations/:id', requirePermission('shift:manage'), validateObjectId, updateRotation);
+router.delete('/rotations/:id', requirePermission('shift:manage'), validateObjectId, deleteRotation);
+router.post('/', requirePermission('shift:manage'), validateShift, createShift);
+router.put('/:id', requirePermission('shift:manage'), validateObjectId, updateShift);
+router.delete('/:id', requirePermission('shift:manage'), validateObjectId, deleteShift);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getWorkLocations,
+  createWorkLocation,
+  updateWorkLocation,
+  deleteWorkLocation
+} from '../controllers/workLocationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateWorkLocation,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', getWorkLocations);
+
+// Privileged routes
+router.post('/', requirePermission('work_location:manage'), validateWorkLocation, createWorkLocation);
+router.put('/:id', requirePermission('work_location:manage'), validateObjectId, updateWorkLocation);
+router.delete('/:id', requirePermission('work_location:manage'), validateObjectId, deleteWorkLocation);
+
+export default router;
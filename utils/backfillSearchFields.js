@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+// Fills phoneDigits (used by employee search) for records saved before it
+// existed, and builds the search indexes. Pass --dry-run to only count.
+const backfill = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    const users = await User.find({ phone: { $nin: [null, ''] }, phoneDigits: { $exists: false } })
+      .select('phone')
+      .lean();
+
+    if (!dryRun && users.length) {
+      await User.bulkWrite(users.map(user => ({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: { phoneDigits: user.phone.replace(/\D/g, '') } }
+        }
+      })));
+    }
+
+    if (!dryRun) {
+      await User.createIndexes();
+    }
+
+    console.log(dryRun ? '🔍 Dry run - no changes written' : '✅ Search fields backfilled successfully');
+    console.log(`📞 Employees updated: ${users.length}`);
+
+    process.exit();
+  } catch (error) {
+    console.error('❌ Error backfilling search fields:', error);
+    process.exit(1);
+  }
+};
+
+backfill();
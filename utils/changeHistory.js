@@ -0,0 +1,14 @@
+import EmployeeChangeLog from '../models/EmployeeChangeLog.js';
+
+// Record which of `fields` changed on an employee during this request,
+// attributing the change to the signed-in user and the matched route
+const recordEmployeeChanges = (req, employeeId, before, after, fields) => {
+  return EmployeeChangeLog.recordChanges(employeeId, before, after, fields, {
+    changedBy: req.user ? req.user._id : undefined,
+    source: `${req.method} ${req.baseUrl}${req.route ? req.route.path : ''}`
+  });
+};
+
+export {
+  recordEmployeeChanges
+};
@@ -0,0 +1,137 @@
+import CustomField from '../models/CustomField.js';
+
+const isEmpty = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Cast a submitted value to the field's type and check its rules.
+// Returns { value } or { error }.
+const castCustomFieldValue = (definition, value) => {
+  const { label, type, options = [], validation = {} } = definition;
+  const fail = fallback => ({ error: validation.message || fallback });
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) return fail(`${label} must be a number`);
+      if (validation.min !== undefined && validation.min !== null && number < validation.min) {
+        return fail(`${label} must be at least ${validation.min}`);
+      }
+      if (validation.max !== undefined && validation.max !== null && number > validation.max) {
+        return fail(`${label} cannot exceed ${validation.max}`);
+      }
+      return { value: number };
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return fail(`${label} must be a valid date`);
+      return { value: date };
+    }
+    case 'boolean': {
+      const key = String(value).trim().toLowerCase();
+      if (!(key in BOOLEAN_VALUES)) return fail(`${label} must be true or false`);
+      return { value: BOOLEAN_VALUES[key] };
+    }
+    case 'select': {
+      const choice = String(value).trim();
+      if (!options.includes(choice)) return fail(`${label} must be one of ${options.join(', ')}`);
+      return { value: choice };
+    }
+    case 'multiselect': {
+      const choices = [...new Set((Array.isArray(value) ? value : String(value).split(','))
+        .map(choice => String(choice).trim())
+        .filter(Boolean))];
+      const invalid = choices.filter(choice => !options.includes(choice));
+      if (invalid.length) return fail(`${label} must only contain ${options.join(', ')}`);
+      return { value: choices };
+    }
+    default: {
+      const text = String(value).trim();
+      if (validation.min !== undefined && validation.min !== null && text.length < validation.min) {
+        return fail(`${label} must be at least ${validation.min} characters`);
+      }
+      if (validation.max !== undefined && validation.max !== null && text.length > validation.max) {
+        return fail(`${label} cannot exceed ${validation.max} characters`);
+      }
+      if (validation.pattern && !new RegExp(validation.pattern).test(text)) {
+        return fail(`${label} is not in the expected format`);
+      }
+      return { value: text };
+    }
+  }
+};
+
+// Validate submitted custom field values against the active definitions.
+// Empty values clear a field unless it is required. With checkRequired (new
+// employees) every required field must be present.
+// Returns { values, errors } with values keyed by field key.
+const validateCustomFields = async (input = {}, { checkRequired = false } = {}) => {
+  const definitions = await CustomField.getActive();
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const values = {};
+  const errors = [];
+
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { values, errors: ['Custom fields must be an object of field values'] };
+  }
+
+  Object.entries(input).forEach(([key, value]) => {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push(`Unknown custom field: ${key}`);
+      return;
+    }
+
+    if (isEmpty(value)) {
+      if (definition.required) {
+        errors.push(`${definition.label} is required`);
+      } else {
+        values[key] = null;
+      }
+      return;
+    }
+
+    const result = castCustomFieldValue(definition, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      values[key] = result.value;
+    }
+  });
+
+  if (checkRequired) {
+    definitions
+      .filter(definition => definition.required && !(definition.key in input))
+      .forEach(definition => errors.push(`${definition.label} is required`));
+  }
+
+  return { values, errors };
+};
+
+// Dotted update paths for validated values, for findByIdAndUpdate
+const toCustomFieldUpdates = values => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [`customFields.${key}`, value])
+);
+
+// Keys of fields employees may change on their own profile without approval
+const getEmployeeEditableKeys = async () => {
+  const definitions = await CustomField.find({ isActive: true, visibility: 'employee', editableByEmployee: true })
+    .select('key');
+  return definitions.map(definition => definition.key);
+};
+
+// Drop fields an employee viewing their own profile may not see
+const filterCustomFieldsForEmployee = async (customFields = {}) => {
+  const visible = await CustomField.find({ isActive: true, visibility: 'employee' }).select('key');
+  const keys = visible.map(definition => definition.key);
+  return Object.fromEntries(Object.entries(customFields || {}).filter(([key]) => keys.includes(key)));
+};
+
+export {
+  castCustomFieldValue,
+  validateCustomFields,
+  toCustomFieldUpdates,
+  getEmployeeEditableKeys,
+  filterCustomFieldsForEmployee
+};
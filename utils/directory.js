@@ -0,0 +1,102 @@
+import User from '../models/User.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields anyone in the organisation may see about a colleague
+const DIRECTORY_FIELDS = 'firstName lastName position positionId department departmentId extension profileImage profilePhoto manager';
+
+// Employees listed in the directory: active, not anonymised, not opted out
+const directoryQuery = (extra = {}) => ({
+  isActive: true,
+  anonymisedAt: null,
+  'privacy.hideFromDirectory': { $ne: true },
+  ...extra
+});
+
+// Public card for the directory and celebrations feed
+const toDirectoryCard = (user) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  position: user.position || null,
+  positionId: user.positionId || null,
+  department: user.department || null,
+  departmentId: user.departmentId || null,
+  extension: user.extension || null,
+  profileImage: user.profileImage || null,
+  profilePhoto: user.profilePhoto || null,
+  manager: user.manager && user.manager.firstName
+    ? { _id: user.manager._id, firstName: user.manager.firstName, lastName: user.manager.lastName }
+    : null
+});
+
+const startOfUtcDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Next date on or after `from` falling on the same month and day as `date`.
+// Dates are stored as UTC midnight; 29 February falls on the 28th in
+// non-leap years.
+const nextOccurrence = (date, from) => {
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  for (let year = from.getUTCFullYear(); ; year++) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const occurrence = new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+    if (occurrence >= from) return occurrence;
+  }
+};
+
+// Upcoming birthdays and work anniversaries within the next `days` days
+// (today included), honouring each employee's opt-outs. Birth years are
+// never returned.
+const getUpcomingCelebrations = async ({ days = 30 } = {}) => {
+  const today = startOfUtcDay(new Date());
+  const until = new Date(today.getTime() + days * DAY_MS);
+
+  const employees = await User.find(directoryQuery({
+    $or: [
+      { dateOfBirth: { $ne: null }, 'privacy.hideBirthday': { $ne: true } },
+      { hireDate: { $lt: today }, 'privacy.hideWorkAnniversary': { $ne: true } }
+    ]
+  }))
+    .select(`${DIRECTORY_FIELDS} dateOfBirth hireDate privacy`)
+    .populate('manager', 'firstName lastName')
+    .lean();
+
+  const birthdays = [];
+  const anniversaries = [];
+
+  employees.forEach(employee => {
+    if (employee.dateOfBirth && !employee.privacy?.hideBirthday) {
+      const date = nextOccurrence(employee.dateOfBirth, today);
+      if (date <= until) {
+        birthdays.push({ employee: toDirectoryCard(employee), date, daysAway: Math.round((date - today) / DAY_MS) });
+      }
+    }
+
+    if (employee.hireDate && !employee.privacy?.hideWorkAnniversary) {
+      const date = nextOccurrence(employee.hireDate, today);
+      const years = date.getUTCFullYear() - employee.hireDate.getUTCFullYear();
+      if (date <= until && years > 0) {
+        anniversaries.push({ employee: toDirectoryCard(employee), date, daysAway: Math.round((date - today) / DAY_MS), years });
+      }
+    }
+  });
+
+  const byDate = (a, b) => a.daysAway - b.daysAway || a.employee.firstName.localeCompare(b.employee.firstName);
+
+  return {
+    from: today,
+    until,
+    birthdays: birthdays.sort(byDate),
+    anniversaries: anniversaries.sort(byDate)
+  };
+};
+
+export {
+  DIRECTORY_FIELDS,
+  directoryQuery,
+  toDirectoryCard,
+  nextOccurrence,
+  getUpcomingCelebrations
+};
@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import CustomField from '../models/CustomField.js';
+import { castCustomFieldValue } from './customFields.js';
+
+// Fields the employee list can be sorted by (prefix with - for descending)
+const SORT_FIELDS = [
+  'firstName', 'lastName', 'email', 'department', 'position',
+  'hireDate', 'dateOfBirth', 'lifecycleStatus', 'createdAt'
+];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma-separated query value as a list
+const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Aggregations do not cast, so ids are cast here for both find and aggregate
+const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(id));
+
+// Start of today `years` years ago, for age and tenure filters
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+};
+
+// Names are matched by the text index (whole words), email and phone by
+// prefix on indexed fields, so no clause needs a collection scan
+const buildSearchClause = (search) => {
+  const clauses = [
+    { $text: { $search: search } },
+    { email: new RegExp(`^${escapeRegex(search.toLowerCase())}`) }
+  ];
+
+  const digits = search.replace(/\D/g, '');
+  if (/^\+?[\d\s\-()]+$/.test(search) && digits.length >= 3) {
+    clauses.push({ phoneDigits: new RegExp(`^${digits}`) });
+  }
+
+  return clauses;
+};
+
+// Conditions for custom field filters: cf[key]=a,b matches any of the
+// values, cf[key][gte]=x&cf[key][lte]=y a range. Unknown keys and values
+// that do not fit the field type are ignored.
+const buildCustomFieldConditions = async (filters) => {
+  const definitions = await CustomField.find({ key: { $in: Object.keys(filters) } });
+  const conditions = [];
+
+  definitions.forEach(definition => {
+    const filter = filters[definition.key];
+    const path = `customFields.${definition.key}`;
+    const cast = value => {
+      const result = castCustomFieldValue({ ...definition.toObject(), validation: {} }, value);
+      return result.error ? undefined : result.value;
+    };
+
+    if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+      const range = {};
+      ['gte', 'lte'].forEach(operator => {
+        const value = filter[operator] !== undefined ? cast(filter[operator]) : undefined;
+        if (value !== undefined) range[`$${operator}`] = value;
+      });
+      if (Object.keys(range).length) conditions.push({ [path]: range });
+      return;
+    }
+
+    const values = (Array.isArray(filter) ? filter : toList(filter))
+      .flatMap(value => cast(value) ?? []);
+    if (values.length) conditions.push({ [path]: { $in: values } });
+  });
+
+  return conditions;
+};
+
+// Build the employee list query from request filters. Shared by the list,
+// export and facet counts.
+const buildEmployeeQuery = async (req) => {
+  const search = (req.query.search || '').trim();
+  const department = req.query.department || '';
+  const status = req.query.status || '';
+  const role = req.query.role || '';
+
+  // Build query - staff of every role except administrators
+  let query = { role: role || { $ne: 'admin' } };
+  // Range and custom field conditions, combined with $and
+  const conditions = [];
+
+  if (search) {
+    query.$or = buildSearchClause(search);
+  }
+
+  if (department) {
+    // A department id also matches everyone in its nested sub-departments
+    const departments = toList(department);
+    if (departments.every(mongoose.isObjectIdOrHexString)) {
+      const ids = await Promise.all(departments.map(id => Department.getDescendantIds(id)));
+      query.departmentId = { $in: ids.flat() };
+    } else {
+      query.department = { $in: departments };
+    }
+  }
+
+  if (req.query.position) {
+    query.positionId = { $in: toObjectIds(toList(req.query.position)) };
+  }
+
+  if (req.query.manager) {
+    query.manager = req.query.manager === 'none'
+      ? null
+      : { $in: toObjectIds(toList(req.query.manager)) };
+  }
+
+  if (req.query.gender) {
+    query.gender = { $in: toList(req.query.gender) };
+  }
+
+  if (req.query.bloodGroup) {
+    query.bloodGroup = { $in: toList(req.query.bloodGroup).map(group => group.toUpperCase()) };
+  }
+
+  if (status) {
+    query.isActive = status === 'active';
+  }
+
+  if (req.query.lifecycleStatus) {
+    query.lifecycleStatus = { $in: toList(req.query.lifecycleStatus) };
+  }
+
+  if (req.query.hireDateFrom) {
+    conditions.push({ hireDate: { $gte: new Date(req.query.hireDateFrom) } });
+  }
+
+  if (req.query.hireDateTo) {
+    conditions.push({ hireDate: { $lte: new Date(req.query.hireDateTo) } });
+  }
+
+  // Age and tenure are in whole years
+  if (req.query.minAge) {
+    conditions.push({ dateOfBirth: { $lte: yearsAgo(parseInt(req.query.minAge)) } });
+  }
+
+  if (req.query.maxAge) {
+    conditions.push({ dateOfBirth: { $gt: yearsAgo(parseInt(req.query.maxAge) + 1) } });
+  }
+
+  if (req.query.minTenure) {
+    conditions.push({ hireDate: { $lte: yearsAgo(parseInt(req.query.minTenure)) } });
+  }
+
+  if (req.query.maxTenure) {
+    conditions.push({ hireDate: { $gt: yearsAgo(parseInt(req.query.maxTenure) + 1) } });
+  }
+
+  if (req.query.cf && typeof req.query.cf === 'object') {
+    conditions.push(...await buildCustomFieldConditions(req.query.cf));
+  }
+
+  if (conditions.length) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
+
+// Parse `sort=lastName,-hireDate` into a sort spec. _id breaks ties so
+// pages stay stable.
+const buildEmployeeSort = (sort) => {
+  if (!sort) return { createdAt: -1, _id: -1 };
+
+  const spec = {};
+  toList(sort).forEach(item => {
+    const field = item.replace(/^-/, '');
+    if (SORT_FIELDS.includes(field)) {
+      spec[field] = item.startsWith('-') ? -1 : 1;
+    }
+  });
+
+  return Object.keys(spec).length ? { ...spec, _id: 1 } : { createdAt: -1, _id: -1 };
+};
+
+// Counts by department, position, status and lifecycle state for the
+// employees matching a query, for building filter UIs
+const getEmployeeFacets = async (query) => {
+  const groupBy = key => [
+    { $group: { _id: key, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ];
+
+  const [facets] = await User.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        department: groupBy({ id: '$departmentId', name: '$department' }),
+        position: groupBy({ id: '$positionId', name: '$position' }),
+        status: groupBy('$isActive'),
+        lifecycleStatus: groupBy({ $ifNull: ['$lifecycleStatus', 'active'] })
+      }
+    }
+  ]);
+
+  return {
+    department: facets.department.map(({ _id, count }) => ({ id: _id.id || null, name: _id.name || null, count })),
+    position: facets.position.map(({ _id, count }) => ({ id: _id.id || null, name: _id.name || null, count })),
+    status: facets.status.map(({ _id, count }) => ({ value: _id === false ? 'inactive' : 'active', count })),
+    lifecycleStatus: facets.lifecycleStatus.map(({ _id, count }) => ({ value: _id, count }))
+  };
+};
+
+export {
+  SORT_FIELDS,
+  buildEmployeeQuery,
+  buildEmployeeSort,
+  getEmployeeFacets
+};
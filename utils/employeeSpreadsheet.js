@@ -0,0 +1,381 @@
+import { once } from 'events';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import Position from '../models/Position.js';
+import { FIELD_FORMATS, checkFieldFormats } from './fieldFormats.js';
+
+// Columns shared by import and export. Headers are matched case-insensitively
+// and ignoring spaces/punctuation, so "first_name" and "First Name" both work.
+const COLUMNS = [
+  { header: 'Email', key: 'email', required: true },
+  { header: 'First Name', key: 'firstName', required: true },
+  { header: 'Last Name', key: 'lastName', required: true },
+  { header: 'Phone', key: 'phone' },
+  { header: 'Department', key: 'department' },
+  { header: 'Position', key: 'position' },
+  { header: 'Manager Email', key: 'managerEmail' },
+  { header: 'Salary', key: 'salary', type: 'number' },
+  { header: 'Hire Date', key: 'hireDate', type: 'date' },
+  { header: 'Date of Birth', key: 'dateOfBirth', type: 'date' },
+  { header: 'Gender', key: 'gender' },
+  { header: 'Blood Group', key: 'bloodGroup' },
+  { header: 'Aadhaar', key: 'aadhaar' },
+  { header: 'PAN', key: 'pan' },
+  { header: 'PF No', key: 'pfNo' },
+  { header: 'Medical Insurance', key: 'medicalInsurance' },
+  { header: 'Driving Licence', key: 'drivingLicence' },
+  { header: 'Bank Name', key: 'bankName' },
+  { header: 'Bank Account Number', key: 'bankAccountNumber' },
+  { header: 'Bank IFSC', key: 'bankIfsc' },
+  { header: 'Education', key: 'education' },
+  { header: 'Address', key: 'address' },
+  { header: 'Communication Address', key: 'communicationAddress' },
+  { header: 'Emergency Contact Person', key: 'emergencyContactPerson' },
+  { header: 'Emergency Contact No', key: 'emergencyContactNo' },
+  { header: 'Vehicle No', key: 'vehicleNo' },
+  { header: 'Lifecycle Status', key: 'lifecycleStatus' }
+];
+
+// Extra read-only columns included in exports
+const EXPORT_COLUMNS = [
+  { header: 'ID', key: '_id' },
+  ...COLUMNS,
+  { header: 'Role', key: 'role' },
+  { header: 'Active', key: 'isActive' }
+];
+
+const IMPORT_LIFECYCLE_STATUSES = ['offer', 'onboarding', 'probation', 'active'];
+
+// Identity field formats plus the lifecycle states an import may start in
+const IMPORT_FORMATS = {
+  ...FIELD_FORMATS,
+  lifecycleStatus: {
+    normalise: value => value.toLowerCase(),
+    test: value => IMPORT_LIFECYCLE_STATUSES.includes(value),
+    message: `Lifecycle status must be one of ${IMPORT_LIFECYCLE_STATUSES.join(', ')}`
+  }
+};
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 1000;
+
+const normaliseHeader = header => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMN_BY_HEADER = new Map(COLUMNS.flatMap(column => [
+  [normaliseHeader(column.header), column],
+  [normaliseHeader(column.key), column]
+]));
+
+// Plain string value of a spreadsheet cell (rich text, hyperlinks, formulas, dates)
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+// Read the first worksheet of a CSV or XLSX file into
+// { rows: [{ rowNumber, values }], unknownHeaders, missingHeaders }
+const readSpreadsheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+  } else {
+    // Keep every value as text so IDs with leading zeros survive
+    await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return { rows: [], unknownHeaders: [], missingHeaders: COLUMNS.filter(c => c.required).map(c => c.header) };
+  }
+
+  const columnsByIndex = new Map();
+  const unknownHeaders = [];
+
+  worksheet.getRow(1).eachCell((cell, index) => {
+    const header = cellToString(cell.value);
+    const column = COLUMN_BY_HEADER.get(normaliseHeader(header));
+    if (column) {
+      columnsByIndex.set(index, column);
+    } else if (header) {
+      unknownHeaders.push(header);
+    }
+  });
+
+  const presentKeys = new Set([...columnsByIndex.values()].map(column => column.key));
+  const missingHeaders = COLUMNS.filter(column => column.required && !presentKeys.has(column.key))
+    .map(column => column.header);
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    columnsByIndex.forEach((column, index) => {
+      const value = cellToString(row.getCell(index).value);
+      if (value) values[column.key] = value;
+    });
+
+    if (Object.keys(values).length) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { rows, unknownHeaders, missingHeaders };
+};
+
+// Case-insensitive lookup of departments/positions by name, title or code
+const buildLookup = (records, nameField) => {
+  const lookup = new Map();
+  records.forEach(record => {
+    lookup.set(record.code.toLowerCase(), record);
+    lookup.set(record[nameField].toLowerCase(), record);
+  });
+  return lookup;
+};
+
+// Validate parsed rows against the User schema and the organisation data.
+// Returns { employees, errors } where employees are unsaved User documents
+// (with ids pre-assigned so rows can name each other as manager).
+const validateImportRows = async (rows) => {
+  const errors = [];
+  const addError = (row, field, message) => errors.push({ row: row.rowNumber, field, message });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push({ row: null, field: null, message: `A file may contain at most ${MAX_IMPORT_ROWS} employees` });
+    return { employees: [], errors };
+  }
+
+  const emails = rows.map(row => (row.values.email || '').toLowerCase()).filter(Boolean);
+  const managerEmails = rows.map(row => (row.values.managerEmail || '').toLowerCase()).filter(Boolean);
+
+  const [departments, positions, existingUsers, managers] = await Promise.all([
+    Department.find({ isActive: true }).select('code name').lean(),
+    Position.find({ isActive: true }).select('code title').lean(),
+    User.find({ email: { $in: emails } }).select('email').lean(),
+    User.find({ email: { $in: managerEmails } }).select('email').lean()
+  ]);
+
+  const departmentLookup = buildLookup(departments, 'name');
+  const positionLookup = buildLookup(positions, 'title');
+  const existingEmails = new Set(existingUsers.map(user => user.email));
+  const managerIds = new Map(managers.map(user => [user.email, user._id]));
+
+  // Ids for the new employees so rows in the same file can reference each other
+  const seenEmails = new Map();
+  rows.forEach(row => {
+    const email = (row.values.email || '').toLowerCase();
+    if (email && !seenEmails.has(email)) {
+      seenEmails.set(email, new mongoose.Types.ObjectId());
+    }
+  });
+
+  const employees = [];
+  const fileManagers = new Map();
+  const usedEmails = new Set();
+
+  for (const row of rows) {
+    const rowErrorCount = errors.length;
+    const values = { ...row.values };
+    const email = (values.email || '').toLowerCase();
+
+    COLUMNS.filter(column => column.required && !values[column.key])
+      .forEach(column => addError(row, column.key, `${column.header} is required`));
+
+    if (email && existingEmails.has(email)) {
+      addError(row, 'email', 'An employee with this email already exists');
+    }
+    if (email && usedEmails.has(email)) {
+      addError(row, 'email', 'Email appears more than once in the file');
+    }
+    usedEmails.add(email);
+
+    checkFieldFormats(values, IMPORT_FORMATS).forEach(({ field, message }) => addError(row, field, message));
+
+    COLUMNS.filter(column => column.type && values[column.key]).forEach(column => {
+      if (column.type === 'number') {
+        const number = Number(values[column.key].replace(/,/g, ''));
+        if (Number.isNaN(number)) addError(row, column.key, `${column.header} must be a number`);
+        values[column.key] = number;
+      } else if (column.type === 'date') {
+        const date = new Date(values[column.key]);
+        if (Number.isNaN(date.getTime())) addError(row, column.key, `${column.header} must be a valid date`);
+        values[column.key] = date;
+      }
+    });
+
+    const { managerEmail, department, position, ...fields } = values;
+
+    if (department) {
+      const match = departmentLookup.get(department.toLowerCase());
+      if (match) {
+        fields.departmentId = match._id;
+        fields.department = match.name;
+      } else {
+        addError(row, 'department', `Unknown department "${department}"`);
+      }
+    }
+
+    if (position) {
+      const match = positionLookup.get(position.toLowerCase());
+      if (match) {
+        fields.positionId = match._id;
+        fields.position = match.title;
+      } else {
+        addError(row, 'position', `Unknown position "${position}"`);
+      }
+    }
+
+    if (managerEmail) {
+      const key = managerEmail.toLowerCase();
+      const managerId = managerIds.get(key) || seenEmails.get(key);
+      if (!managerId) {
+        addError(row, 'managerEmail', `No employee with email "${managerEmail}"`);
+      } else if (key === email) {
+        addError(row, 'managerEmail', 'An employee cannot be their own manager');
+      } else {
+        fields.manager = managerId;
+        if (seenEmails.has(key)) fileManagers.set(email, key);
+      }
+    }
+
+    const employee = new User({
+      ...fields,
+      _id: seenEmails.get(email),
+      role: 'employee',
+      invitePending: true,
+      lifecycleStatus: fields.lifecycleStatus || 'onboarding'
+    });
+
+    // Role and manager are checked above without a database round trip per row
+    try {
+      await employee.validate({ pathsToSkip: ['role', 'manager'] });
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      Object.values(error.errors).forEach(val => addError(row, val.path, val.message));
+    }
+
+    if (errors.length === rowErrorCount) {
+      employees.push(employee);
+    }
+  }
+
+  // Reporting lines inside the file must not loop back on themselves
+  fileManagers.forEach((_, email) => {
+    const visited = new Set([email]);
+    let current = fileManagers.get(email);
+    while (current) {
+      if (visited.has(current)) {
+        const row = rows.find(r => (r.values.email || '').toLowerCase() === email);
+        addError(row, 'managerEmail', 'Manager assignments in the file form a reporting cycle');
+        break;
+      }
+      visited.add(current);
+      current = fileManagers.get(current);
+    }
+  });
+
+  return { employees, errors };
+};
+
+// Insert all employees or none. Uses a transaction where the deployment
+// supports it, otherwise removes any partially inserted documents.
+const insertEmployeesAtomically = async (employees) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await User.insertMany(employees, { session });
+    });
+  } catch (error) {
+    // Standalone servers do not support transactions
+    if (error.code !== 20 && !/replica set|Transaction numbers/i.test(error.message)) {
+      throw error;
+    }
+
+    try {
+      await User.insertMany(employees, { ordered: true });
+    } catch (insertError) {
+      await User.deleteMany({ _id: { $in: employees.map(employee => employee._id) } });
+      throw insertError;
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Escape values that spreadsheet apps would otherwise run as formulas
+const escapeFormula = (value) => {
+  if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) return value;
+  return /^[+-]?[\d\s().-]+$/.test(value) ? value : `'${value}`;
+};
+
+const toCsvField = (value) => {
+  const text = String(escapeFormula(value) ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flatten an employee document into export column values (sensitive fields masked)
+const toExportRow = (employee, columns) => {
+  const data = employee.toJSON();
+
+  return columns.map(column => {
+    if (column.key === 'managerEmail') return employee.manager?.email || '';
+    const value = column.customField ? data.customFields?.[column.customField] : data[column.key];
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join('; ');
+    return column.key === '_id' ? value.toString() : value;
+  });
+};
+
+// Stream employees from a query cursor to the response as CSV or XLSX.
+// Custom field definitions add one column each after the standard ones.
+const writeEmployeeSpreadsheet = async (cursor, format, res, { customFields = [] } = {}) => {
+  const columns = [
+    ...EXPORT_COLUMNS,
+    ...customFields.map(field => ({ header: field.label, key: `customFields.${field.key}`, customField: field.key }))
+  ];
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Employees');
+    worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 20 }));
+
+    for await (const employee of cursor) {
+      worksheet.addRow(toExportRow(employee, columns).map(escapeFormula)).commit();
+    }
+
+    await worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  res.write(`${columns.map(column => toCsvField(column.header)).join(',')}\r\n`);
+
+  for await (const employee of cursor) {
+    const line = `${toExportRow(employee, columns).map(toCsvField).join(',')}\r\n`;
+    if (!res.write(line)) {
+      await once(res, 'drain');
+    }
+  }
+
+  res.end();
+};
+
+export {
+  COLUMNS,
+  readSpreadsheet,
+  validateImportRows,
+  insertEmployeesAtomically,
+  writeEmployeeSpreadsheet
+};
@@ -0,0 +1,212 @@
+import User from '../models/User.js';
+import Position from '../models/Position.js';
+import Setting from '../models/Setting.js';
+import { transitionLifecycle, LIFECYCLE_FIELDS } from './lifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Probation states that still need a decision
+const OPEN_PROBATION = ['pending', 'extended'];
+
+// Employee fields probation and contract actions may change, for change history
+const EMPLOYMENT_FIELDS = [
+  'employmentType', 'probation.endDate', 'probation.status', 'contract.endDate',
+  ...LIFECYCLE_FIELDS
+];
+
+// Same day of month `months` later, clamped to the last day of shorter
+// months (31 Jan + 1 month -> 28/29 Feb)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Employment type, probation end and contract end for a new hire. Explicit
+// values win; otherwise the position's defaults apply, and probation falls
+// back to the organisation default. Returns fields to set on the employee.
+const resolveEmploymentTerms = async ({ positionId, hireDate, employmentType, probationEndDate, contractEndDate }) => {
+  const position = positionId ? await Position.findById(positionId) : null;
+  const settings = await Setting.getSettings();
+  const start = hireDate ? new Date(hireDate) : new Date();
+
+  const type = employmentType || position?.employmentType || 'permanent';
+  const probationMonths = position?.probationMonths ?? settings.employment.defaultProbationMonths;
+
+  const terms = { employmentType: type };
+
+  const probationEnd = probationEndDate
+    ? new Date(probationEndDate)
+    : probationMonths > 0 ? addMonths(start, probationMonths) : null;
+  if (probationEnd) {
+    terms.probation = { endDate: probationEnd, status: 'pending' };
+  }
+
+  if (type !== 'permanent') {
+    const contractEnd = contractEndDate
+      ? new Date(contractEndDate)
+      : position?.contractMonths ? addMonths(start, position.contractMonths) : null;
+    if (contractEnd) {
+      terms.contract = { endDate: contractEnd };
+    }
+  }
+
+  return terms;
+};
+
+// Store the manager's recommendation on an open probation.
+// Returns { error } or { employee }.
+const recordProbationReview = async (employee, { recommendation, comments, reviewerId }) => {
+  if (!OPEN_PROBATION.includes(employee.probation?.status)) {
+    return { error: 'Employee has no open probation to review' };
+  }
+
+  employee.probation.review = {
+    recommendation,
+    comments,
+    reviewer: reviewerId,
+    submittedAt: new Date()
+  };
+  await employee.save();
+
+  return { employee };
+};
+
+// Close or extend an open probation. Confirming also moves an employee still
+// in the probation lifecycle state to active; terminating puts them on notice,
+// or exits them when the last working day is today or earlier.
+// Returns { error } or { employee, actions }.
+const decideProbation = async (employee, action, { actorId, endDate, reason, lastWorkingDay, notes } = {}) => {
+  if (!OPEN_PROBATION.includes(employee.probation?.status)) {
+    return { error: 'Employee has no open probation' };
+  }
+
+  if (action === 'extend') {
+    const newEndDate = new Date(endDate);
+    if (!endDate || newEndDate <= employee.probation.endDate) {
+      return { error: 'New probation end date must be after the current one' };
+    }
+
+    employee.probation.extensions.push({
+      previousEndDate: employee.probation.endDate,
+      newEndDate,
+      reason,
+      extendedBy: actorId
+    });
+    employee.probation.endDate = newEndDate;
+    employee.probation.status = 'extended';
+    await employee.save();
+
+    return { employee, actions: {} };
+  }
+
+  if (action === 'confirm') {
+    employee.probation.status = 'confirmed';
+    employee.probation.confirmedAt = new Date();
+    employee.probation.confirmedBy = actorId;
+
+    if (employee.lifecycleStatus === 'probation') {
+      return transitionLifecycle(employee, 'active', { actorId });
+    }
+
+    await employee.save();
+    return { employee, actions: {} };
+  }
+
+  // terminate
+  const exitDate = lastWorkingDay ? new Date(lastWorkingDay) : new Date();
+  employee.probation.status = 'terminated';
+
+  return transitionLifecycle(employee, exitDate > new Date() ? 'notice' : 'exited', {
+    actorId,
+    exit: { lastWorkingDay: exitDate, reason: 'termination', notes }
+  });
+};
+
+// Renew a fixed-term or intern contract to a later end date, or convert the
+// employee to permanent. Returns { error } or { employee }.
+const updateContract = async (employee, action, { actorId, endDate, notes } = {}) => {
+  if (employee.employmentType === 'permanent') {
+    return { error: 'Employee is on a permanent contract' };
+  }
+
+  if (action === 'convert') {
+    employee.employmentType = 'permanent';
+    employee.contract.endDate = undefined;
+    await employee.save();
+    return { employee };
+  }
+
+  const newEndDate = new Date(endDate);
+  if (!endDate || (employee.contract?.endDate && newEndDate <= employee.contract.endDate)) {
+    return { error: 'New contract end date must be after the current one' };
+  }
+
+  employee.contract.renewals.push({
+    previousEndDate: employee.contract.endDate,
+    newEndDate,
+    notes,
+    renewedBy: actorId
+  });
+  employee.contract.endDate = newEndDate;
+  await employee.save();
+
+  return { employee };
+};
+
+const toDueItem = (employee, endDate) => ({
+  id: employee._id,
+  firstName: employee.firstName,
+  lastName: employee.lastName,
+  email: employee.email,
+  department: employee.department,
+  position: employee.position,
+  manager: employee.manager,
+  employmentType: employee.employmentType,
+  endDate,
+  daysRemaining: Math.ceil((endDate - Date.now()) / DAY_MS),
+  overdue: endDate < new Date()
+});
+
+// Open probations and contracts of current staff ending within `days` days,
+// including any already past their end date, soonest first
+const getEmploymentDue = async ({ days = 30 } = {}) => {
+  const cutoff = new Date(Date.now() + days * DAY_MS);
+  const current = { role: { $ne: 'admin' }, isActive: true, lifecycleStatus: { $nin: ['notice', 'exited'] } };
+  const fields = 'firstName lastName email department position manager employmentType probation contract';
+
+  const [probation, contracts] = await Promise.all([
+    User.find({ ...current, 'probation.status': { $in: OPEN_PROBATION }, 'probation.endDate': { $lte: cutoff } })
+      .select(fields)
+      .populate('manager', 'firstName lastName email')
+      .sort({ 'probation.endDate': 1 }),
+    User.find({ ...current, employmentType: { $ne: 'permanent' }, 'contract.endDate': { $lte: cutoff } })
+      .select(fields)
+      .populate('manager', 'firstName lastName email')
+      .sort({ 'contract.endDate': 1 })
+  ]);
+
+  return {
+    days,
+    probation: probation.map(employee => ({
+      ...toDueItem(employee, employee.probation.endDate),
+      status: employee.probation.status,
+      review: employee.probation.review?.recommendation ? employee.probation.review : null
+    })),
+    contracts: contracts.map(employee => toDueItem(employee, employee.contract.endDate))
+  };
+};
+
+export {
+  EMPLOYMENT_FIELDS,
+  addMonths,
+  resolveEmploymentTerms,
+  recordProbationReview,
+  decideProbation,
+  updateContract,
+  getEmploymentDue
+};
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import connectDB from '../config/database.js';
+import { encrypt, decrypt, needsReencryption } from './fieldEncryption.js';
+
+dotenv.config();
+
+// Encrypts plain-text sensitive fields on existing employees and re-encrypts
+// values written under a retired key after FIELD_ENCRYPTION_KEY is rotated.
+// Safe to run more than once. Pass --dry-run to only report what would change.
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const fields = User.getSensitiveFieldNames();
+  let usersUpdated = 0;
+  let valuesUpdated = 0;
+
+  try {
+    await connectDB();
+
+    // Read raw documents so no setters or masking get in the way
+    const cursor = User.collection.find(
+      { $or: fields.map(field => ({ [field]: { $type: 'string', $ne: '' } })) },
+      { projection: Object.fromEntries(fields.map(field => [field, 1])) }
+    );
+
+    for await (const user of cursor) {
+      const updates = {};
+
+      fields.forEach(field => {
+        if (needsReencryption(user[field])) {
+          updates[field] = encrypt(decrypt(user[field]));
+        }
+      });
+
+      if (!Object.keys(updates).length) continue;
+
+      usersUpdated++;
+      valuesUpdated += Object.keys(updates).length;
+
+      if (!dryRun) {
+        await User.collection.updateOne({ _id: user._id }, { $set: updates });
+      }
+    }
+
+    console.log(dryRun ? '🔍 Dry run - no changes written' : '✅ Sensitive fields encrypted successfully');
+    console.log(`🔐 Values encrypted: ${valuesUpdated} across ${usersUpdated} employees`);
+
+    process.exit();
+  } catch (error) {
+    console.error('❌ Error encrypting sensitive fields:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
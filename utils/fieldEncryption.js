@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+
+// Application-level encryption for sensitive fields (AES-256-GCM).
+// Stored values look like `enc:<keyId>:<iv>:<tag>:<ciphertext>` (base64 parts),
+// so values written under an older key can still be decrypted after rotation.
+//
+// FIELD_ENCRYPTION_KEY       current key, 32 bytes as base64 or 64 hex chars
+// FIELD_ENCRYPTION_KEY_ID    id stored alongside each value (default 'k1')
+// FIELD_ENCRYPTION_OLD_KEYS  retired keys still needed for decryption: `id:key,id:key`
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+const parseKey = (value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Field encryption keys must be 32 bytes');
+  }
+  return key;
+};
+
+let cachedKeys = null;
+
+const loadKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  if (!process.env.FIELD_ENCRYPTION_KEY) {
+    throw new Error('FIELD_ENCRYPTION_KEY is not configured');
+  }
+
+  const currentId = process.env.FIELD_ENCRYPTION_KEY_ID || 'k1';
+  const keys = new Map([[currentId, parseKey(process.env.FIELD_ENCRYPTION_KEY)]]);
+
+  (process.env.FIELD_ENCRYPTION_OLD_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+    const [id, key] = entry.trim().split(':');
+    if (id && key && !keys.has(id)) {
+      keys.set(id, parseKey(key));
+    }
+  });
+
+  cachedKeys = { currentId, keys };
+  return cachedKeys;
+};
+
+// Forget loaded keys so changed environment variables are picked up
+const resetKeys = () => {
+  cachedKeys = null;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+// Id of the key a stored value was encrypted with, or null for plain text
+const getKeyId = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+const encrypt = (value) => {
+  if (value === undefined || value === null || value === '' || isCiphertext(value)) {
+    return value;
+  }
+
+  const { currentId, keys } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [PREFIX, currentId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, keyId, iv, tag, data] = value.split(':');
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown field encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Whether a value is ciphertext that decrypts under a configured key. Input
+// that merely looks encrypted ("enc:...") is plain text and gets encrypted.
+const isCiphertext = (value) => {
+  if (!isEncrypted(value)) return false;
+  try {
+    decrypt(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether a stored value is plain text or encrypted under a retired key
+const needsReencryption = (value) => {
+  if (value === undefined || value === null || value === '') return false;
+  return getKeyId(value) !== loadKeys().currentId;
+};
+
+// Mask all but the last few letters/digits, keeping separators: XXXX-XXXX-1234
+const mask = (value, visible = 4) => {
+  if (value === undefined || value === null || value === '') {
+    return value;
+  }
+
+  const text = String(value);
+  const alphanumerics = text.replace(/[^a-z0-9]/gi, '').length;
+  let remaining = alphanumerics <= visible ? alphanumerics : alphanumerics - visible;
+
+  return text.replace(/[a-z0-9]/gi, char => (remaining-- > 0 ? 'X' : char));
+};
+
+// Masked plain text of a stored value for display. A value that cannot be
+// decrypted (unknown key, corrupted) is masked entirely instead of failing
+// the whole response.
+const maskStored = (value, visible = 4) => {
+  try {
+    return mask(decrypt(value), visible);
+  } catch (error) {
+    return 'XXXX';
+  }
+};
+
+export {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  isCiphertext,
+  getKeyId,
+  needsReencryption,
+  mask,
+  maskStored,
+  resetKeys
+};
@@ -0,0 +1,48 @@
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Format checks for identity fields. Sensitive ones are stored encrypted, so
+// the schema cannot validate them; values are normalised before checking.
+const FIELD_FORMATS = {
+  aadhaar: {
+    normalise: value => value.replace(/[\s-]/g, ''),
+    test: value => /^\d{12}$/.test(value),
+    message: 'Aadhaar must be 12 digits'
+  },
+  pan: {
+    normalise: value => value.toUpperCase(),
+    test: value => /^[A-Z]{5}\d{4}[A-Z]$/.test(value),
+    message: 'PAN must look like ABCDE1234F'
+  },
+  bankIfsc: {
+    normalise: value => value.toUpperCase(),
+    test: value => /^[A-Z]{4}0[A-Z0-9]{6}$/.test(value),
+    message: 'IFSC must look like ABCD0123456'
+  },
+  bloodGroup: {
+    normalise: value => value.toUpperCase().replace(/\s/g, ''),
+    test: value => BLOOD_GROUPS.includes(value),
+    message: `Blood group must be one of ${BLOOD_GROUPS.join(', ')}`
+  }
+};
+
+// Normalise formatted fields in place and return [{ field, message }] for
+// values that do not match. Empty values are left alone (they clear the field).
+const checkFieldFormats = (values, formats = FIELD_FORMATS) => {
+  const errors = [];
+
+  Object.entries(formats).forEach(([field, format]) => {
+    if (typeof values[field] !== 'string' || !values[field].trim()) return;
+    values[field] = format.normalise(values[field].trim());
+    if (!format.test(values[field])) {
+      errors.push({ field, message: format.message });
+    }
+  });
+
+  return errors;
+};
+
+export {
+  BLOOD_GROUPS,
+  FIELD_FORMATS,
+  checkFieldFormats
+};
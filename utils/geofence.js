@@ -0,0 +1,121 @@
+import net from 'net';
+import mongoose from 'mongoose';
+import WorkLocation from '../models/WorkLocation.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Fixes less precise than this cannot place an employee inside an office
+const MAX_ACCURACY_METERS = 200;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lng } points in meters
+const distanceMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting on lat/lng, accurate enough at the scale of a site
+const isInsidePolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a point is within a geofence. For circles the fix's accuracy is
+// given the benefit of the doubt.
+const isInsideGeofence = (point, geofence) => {
+  if (geofence.type === 'circle') {
+    return distanceMeters(point, geofence.center) - (point.accuracy || 0) <= geofence.radiusMeters;
+  }
+  return isInsidePolygon(point, geofence.polygon);
+};
+
+// Whether an address is in any of the CIDR ranges. IPv4 addresses mapped
+// into IPv6 (::ffff:1.2.3.4) are matched as IPv4.
+const isIpInRanges = (ip, ranges = []) => {
+  if (!ip || !ranges.length) return false;
+
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  const list = new net.BlockList();
+  ranges.forEach(range => {
+    const [subnet, prefix] = range.split('/');
+    list.addSubnet(subnet, Number(prefix), net.isIP(subnet) === 4 ? 'ipv4' : 'ipv6');
+  });
+
+  return list.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Check a punch against the employee's attendance policy. Office-only staff
+// must be inside one of their offices (any active office when none are
+// assigned) by coordinates or network, and are flagged when their assigned
+// offices are no longer active; with no offices configured they are not
+// restricted. Field staff must share their coordinates; remote staff may
+// punch from anywhere. Returns the office matched and, when
+// the punch breaks the policy, a flag reason.
+const evaluatePunchLocation = async (employee, { coordinates, ip }) => {
+  const policy = employee.attendancePolicy?.type || 'office_only';
+
+  const assigned = employee.attendancePolicy?.workLocations?.length > 0;
+  const query = { isActive: true };
+  if (assigned) {
+    query._id = { $in: employee.attendancePolicy.workLocations };
+  }
+  const offices = await WorkLocation.find(query);
+
+  const precise = coordinates && (coordinates.accuracy == null || coordinates.accuracy <= MAX_ACCURACY_METERS);
+  const office = offices.find(candidate =>
+    (precise && isInsideGeofence(coordinates, candidate.geofence)) ||
+    isIpInRanges(ip, candidate.allowedIpRanges));
+
+  const result = { workLocation: office ? office._id : null, flagReason: null };
+
+  if (policy === 'field' && !coordinates) {
+    result.flagReason = 'no_location';
+  } else if (policy === 'office_only' && !office) {
+    if (!offices.length) {
+      result.flagReason = assigned ? 'outside_zone' : null;
+    } else if (!coordinates) {
+      result.flagReason = 'no_location';
+    } else if (!precise) {
+      result.flagReason = 'low_accuracy';
+    } else {
+      result.flagReason = 'outside_zone';
+    }
+  }
+
+  return result;
+};
+
+// Validate offices assigned to an employee's attendance policy.
+// Returns an error message, or null when valid.
+const checkWorkLocations = async (ids) => {
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.isObjectIdOrHexString(id))) {
+    return 'Work locations must be a list of location IDs';
+  }
+
+  const found = await WorkLocation.countDocuments({ _id: { $in: ids }, isActive: true });
+  return found === new Set(ids.map(String)).size ? null : 'Work location not found or inactive';
+};
+
+export {
+  MAX_ACCURACY_METERS,
+  distanceMeters,
+  isInsideGeofence,
+  isIpInRanges,
+  evaluatePunchLocation,
+  checkWorkLocations
+};
@@ -0,0 +1,50 @@
+import Invitation from '../models/Invitation.js';
+import { sendEmail } from './mailer.js';
+
+// Email an invitation link to the invitee
+const sendInvitationEmail = (user, token) => {
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invite/${token}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'You have been invited to EMS',
+    text: `Hi ${user.firstName},\n\nAn account has been created for you. Use the link below to set your password and sign in. The link can only be used once.\n\n${inviteUrl}`
+  });
+};
+
+// Create a fresh invitation for a user (revoking any still pending) and email it
+const inviteUser = async (user, invitedBy) => {
+  await Invitation.updateMany(
+    { user: user._id, status: 'pending' },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+
+  const invitation = new Invitation({
+    user: user._id,
+    email: user.email,
+    invitedBy
+  });
+  const token = invitation.issueToken();
+  await invitation.save();
+
+  await sendInvitationEmail(user, token);
+
+  return invitation;
+};
+
+// Re-send an existing invitation with a new token and expiry
+const resendInvitation = async (invitation, user) => {
+  const token = invitation.issueToken();
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  await sendInvitationEmail(user, token);
+
+  return invitation;
+};
+
+export {
+  inviteUser,
+  resendInvitation
+};
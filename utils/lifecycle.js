@@ -0,0 +1,180 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Salary from '../models/Salary.js';
+import Invitation from '../models/Invitation.js';
+import ChecklistTemplate from '../models/ChecklistTemplate.js';
+import EmployeeChecklist from '../models/EmployeeChecklist.js';
+
+// Allowed lifecycle state changes
+const TRANSITIONS = {
+  offer: ['onboarding', 'exited'],
+  onboarding: ['probation', 'active', 'exited'],
+  probation: ['active', 'notice', 'exited'],
+  active: ['notice', 'exited'],
+  notice: ['active', 'exited'],
+  exited: []
+};
+
+// Employee fields a lifecycle transition may change, for change history
+const LIFECYCLE_FIELDS = [
+  'lifecycleStatus', 'isActive',
+  'exit.resignationDate', 'exit.lastWorkingDay', 'exit.reason', 'exit.notes', 'exit.handoverTo'
+];
+
+const canTransition = (from, to) => (TRANSITIONS[from || 'active'] || []).includes(to);
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Start a checklist of the given type from the employee's department template.
+// Returns the open checklist, or null when no template applies.
+const startChecklist = async (employee, type, { baseDate, startedBy } = {}) => {
+  const open = await EmployeeChecklist.findOne({ employee: employee._id, type, status: 'open' });
+  if (open) return open;
+
+  const template = await ChecklistTemplate.findForDepartment(type, employee.departmentId);
+  if (!template) return null;
+
+  return EmployeeChecklist.createFromTemplate(template, employee, { baseDate, startedBy });
+};
+
+const cancelChecklists = (employee, type) => {
+  return EmployeeChecklist.updateMany(
+    { employee: employee._id, type, status: 'open' },
+    { status: 'cancelled' }
+  );
+};
+
+// Create a pending final-settlement salary for the month of the last working
+// day, prorated by calendar days. An existing record for that month is kept.
+const generateFinalSettlement = async (employee, lastWorkingDay, createdBy) => {
+  if (!employee.salary) return { salary: null, created: false };
+
+  const month = lastWorkingDay.getMonth() + 1;
+  const year = lastWorkingDay.getFullYear();
+
+  const existing = await Salary.findOne({ employee: employee._id, month, year });
+  if (existing) return { salary: existing, created: false };
+
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const salary = await Salary.create({
+    employee: employee._id,
+    month,
+    year,
+    baseSalary: Math.round((employee.salary * lastWorkingDay.getDate()) / daysInMonth),
+    type: 'final_settlement',
+    notes: `Final settlement up to ${lastWorkingDay.toISOString().split('T')[0]}`,
+    createdBy
+  });
+
+  return { salary, created: true };
+};
+
+// Close out an employee who has left: deactivate and sign them out, revoke
+// pending invitations, move their direct reports up a level, cancel any
+// unfinished onboarding and raise the final-settlement salary.
+const completeExit = async (employee, actorId) => {
+  employee.lifecycleStatus = 'exited';
+  employee.isActive = false;
+  employee.exit.exitedAt = new Date();
+  employee.exit.processedBy = actorId;
+  await employee.save();
+
+  const sessionsRevoked = await Session.revokeAllForUser(employee._id, 'deactivated');
+
+  await Invitation.updateMany(
+    { user: employee._id, status: 'pending' },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+
+  const { modifiedCount: reportsReassigned } = await User.updateMany(
+    { manager: employee._id },
+    { manager: employee.manager || null }
+  );
+
+  await cancelChecklists(employee, 'onboarding');
+
+  const settlement = await generateFinalSettlement(employee, employee.exit.lastWorkingDay, actorId);
+
+  return {
+    sessionsRevoked,
+    reportsReassigned,
+    finalSettlement: settlement.salary
+      ? { id: settlement.salary._id, created: settlement.created, netSalary: settlement.salary.netSalary }
+      : null
+  };
+};
+
+// Move an employee to a new lifecycle state and run the actions tied to it.
+// Returns { error } for invalid requests, otherwise { employee, actions }.
+const transitionLifecycle = async (employee, to, { actorId, exit = {} } = {}) => {
+  const from = employee.lifecycleStatus || 'active';
+
+  if (!canTransition(from, to)) {
+    return { error: `Cannot move an employee from ${from} to ${to}` };
+  }
+
+  const actions = {};
+
+  if (to === 'notice' || to === 'exited') {
+    const lastWorkingDay = exit.lastWorkingDay ? new Date(exit.lastWorkingDay)
+      : employee.exit?.lastWorkingDay || (to === 'exited' ? new Date() : null);
+    const reason = exit.reason || employee.exit?.reason;
+
+    if (!lastWorkingDay) {
+      return { error: 'Last working day is required' };
+    }
+    if (!reason) {
+      return { error: 'Exit reason is required' };
+    }
+    if (to === 'exited' && lastWorkingDay > new Date()) {
+      return { error: 'Last working day is in the future; put the employee on notice instead' };
+    }
+    if (to === 'notice' && lastWorkingDay < startOfToday()) {
+      return { error: 'Last working day has already passed; exit the employee instead' };
+    }
+
+    employee.exit = {
+      resignationDate: exit.resignationDate || employee.exit?.resignationDate || new Date(),
+      lastWorkingDay,
+      reason,
+      notes: exit.notes !== undefined ? exit.notes : employee.exit?.notes,
+      handoverTo: exit.handoverTo !== undefined ? exit.handoverTo : employee.exit?.handoverTo
+    };
+
+    const checklist = await startChecklist(employee, 'offboarding', { baseDate: lastWorkingDay, startedBy: actorId });
+    actions.offboardingChecklist = checklist ? checklist._id : null;
+  }
+
+  if (to === 'exited') {
+    Object.assign(actions, await completeExit(employee, actorId));
+    return { employee, actions };
+  }
+
+  if (from === 'notice' && to === 'active') {
+    // Resignation withdrawn
+    employee.exit = undefined;
+    await cancelChecklists(employee, 'offboarding');
+  }
+
+  if (to === 'onboarding') {
+    const checklist = await startChecklist(employee, 'onboarding', { baseDate: employee.hireDate, startedBy: actorId });
+    actions.onboardingChecklist = checklist ? checklist._id : null;
+  }
+
+  employee.lifecycleStatus = to;
+  await employee.save();
+
+  return { employee, actions };
+};
+
+export {
+  TRANSITIONS,
+  LIFECYCLE_FIELDS,
+  canTransition,
+  startChecklist,
+  transitionLifecycle
+};
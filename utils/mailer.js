@@ -0,0 +1,97 @@
+import nodemailer from 'nodemailer';
+import path from 'path';
+import { promises as fs } from 'fs';
+
+// SMTP transport - used in production
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// File transport - writes each message as JSON into MAIL_OUTPUT_DIR (tests/local)
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || './mail';
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(outputDir, { recursive: true });
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      await fs.writeFile(path.join(outputDir, filename), JSON.stringify(message, null, 2));
+      return { messageId: filename };
+    }
+  };
+};
+
+// Console transport - prints messages instead of sending them
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// Pick the transport from MAIL_TRANSPORT, falling back to SMTP when configured.
+// The console and file sinks expose live reset and invitation links, so they
+// are never chosen implicitly.
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : null);
+
+    if (!name) {
+      throw new Error('Mail is not configured: set EMAIL_HOST, or MAIL_TRANSPORT=console for local development');
+    }
+
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. with an in-memory sink in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the active transport
+const sendEmail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@ems.local',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export {
+  sendEmail,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import { migrateLegacyOrgFields } from './organisation.js';
+
+dotenv.config();
+
+// Converts free-text department/position values on employees into Department
+// and Position records. Pass --dry-run to only report what would change.
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    const summary = await migrateLegacyOrgFields({ dryRun });
+
+    console.log(dryRun ? '🔍 Dry run - no changes written' : '✅ Departments migrated successfully');
+    console.log(`🏢 Departments created: ${summary.departmentsCreated.length} ${summary.departmentsCreated.join(', ')}`);
+    console.log(`💼 Positions created: ${summary.positionsCreated.length} ${summary.positionsCreated.join(', ')}`);
+    console.log(`👥 Employees linked: ${summary.usersUpdated}`);
+
+    process.exit();
+  } catch (error) {
+    console.error('❌ Error migrating departments:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
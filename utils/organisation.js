@@ -0,0 +1,139 @@
+import Department from '../models/Department.js';
+import Position from '../models/Position.js';
+import User from '../models/User.js';
+
+// Validate departmentId/positionId in a set of employee fields and fill in the
+// matching display names. Returns an error message, or null when valid.
+const resolveOrgAssignment = async (fields) => {
+  if (fields.departmentId !== undefined) {
+    if (fields.departmentId) {
+      const department = await Department.findById(fields.departmentId);
+      if (!department || !department.isActive) {
+        return 'Department not found or inactive';
+      }
+      fields.department = department.name;
+    } else {
+      fields.departmentId = null;
+      fields.department = null;
+    }
+  }
+
+  if (fields.positionId !== undefined) {
+    if (fields.positionId) {
+      const position = await Position.findById(fields.positionId);
+      if (!position || !position.isActive) {
+        return 'Position not found or inactive';
+      }
+      fields.position = position.title;
+    } else {
+      fields.positionId = null;
+      fields.position = null;
+    }
+  }
+
+  return null;
+};
+
+// Build a unique entity code from a display name, e.g. "Human Resources" -> "HUMAN_RESOURCES"
+const buildCode = (name, taken) => {
+  const base = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 16) || 'UNNAMED';
+  let code = base;
+  let suffix = 2;
+  while (taken.has(code)) {
+    code = `${base}_${suffix++}`;
+  }
+  taken.add(code);
+  return code;
+};
+
+// Group users by a free-text field, matching names case-insensitively
+const groupByName = (users, field) => {
+  const groups = new Map();
+  users.forEach(user => {
+    const name = (user[field] || '').trim();
+    if (!name) return;
+    const key = name.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { name, users: [] });
+    groups.get(key).users.push(user);
+  });
+  return groups;
+};
+
+// Convert the legacy free-text department/position strings on users into
+// Department and Position records and link each user to them. Existing
+// entities with a matching name are reused. Safe to run more than once.
+const migrateLegacyOrgFields = async ({ dryRun = false } = {}) => {
+  const summary = { departmentsCreated: [], positionsCreated: [], usersUpdated: 0 };
+
+  const [departments, positions] = await Promise.all([
+    Department.find().select('code name').lean(),
+    Position.find().select('code title').lean()
+  ]);
+  const departmentCodes = new Set(departments.map(department => department.code));
+  const positionCodes = new Set(positions.map(position => position.code));
+  const departmentByName = new Map(departments.map(department => [department.name.toLowerCase(), department]));
+  const positionByTitle = new Map(positions.map(position => [position.title.toLowerCase(), position]));
+
+  const users = await User.find({
+    $or: [
+      { departmentId: null, department: { $nin: [null, ''] } },
+      { positionId: null, position: { $nin: [null, ''] } }
+    ]
+  }).select('department departmentId position positionId').lean();
+
+  const updates = new Map(users.map(user => [user._id.toString(), {}]));
+
+  for (const [key, group] of groupByName(users.filter(user => !user.departmentId), 'department')) {
+    let department = departmentByName.get(key);
+    if (!department) {
+      department = { _id: null, code: buildCode(group.name, departmentCodes), name: group.name };
+      if (!dryRun) {
+        department = await Department.create({ code: department.code, name: department.name });
+      }
+      departmentByName.set(key, department);
+      summary.departmentsCreated.push(department.name);
+    }
+    group.users.forEach(user => {
+      Object.assign(updates.get(user._id.toString()), { departmentId: department._id, department: department.name });
+    });
+  }
+
+  for (const [key, group] of groupByName(users.filter(user => !user.positionId), 'position')) {
+    let position = positionByTitle.get(key);
+    if (!position) {
+      // Only tie the position to a department when all of its holders share one
+      const departmentIds = new Set(group.users.map(user =>
+        String(user.departmentId || updates.get(user._id.toString()).departmentId || '')
+      ));
+      const [departmentId] = departmentIds;
+      position = { _id: null, code: buildCode(group.name, positionCodes), title: group.name };
+      if (!dryRun) {
+        position = await Position.create({
+          code: position.code,
+          title: position.title,
+          department: departmentIds.size === 1 && departmentId ? departmentId : undefined
+        });
+      }
+      positionByTitle.set(key, position);
+      summary.positionsCreated.push(position.title);
+    }
+    group.users.forEach(user => {
+      Object.assign(updates.get(user._id.toString()), { positionId: position._id, position: position.title });
+    });
+  }
+
+  for (const [userId, fields] of updates) {
+    if (!Object.keys(fields).length) continue;
+    summary.usersUpdated++;
+    if (!dryRun) {
+      await User.updateOne({ _id: userId }, fields);
+    }
+  }
+
+  return summary;
+};
+
+export {
+  resolveOrgAssignment,
+  migrateLegacyOrgFields
+};
@@ -0,0 +1,191 @@
+import fs from 'fs/promises';
+import path from 'path';
+import archiver from 'archiver';
+import User from '../models/User.js';
+import Attendance from '../models/Attendance.js';
+import Leave from '../models/Leave.js';
+import Salary from '../models/Salary.js';
+import Document from '../models/Document.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Invitation from '../models/Invitation.js';
+import EmployeeChangeLog from '../models/EmployeeChangeLog.js';
+import ProfileChangeRequest from '../models/ProfileChangeRequest.js';
+import AttendanceRegularization from '../models/AttendanceRegularization.js';
+import EmployeeChecklist from '../models/EmployeeChecklist.js';
+import Setting from '../models/Setting.js';
+import { getPhotoDir, removeProfilePhoto } from './profilePhotos.js';
+
+// Personal fields removed from the employee record on anonymisation. PAN and
+// PF number stay (encrypted) because payroll filings still need them.
+const SCRUBBED_FIELDS = [
+  'phone', 'phoneDigits', 'address', 'communicationAddress', 'dateOfBirth', 'gender', 'bloodGroup',
+  'aadhaar', 'drivingLicence', 'medicalInsurance', 'bankName', 'bankAccountNumber', 'bankIfsc',
+  'education', 'vehicleNo', 'callLetter', 'emergencyContactPerson', 'emergencyContactNo',
+  'documentsSubmitted', 'profileImage', 'profilePhoto', 'password', 'twoFactor',
+  'passwordResetToken', 'passwordResetExpires', 'exit.notes', 'probation.review.comments'
+];
+
+// Probation extensions and contract renewals keep their dates; the free
+// text recorded with each is dropped
+const withoutText = (entries = [], field) => entries.map(({ [field]: text, ...entry }) => entry);
+
+const toJsonBuffer = data => Buffer.from(JSON.stringify(data, null, 2));
+
+// Stream a ZIP of everything stored about an employee: profile (sensitive
+// fields in clear), attendance, leaves, salaries, change history, document
+// metadata and the uploaded files themselves.
+const writePersonalDataExport = async (employee, res) => {
+  const [attendance, leaves, salaries, documents, history] = await Promise.all([
+    Attendance.find({ employee: employee._id }).sort({ date: 1 }).lean(),
+    Leave.find({ employee: employee._id }).sort({ startDate: 1 }).lean(),
+    Salary.find({ employee: employee._id }).sort({ year: 1, month: 1 }).lean(),
+    Document.find({ employee: employee._id }).sort({ createdAt: 1 }).lean(),
+    EmployeeChangeLog.find({ employee: employee._id }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const profile = {
+    ...employee.toJSON(),
+    ...employee.revealSensitiveFields()
+  };
+  delete profile.twoFactor;
+  delete profile.phoneDigits;
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => res.destroy(error));
+  archive.pipe(res);
+
+  archive.append(toJsonBuffer(profile), { name: 'profile.json' });
+  archive.append(toJsonBuffer(attendance), { name: 'attendance.json' });
+  archive.append(toJsonBuffer(leaves), { name: 'leaves.json' });
+  archive.append(toJsonBuffer(salaries), { name: 'salaries.json' });
+  archive.append(toJsonBuffer(history), { name: 'change-history.json' });
+  archive.append(toJsonBuffer(documents.map(({ path: storedPath, ...document }) => document)), { name: 'documents.json' });
+
+  // Files missing on disk are skipped; their metadata is still in the JSON
+  const files = [
+    ...documents.map(document => ({ path: document.path, name: `documents/${document._id}-${path.basename(document.originalName || document.filename)}` })),
+    ...leaves.flatMap(leave => (leave.documents || []).map(document => ({
+      path: document.path,
+      name: `leave-documents/${leave._id}-${path.basename(document.originalName || document.filename)}`
+    })))
+  ];
+
+  for (const file of files) {
+    try {
+      await fs.access(file.path);
+      archive.file(file.path, { name: file.name });
+    } catch (error) {
+      continue;
+    }
+  }
+
+  if (employee.profilePhoto?.large) {
+    const photoPath = path.join(getPhotoDir(), path.basename(employee.profilePhoto.large));
+    try {
+      await fs.access(photoPath);
+      archive.file(photoPath, { name: 'profile-photo.webp' });
+    } catch (error) {
+      // Photo missing on disk
+    }
+  }
+
+  await archive.finalize();
+};
+
+// Anonymise one departed employee: scrub personal fields, delete documents
+// (including leave attachments), sessions, login history and change history,
+// and strip free text from leave, attendance and checklist tasks. Salary
+// records are left untouched.
+const anonymiseEmployee = async (employee, actorId) => {
+  const documents = await Document.find({ employee: employee._id }).select('path');
+  const leaves = await Leave.find({ employee: employee._id }).select('documents.path');
+  const paths = [
+    ...documents.map(document => document.path),
+    ...leaves.flatMap(leave => leave.documents.map(document => document.path))
+  ];
+  await Promise.all(paths.filter(Boolean).map(filePath => fs.unlink(filePath).catch(() => {})));
+  await Document.deleteMany({ employee: employee._id });
+
+  await removeProfilePhoto(employee.toObject().profilePhoto);
+
+  await Promise.all([
+    Session.deleteMany({ user: employee._id }),
+    LoginAttempt.deleteMany({ $or: [{ user: employee._id }, { email: employee.email }] }),
+    Invitation.deleteMany({ user: employee._id }),
+    EmployeeChangeLog.deleteMany({ employee: employee._id }),
+    ProfileChangeRequest.deleteMany({ employee: employee._id }),
+    AttendanceRegularization.deleteMany({ employee: employee._id }),
+    Leave.updateMany(
+      { employee: employee._id },
+      { $set: { reason: 'Removed' }, $unset: { emergencyContact: 1, notes: 1, rejectionReason: 1, documents: 1 } }
+    ),
+    Attendance.updateMany({ employee: employee._id }, { $unset: { location: 1, notes: 1, 'punches.$[].location': 1, 'punches.$[].coordinates': 1, 'punches.$[].ip': 1 } }),
+    EmployeeChecklist.updateMany({ employee: employee._id }, { $unset: { 'tasks.$[].notes': 1 } })
+  ]);
+
+  const { probation = {}, contract = {} } = employee.toObject();
+
+  // updateOne skips validation, which the password-less record would fail
+  await User.updateOne(
+    { _id: employee._id },
+    {
+      $set: {
+        firstName: 'Former',
+        lastName: 'Employee',
+        email: `anonymised-${employee._id}@example.com`,
+        customFields: {},
+        isActive: false,
+        anonymisedAt: new Date(),
+        anonymisedBy: actorId,
+        'probation.extensions': withoutText(probation.extensions, 'reason'),
+        'contract.renewals': withoutText(contract.renewals, 'notes')
+      },
+      $unset: Object.fromEntries(SCRUBBED_FIELDS.map(field => [field, 1]))
+    }
+  );
+};
+
+// Find exited employees whose retention period has passed and anonymise
+// them. Employees with unpaid salaries are skipped until payroll is settled.
+// Returns a summary; nothing is changed when dryRun is set.
+const runAnonymisation = async ({ dryRun = true, actorId } = {}) => {
+  const settings = await Setting.getSettings();
+  const retentionDays = settings.dataRetention.anonymiseAfterDays;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const due = await User.find({
+    lifecycleStatus: 'exited',
+    anonymisedAt: null,
+    'exit.lastWorkingDay': { $lte: cutoff }
+  });
+
+  const unpaid = await Salary.distinct('employee', {
+    employee: { $in: due.map(employee => employee._id) },
+    status: 'pending'
+  });
+  const unpaidIds = unpaid.map(id => id.toString());
+
+  const summary = { dryRun, retentionDays, cutoff, anonymised: [], skipped: [] };
+
+  for (const employee of due) {
+    if (unpaidIds.includes(employee._id.toString())) {
+      summary.skipped.push({ id: employee._id, reason: 'Unpaid salary records' });
+      continue;
+    }
+
+    if (!dryRun) {
+      await anonymiseEmployee(employee, actorId);
+    }
+    summary.anonymised.push({ id: employee._id, lastWorkingDay: employee.exit.lastWorkingDay });
+  }
+
+  return summary;
+};
+
+export {
+  SCRUBBED_FIELDS,
+  writePersonalDataExport,
+  anonymiseEmployee,
+  runAnonymisation
+};
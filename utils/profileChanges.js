@@ -0,0 +1,180 @@
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import ProfileChangeRequest from '../models/ProfileChangeRequest.js';
+import { decrypt, mask } from './fieldEncryption.js';
+import { checkFieldFormats } from './fieldFormats.js';
+import { getEmployeeEditableKeys } from './customFields.js';
+
+// Fields employees may change on their own profile straight away
+const SELF_SERVICE_FIELDS = ['firstName', 'lastName', 'phone', 'extension', 'gender', 'bloodGroup', 'education', 'vehicleNo'];
+
+// Personal data employees may change only through an HR-approved request.
+// Every other field (salary, department, hire date, ...) is HR-only.
+const APPROVAL_FIELDS = [
+  'address', 'communicationAddress', 'dateOfBirth',
+  'emergencyContactPerson', 'emergencyContactNo',
+  'aadhaar', 'pan', 'drivingLicence',
+  'bankName', 'bankAccountNumber', 'bankIfsc'
+];
+
+// Split an employee's edit of their own profile into fields applied directly,
+// fields needing approval and fields they may not change at all
+const splitSelfServiceUpdate = (fields, selfServiceFields = SELF_SERVICE_FIELDS) => {
+  const direct = {};
+  const approval = {};
+  const blocked = [];
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (selfServiceFields.includes(field)) {
+      direct[field] = value;
+    } else if (APPROVAL_FIELDS.includes(field)) {
+      approval[field] = value;
+    } else {
+      blocked.push(field);
+    }
+  });
+
+  return { direct, approval, blocked };
+};
+
+// Comparable plain form of a field value (sensitive values decrypted)
+const plainValue = (value, isSensitive) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (isSensitive) return decrypt(value);
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Create a pending change request for approval fields. Values are validated
+// against the User schema now so HR only ever reviews applicable changes.
+// With skipUnchanged, a request that changes nothing yields { request: null }
+// instead of an error (profile forms resubmit every field).
+// Returns { error } or { request }.
+const createChangeRequest = async (employeeId, changes, { reason, documents = [], skipUnchanged = false } = {}) => {
+  const fields = Object.keys(changes);
+  const notAllowed = fields.filter(field => !APPROVAL_FIELDS.includes(field));
+  if (!fields.length || notAllowed.length) {
+    return { error: notAllowed.length ? `These fields cannot be requested: ${notAllowed.join(', ')}` : 'No changes requested' };
+  }
+
+  const formatErrors = checkFieldFormats(changes);
+  if (formatErrors.length) {
+    return { error: formatErrors.map(({ message }) => message).join(', ') };
+  }
+
+  const employee = await User.findById(employeeId);
+  if (!employee) {
+    return { error: 'Employee not found' };
+  }
+
+  const sensitiveFields = User.getSensitiveFieldNames();
+  const current = Object.fromEntries(fields.map(field => [field, employee.get(field)]));
+
+  // Apply to the loaded document (never saved) to cast, encrypt and validate
+  employee.set(changes);
+  try {
+    await employee.validate(fields);
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { error: Object.values(error.errors).map(val => val.message).join(', ') };
+  }
+
+  const requestedChanges = fields
+    .map(field => {
+      const isSensitive = sensitiveFields.includes(field);
+      return {
+        field,
+        oldPlain: plainValue(current[field], isSensitive),
+        newPlain: plainValue(employee.get(field), isSensitive),
+        newValue: employee.get(field) ?? null,
+        redacted: isSensitive
+      };
+    })
+    .filter(change => JSON.stringify(change.oldPlain) !== JSON.stringify(change.newPlain))
+    .map(({ field, oldPlain, newValue, redacted }) => ({
+      field,
+      oldValue: redacted ? mask(oldPlain) : oldPlain,
+      newValue,
+      redacted
+    }));
+
+  if (!requestedChanges.length) {
+    return skipUnchanged ? { request: null } : { error: 'The requested values match the current profile' };
+  }
+
+  const pendingFields = await ProfileChangeRequest.getPendingFields(employeeId);
+  const overlapping = requestedChanges.map(change => change.field).filter(field => pendingFields.includes(field));
+  if (overlapping.length) {
+    return { error: `A change to ${overlapping.join(', ')} is already awaiting approval` };
+  }
+
+  if (documents.length) {
+    const owned = await Document.countDocuments({ _id: { $in: documents }, employee: employeeId });
+    if (owned !== new Set(documents.map(String)).size) {
+      return { error: 'Proof documents must be your own uploaded documents' };
+    }
+  }
+
+  const request = await ProfileChangeRequest.create({
+    employee: employeeId,
+    changes: requestedChanges,
+    reason,
+    documents
+  });
+
+  return { request };
+};
+
+// HR-only fields whose submitted value differs from the stored one
+const changedFields = async (employeeId, fields, changes) => {
+  const employee = await User.findById(employeeId);
+  if (!employee) return fields;
+
+  const sensitiveFields = User.getSensitiveFieldNames();
+  const current = Object.fromEntries(fields.map(field => [field, employee.get(field)]));
+
+  // Apply to the loaded document (never saved) so values compare once cast
+  fields.forEach(field => employee.set(field, changes[field]));
+
+  return fields.filter(field => {
+    const isSensitive = sensitiveFields.includes(field);
+    return JSON.stringify(plainValue(current[field], isSensitive)) !==
+      JSON.stringify(plainValue(employee.get(field), isSensitive));
+  });
+};
+
+// Apply the self-service policy to an employee editing their own profile:
+// HR-only fields are refused unless resubmitted unchanged, approval fields
+// become a change request and the remaining fields are returned for a
+// direct update.
+// Returns { error, status } or { direct, changeRequest }.
+const applySelfServicePolicy = async (employeeId, fields, { reason, documents } = {}) => {
+  // Custom fields marked editable by employees are self-service too
+  const editableCustomFields = (await getEmployeeEditableKeys()).map(key => `customFields.${key}`);
+  const { direct, approval, blocked } = splitSelfServiceUpdate(fields, [...SELF_SERVICE_FIELDS, ...editableCustomFields]);
+
+  // Profile forms resubmit every field; only actual changes are refused
+  const refused = blocked.length ? await changedFields(employeeId, blocked, fields) : [];
+  if (refused.length) {
+    return { error: `Only HR can change: ${refused.join(', ')}`, status: 403 };
+  }
+
+  let changeRequest = null;
+  if (Object.keys(approval).length) {
+    const result = await createChangeRequest(employeeId, approval, { reason, documents, skipUnchanged: true });
+    if (result.error) {
+      return { error: result.error, status: 400 };
+    }
+    changeRequest = result.request;
+  }
+
+  return { direct, changeRequest };
+};
+
+export {
+  SELF_SERVICE_FIELDS,
+  APPROVAL_FIELDS,
+  splitSelfServiceUpdate,
+  createChangeRequest,
+  applySelfServicePolicy
+};
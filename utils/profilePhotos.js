@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+// Square avatar renditions generated for every uploaded photo (pixels)
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+// Refuse images that would decode to more than this many pixels
+const MAX_INPUT_PIXELS = 40000000;
+
+const getPhotoDir = () => path.join(process.env.UPLOAD_DIR || './uploads', 'photos');
+
+// Public URL path the photo directory is served from (see api/index.js)
+const PHOTO_URL_PATH = '/api/photos';
+
+// Identify an image by its leading bytes rather than the client's claimed type.
+// Returns 'jpeg', 'png', 'webp' or null.
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+};
+
+const photoUrl = filename => `${PHOTO_URL_PATH}/${filename}`;
+
+// Resize an uploaded photo into the avatar sizes and write them as WebP.
+// Orientation from EXIF is applied first; the output carries no metadata
+// (EXIF, GPS, ICC). Returns { error } or { files } keyed by size name.
+const saveProfilePhoto = async (employeeId, buffer) => {
+  if (!detectImageType(buffer)) {
+    return { error: 'Photo must be a JPEG, PNG or WebP image' };
+  }
+
+  let image;
+  try {
+    image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    await image.metadata();
+  } catch (error) {
+    return { error: 'Photo could not be read as an image' };
+  }
+
+  const dir = getPhotoDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  // Random names so photo URLs cannot be guessed from employee ids
+  const stem = `${employeeId}-${crypto.randomBytes(8).toString('hex')}`;
+  const files = {};
+
+  try {
+    for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+      const filename = `${stem}-${size}.webp`;
+      await image
+        .clone()
+        .resize(pixels, pixels, { fit: 'cover', position: 'attention' })
+        .webp({ quality: 82 })
+        .toFile(path.join(dir, filename));
+      files[size] = filename;
+    }
+  } catch (error) {
+    await removeProfilePhoto(files);
+    if (/pixel limit|unsupported image format|corrupt/i.test(error.message)) {
+      return { error: 'Photo could not be read as an image' };
+    }
+    throw error;
+  }
+
+  return { files };
+};
+
+// Delete the stored renditions of a photo, given by file name or URL.
+// Missing files are ignored.
+const removeProfilePhoto = async (files = {}) => {
+  const dir = getPhotoDir();
+  await Promise.all(Object.values(files)
+    .filter(filename => typeof filename === 'string' && filename)
+    .map(filename => fs.unlink(path.join(dir, path.basename(filename))).catch(() => {})));
+};
+
+export {
+  AVATAR_SIZES,
+  PHOTO_URL_PATH,
+  getPhotoDir,
+  detectImageType,
+  photoUrl,
+  saveProfilePhoto,
+  removeProfilePhoto
+};
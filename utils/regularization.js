@@ -0,0 +1,153 @@
+import Attendance from '../models/Attendance.js';
+import AttendanceRegularization, { COUNTED_STATUSES } from '../models/AttendanceRegularization.js';
+import Setting from '../models/Setting.js';
+import { getEmployeeSchedule } from './shifts.js';
+import { toCalendarDay, parseCalendarDay, addCalendarDays, zonedDateTime, getEmployeeTimeZone } from './timezone.js';
+
+// Calendar month of a day: first day and first day of the next month
+const monthOf = (day) => {
+  const first = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  const next = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+  return { first, next };
+};
+
+// Requests an employee has made (pending or approved) for days in the month
+// of `day`, and how many their attendance policy allows. A policy without a
+// configured limit allows none.
+const getMonthlyUsage = async (employee, day) => {
+  const settings = await Setting.getSettings();
+  const policy = employee.attendancePolicy?.type || 'office_only';
+  const { first, next } = monthOf(day);
+
+  const used = await AttendanceRegularization.countDocuments({
+    employee: employee._id,
+    date: { $gte: first, $lt: next },
+    status: { $in: COUNTED_STATUSES }
+  });
+
+  return { used, limit: settings.attendance.regularizationLimits[policy] ?? 0 };
+};
+
+// Validate and create an employee's regularization request for one day.
+// Requested times must fall on the day or the morning after (night shifts)
+// in the employee's timezone and not be in the future. A day without any
+// punches needs both times. Returns { error } or { request }.
+const createRegularizationRequest = async (employee, { type, date, clockIn, clockOut, reason }) => {
+  const timeZone = await getEmployeeTimeZone(employee);
+  const now = new Date();
+  const day = parseCalendarDay(date);
+
+  if (!day) {
+    return { error: 'Invalid date' };
+  }
+  if (day > toCalendarDay(now, timeZone)) {
+    return { error: 'Attendance cannot be regularized for a future date' };
+  }
+
+  const times = {
+    clockIn: clockIn !== undefined ? new Date(clockIn) : undefined,
+    clockOut: clockOut !== undefined ? new Date(clockOut) : undefined
+  };
+  const earliest = zonedDateTime(day, 0, timeZone);
+  const latest = zonedDateTime(addCalendarDays(day, 2), 0, timeZone);
+
+  const outOfRange = Object.values(times).some(time =>
+    time && (time < earliest || time >= latest || time > now));
+  if (outOfRange) {
+    return { error: 'Requested times must fall on the day being regularized and not be in the future' };
+  }
+
+  const attendance = await Attendance.findOne({ employee: employee._id, date: day });
+  if (!attendance && (!times.clockIn || !times.clockOut)) {
+    return { error: 'No attendance recorded on this day; give both clock-in and clock-out times' };
+  }
+
+  const pending = await AttendanceRegularization.exists({ employee: employee._id, date: day, status: 'pending' });
+  if (pending) {
+    return { error: 'You already have a pending regularization request for this day' };
+  }
+
+  const { used, limit } = await getMonthlyUsage(employee, day);
+  if (used >= limit) {
+    return { error: `Monthly limit of ${limit} regularization requests reached` };
+  }
+
+  const request = new AttendanceRegularization({
+    employee: employee._id,
+    date: day,
+    type,
+    attendance: attendance ? attendance._id : undefined,
+    ...times,
+    reason
+  });
+
+  try {
+    await request.save();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { error: Object.values(error.errors).map(val => val.message).join(', ') };
+  }
+
+  return { request };
+};
+
+// Apply an approved request to the day's attendance, creating the record when
+// nothing was punched. The record is marked manual and approved by the
+// reviewer; approving on-duty time also clears location flags on the day's
+// punches. Returns { error } or { attendance }.
+const applyRegularization = async (request, employee, approverId) => {
+  let attendance = await Attendance.findOne({ employee: employee._id, date: request.date });
+
+  if (attendance) {
+    const result = attendance.correctTimes({
+      clockIn: request.clockIn || undefined,
+      clockOut: request.clockOut || undefined
+    });
+    if (result.error) return result;
+  } else {
+    if (!request.clockIn || !request.clockOut) {
+      return { error: 'No attendance recorded on this day; the request needs both clock-in and clock-out times' };
+    }
+
+    const timeZone = await getEmployeeTimeZone(employee);
+    const [scheduled] = await getEmployeeSchedule(employee._id, request.date, request.date, timeZone);
+
+    attendance = new Attendance({
+      employee: employee._id,
+      date: request.date,
+      timezone: timeZone,
+      clockIn: request.clockIn,
+      punches: [
+        { type: 'in', at: request.clockIn },
+        { type: 'out', at: request.clockOut }
+      ],
+      schedule: scheduled.schedule,
+      breakTime: scheduled.shift ? scheduled.shift.breakMinutes / 60 : 0
+    });
+  }
+
+  if (request.type === 'on_duty') {
+    attendance.punches.forEach(punch => {
+      punch.flagReason = undefined;
+    });
+  }
+
+  attendance.isManual = true;
+  attendance.approvedBy = approverId;
+  attendance.regularization = request._id;
+
+  try {
+    await attendance.save();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { error: Object.values(error.errors).map(val => val.message).join(', ') };
+  }
+
+  return { attendance };
+};
+
+export {
+  getMonthlyUsage,
+  createRegularizationRequest,
+  applyRegularization
+};
@@ -1,8 +1,12 @@
-const mongoose = require('mongoose');
-const User = require('../models/User');
-const connectDB = require('../config/database');
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Department from '../models/Department.js';
+import Position from '../models/Position.js';
+import { migrateLegacyOrgFields } from './organisation.js';
+import connectDB from '../config/database.js';
 
-require('dotenv').config();
+dotenv.config();
 
 // Sample data
 const sampleUsers = [
@@ -74,10 +78,18 @@ const importData = async () => {
 
     // Clear existing data
     await User.deleteMany();
+    await Department.deleteMany();
+    await Position.deleteMany();
+
+    // Default roles must exist before users can reference them
+    await Role.ensureDefaults();
 
     // Insert sample users (passwords will be hashed by the pre-save hook)
     await User.insertMany(sampleUsers);
 
+    // Create departments and positions from the sample users' values
+    await migrateLegacyOrgFields();
+
     console.log('✅ Sample data imported successfully');
     console.log('📧 Admin login: admin@ems.com / Admin123!');
     console.log('👥 Employee logins: john.doe@ems.com / Employee123!');
@@ -95,6 +107,8 @@ const destroyData = async () => {
 
     // Clear all data
     await User.deleteMany();
+    await Department.deleteMany();
+    await Position.deleteMany();
 
     console.log('✅ Data destroyed successfully');
     process.exit();
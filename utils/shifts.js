@@ -0,0 +1,94 @@
+import Shift from '../models/Shift.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import { toCalendarDay, addCalendarDays, zonedDateTime } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "HH:mm" as minutes after midnight
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Start and end of a shift worked on calendar day `day` in a timezone, with
+// the rules attendance is classified by. Night shifts end on the following
+// day; both ends are resolved separately so a DST change during the shift
+// is reflected in its length.
+const buildSchedule = (shift, day, timeZone) => {
+  const startMinutes = parseTime(shift.startTime);
+  const endMinutes = parseTime(shift.endTime);
+  const endDay = endMinutes <= startMinutes ? addCalendarDays(day, 1) : day;
+
+  return {
+    shift: shift._id,
+    start: zonedDateTime(day, startMinutes, timeZone),
+    end: zonedDateTime(endDay, endMinutes, timeZone),
+    graceMinutes: shift.graceMinutes,
+    minHours: shift.minHours,
+    halfDayHours: shift.halfDayHours
+  };
+};
+
+// Shift id assigned to an employee on `day` from their assignments (newest
+// first), null on a rest day, or undefined when no assignment covers it
+const shiftIdForDay = (assignments, day) => {
+  const assignment = assignments.find(({ effectiveFrom, effectiveTo }) =>
+    effectiveFrom <= day && (!effectiveTo || effectiveTo >= day));
+
+  if (!assignment) return undefined;
+  if (assignment.shift) return assignment.shift;
+
+  const dayIndex = Math.round((day - assignment.effectiveFrom) / DAY_MS);
+  return assignment.rotation.shiftForDay(dayIndex);
+};
+
+// Day-by-day shifts of an employee between two calendar days (inclusive),
+// timed in their timezone. Each day has the shift worked, or shift null with
+// restDay set, or neither when the employee has no assignment for that day.
+const getEmployeeSchedule = async (employeeId, first, last, timeZone) => {
+  const assignments = await ShiftAssignment.find({
+    employee: employeeId,
+    effectiveFrom: { $lte: last },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: first } }]
+  })
+    .populate('rotation')
+    .sort({ effectiveFrom: -1, createdAt: -1 });
+
+  const days = [];
+  for (let day = first; day <= last; day = addCalendarDays(day, 1)) {
+    days.push({ date: day, shiftId: shiftIdForDay(assignments, day) });
+  }
+
+  const shiftIds = [...new Set(days.filter(day => day.shiftId).map(day => day.shiftId.toString()))];
+  const shifts = await Shift.find({ _id: { $in: shiftIds } });
+  const shiftsById = new Map(shifts.map(shift => [shift._id.toString(), shift]));
+
+  return days.map(({ date, shiftId }) => {
+    const shift = shiftId && shiftsById.get(shiftId.toString());
+    if (shiftId === undefined) return { date, shift: null, restDay: false, assigned: false };
+    if (!shift) return { date, shift: null, restDay: true, assigned: true };
+    return { date, shift, restDay: false, assigned: true, schedule: buildSchedule(shift, date, timeZone) };
+  });
+};
+
+// The shift a clock-in at `now` belongs to. A night shift that started
+// yesterday and has not ended yet takes precedence over today's shift.
+// Returns the attendance date, the shift and its schedule (both null on
+// days without a shift).
+const resolveClockInSchedule = async (employeeId, now, timeZone) => {
+  const today = toCalendarDay(now, timeZone);
+  const [yesterday, current] = await getEmployeeSchedule(employeeId, addCalendarDays(today, -1), today, timeZone);
+
+  if (yesterday.shift && yesterday.schedule.end > now) {
+    return { date: yesterday.date, shift: yesterday.shift, schedule: yesterday.schedule };
+  }
+
+  return { date: today, shift: current.shift, schedule: current.schedule || null };
+};
+
+export {
+  parseTime,
+  buildSchedule,
+  getEmployeeSchedule,
+  resolveClockInSchedule
+};
@@ -0,0 +1,112 @@
+import Setting from '../models/Setting.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attendance days are calendar dates stored as UTC midnight, e.g. 19 Oct
+// 2026 is 2026-10-19T00:00:00Z whatever the employee's timezone. Instants
+// (clock-in, shift start) are real UTC times.
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Whether an IANA timezone name (e.g. "Asia/Kolkata") is known
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date and time of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const getOffset = (instant, timeZone) => {
+  const parts = getZonedParts(new Date(instant), timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(instant / 1000) * 1000;
+};
+
+// Calendar day an instant falls on in a timezone
+const toCalendarDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Calendar day from a request value ("2026-10-19" or a full ISO timestamp,
+// whose date part is taken as written)
+const parseCalendarDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value instanceof Date ? value.toISOString() : String(value));
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+};
+
+const addCalendarDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+// Instant of a wall-clock time (minutes after midnight) on a calendar day in
+// a timezone. Across a DST change the offset is re-checked; a time skipped
+// by the clocks going forward moves forward by the gap, and a time repeated
+// when they go back resolves to one of its two occurrences.
+const zonedDateTime = (day, minutes, timeZone) => {
+  const wall = day.getTime() + minutes * 60 * 1000;
+  const guess = wall - getOffset(wall, timeZone);
+  const offset = getOffset(guess, timeZone);
+
+  if (wall - offset === guess) return new Date(guess);
+
+  const retry = wall - offset;
+  return new Date(getOffset(retry, timeZone) === offset ? retry : Math.max(guess, retry));
+};
+
+// Organisation timezone from settings, for employees without their own and
+// for organisation-wide figures
+const getOrganisationTimeZone = async () => {
+  const settings = await Setting.getSettings();
+  return settings.timezone;
+};
+
+// Timezone an employee's attendance days are counted in
+const getEmployeeTimeZone = async (employee) => {
+  return (employee && employee.timezone) || getOrganisationTimeZone();
+};
+
+export {
+  isValidTimeZone,
+  getZonedParts,
+  toCalendarDay,
+  parseCalendarDay,
+  addCalendarDays,
+  zonedDateTime,
+  getOrganisationTimeZone,
+  getEmployeeTimeZone
+};
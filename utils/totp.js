@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s step)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value for a given counter (RFC 4226)
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Generate the current TOTP code
+const generateToken = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+// Verify a code within +/- window steps; returns the matched step or null
+const verifyToken = (secret, token, window = 1, time = Date.now()) => {
+  if (!/^\d{6}$/.test(String(token))) {
+    return null;
+  }
+
+  const step = currentStep(time);
+
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(hotp(secret, step + i));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(token)))) {
+      return step + i;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps scan as a QR code
+const buildOtpauthUrl = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'EMS') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  generateSecret,
+  generateToken,
+  verifyToken,
+  buildOtpauthUrl
+};